@@ -0,0 +1,40 @@
+const { pool } = require('../config/database');
+const { resetDailyLimits } = require('../services/inventory');
+const { pushNotifications } = require('../services/notifications');
+
+// Restaurants reset at their own local midnight; checking every quarter hour covers every UTC offset
+const CHECK_MINUTES = 15;
+
+// Milliseconds until the next quarter hour
+const msUntilNextCheck = () => {
+    const interval = CHECK_MINUTES * 60000;
+    return interval - (Date.now() % interval);
+};
+
+const runReset = async (io) => {
+    try {
+        const { restored, alerts } = await resetDailyLimits(pool);
+        pushNotifications(io, alerts);
+        if (restored.length > 0) {
+            console.log(`🔄 Daily stock reset: ${restored.length} capped item(s) back on sale`);
+        }
+    } catch (error) {
+        console.error('❌ Daily stock reset failed:', error.message);
+    }
+};
+
+// Put items that sold out on yesterday's daily cap back on sale once their restaurant's day rolls over
+const startDailyStockReset = (io) => {
+    const scheduleNext = () => {
+        const timer = setTimeout(async () => {
+            await runReset(io);
+            scheduleNext();
+        }, msUntilNextCheck());
+        // Don't keep the process alive just for this timer
+        timer.unref();
+    };
+
+    scheduleNext();
+};
+
+module.exports = { startDailyStockReset, runReset };
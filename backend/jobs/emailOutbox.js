@@ -0,0 +1,39 @@
+const { TRANSPORT, OUTPUT_DIR, sendDueEmails } = require('../services/email');
+
+// How often to send queued emails
+const INTERVAL_MS = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS || '30', 10) * 1000;
+
+let running = false;
+
+const runOutbox = async () => {
+    // A slow mail server can make a run outlast the interval; don't start a second one alongside it
+    if (running) {
+        return;
+    }
+    running = true;
+
+    try {
+        const { sent, retrying, failed } = await sendDueEmails();
+        if (sent + retrying + failed > 0) {
+            console.log(`📧 Email outbox: ${sent} sent, ${retrying} to retry, ${failed} failed`);
+        }
+    } catch (error) {
+        console.error('❌ Email outbox run failed:', error.message);
+    } finally {
+        running = false;
+    }
+};
+
+// Send queued emails on startup and then every EMAIL_OUTBOX_INTERVAL_SECONDS
+const startEmailOutbox = () => {
+    if (TRANSPORT !== 'smtp') {
+        console.log(`📧 Emails are written to ${OUTPUT_DIR}`);
+    }
+
+    runOutbox();
+    const timer = setInterval(runOutbox, INTERVAL_MS);
+    // Don't keep the process alive just for this timer
+    timer.unref();
+};
+
+module.exports = { startEmailOutbox, runOutbox };
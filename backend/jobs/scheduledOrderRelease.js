@@ -0,0 +1,102 @@
+const { pool } = require('../config/database');
+const { getDueScheduledOrders } = require('../services/scheduling');
+const { transitionOrder } = require('../services/orderStatus');
+const { notifyRestaurant, notifyOrderStatus } = require('../services/notifications');
+
+// How often to look for scheduled orders that are due in the kitchen
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Move one scheduled order into the restaurant's live queue. Returns the order if it was released.
+const releaseOrder = async (orderId) => {
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const [orders] = await connection.execute(`
+            SELECT o.*, u.first_name, u.last_name,
+                   (SELECT COUNT(*) FROM order_items oi WHERE oi.order_id = o.id) as item_count
+            FROM orders o
+            JOIN users u ON o.customer_id = u.id
+            WHERE o.id = ?
+            FOR UPDATE
+        `, [orderId]);
+
+        // Cancelled or released since we looked
+        if (orders.length === 0 || orders[0].status !== 'scheduled') {
+            await connection.rollback();
+            return null;
+        }
+
+        const transition = await transitionOrder(connection, orders[0], 'pending', {
+            actor: null,
+            reason: 'Released to the kitchen for its scheduled delivery slot'
+        });
+
+        await connection.commit();
+        return { ...orders[0], estimated_delivery_time: transition.estimatedDeliveryTime };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+const runRelease = async (io) => {
+    let orderIds;
+    try {
+        orderIds = await getDueScheduledOrders(pool);
+    } catch (error) {
+        console.error('❌ Scheduled order release failed:', error.message);
+        return;
+    }
+
+    // Orders are released one at a time, so one that fails doesn't hold up the orders due after it
+    for (const orderId of orderIds) {
+        try {
+            const order = await releaseOrder(orderId);
+            if (!order) {
+                continue;
+            }
+
+            io.to(`restaurant_${order.restaurant_id}`).emit('new_order', {
+                orderId: order.id,
+                orderNumber: order.order_number,
+                customerName: `${order.first_name} ${order.last_name}`,
+                totalAmount: parseFloat(order.final_amount),
+                itemCount: order.item_count,
+                scheduledFor: order.scheduled_for
+            });
+            io.to(`user_${order.customer_id}`).emit('order_status_changed', {
+                orderId: order.id,
+                status: 'pending',
+                previousStatus: 'scheduled',
+                orderNumber: order.order_number
+            });
+            io.to(`user_${order.customer_id}`).emit('order_eta_updated', {
+                orderId: order.id,
+                orderNumber: order.order_number,
+                estimatedDeliveryTime: order.estimated_delivery_time
+            });
+
+            await notifyRestaurant(io, order.restaurant_id, {
+                type: 'order',
+                title: `New order ${order.order_number}`,
+                message: `${order.first_name} ${order.last_name}'s scheduled order of ${order.item_count} item(s) is ready to start.`,
+                data: { orderId: order.id, orderNumber: order.order_number }
+            });
+            await notifyOrderStatus(io, order, 'pending');
+        } catch (error) {
+            console.error(`❌ Failed to release scheduled order ${orderId}:`, error.message);
+        }
+    }
+};
+
+// Release scheduled orders to restaurants shortly before their prep should start
+const startScheduledOrderRelease = (io) => {
+    const timer = setInterval(() => runRelease(io), CHECK_INTERVAL_MS);
+    // Don't keep the process alive just for this timer
+    timer.unref();
+};
+
+module.exports = { startScheduledOrderRelease, runRelease };
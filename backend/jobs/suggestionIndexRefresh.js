@@ -0,0 +1,32 @@
+const { pool } = require('../config/database');
+const { rebuildSuggestionIndex } = require('../services/searchSuggestions');
+
+// Popularity and ratings change with every order and review, so rebuild the index regularly
+const REFRESH_INTERVAL_MS = parseInt(process.env.SUGGESTION_REFRESH_MINUTES || '60', 10) * 60 * 1000;
+
+const runRefresh = async () => {
+    const connection = await pool.getConnection();
+
+    try {
+        // One transaction so suggestions never see a half-built index
+        await connection.beginTransaction();
+        await rebuildSuggestionIndex(connection);
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        console.error('❌ Search suggestion refresh failed:', error.message);
+    } finally {
+        connection.release();
+    }
+};
+
+// Build the suggestion index on startup and keep it fresh
+const startSuggestionIndexRefresh = () => {
+    runRefresh();
+
+    const timer = setInterval(runRefresh, REFRESH_INTERVAL_MS);
+    // Don't keep the process alive just for this timer
+    timer.unref();
+};
+
+module.exports = { startSuggestionIndexRefresh, runRefresh };
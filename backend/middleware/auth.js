@@ -116,8 +116,42 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
+// Socket.io middleware: sign sockets in with the same JWT, sent as { auth: { token } } in the handshake
+const authenticateSocket = async (socket, next) => {
+    try {
+        const token = socket.handshake.auth && socket.handshake.auth.token;
+
+        if (!token) {
+            return next(new Error('Access token is required'));
+        }
+
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        const [users] = await pool.execute(
+            'SELECT id, email, first_name, last_name, user_type, is_active FROM users WHERE id = ? AND is_active = true',
+            [decoded.userId]
+        );
+
+        if (users.length === 0) {
+            return next(new Error('Invalid token - user not found or inactive'));
+        }
+
+        socket.user = users[0];
+        next();
+
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+        }
+
+        console.error('Socket auth error:', error);
+        next(new Error('Internal server error during authentication'));
+    }
+};
+
 module.exports = {
     authenticateToken,
+    authenticateSocket,
     requireRole,
     requireAdmin,
     requireCook,
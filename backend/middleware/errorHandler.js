@@ -68,6 +68,7 @@ const errorHandler = (err, req, res, next) => {
     res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || 'Internal server error',
+        ...(err.problems && { problems: err.problems }),
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     });
 };
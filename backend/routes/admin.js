@@ -1,6 +1,9 @@
 const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { moderateReview } = require('../services/reviewModeration');
 
 const router = express.Router();
 
@@ -9,4 +12,518 @@ router.get('/', authenticateToken, requireAdmin, (req, res) => {
     res.json({ success: true, message: 'Admin routes placeholder' });
 });
 
+// Build an UPDATE from the allowed fields present in the request body
+const buildUpdate = (reqBody, allowedFields) => {
+    const updateFields = [];
+    const values = [];
+
+    allowedFields.forEach(field => {
+        if (reqBody.hasOwnProperty(field)) {
+            updateFields.push(`${field} = ?`);
+            values.push(reqBody[field]);
+        }
+    });
+
+    return { updateFields, values };
+};
+
+const regionValidation = (optional = false) => [
+    ...(optional ? [] : [body('code').matches(/^[A-Za-z0-9_-]{2,20}$/).withMessage('Region code must be 2-20 letters, numbers, dashes or underscores')]),
+    (optional ? body('name').optional() : body('name')).isLength({ min: 2 }).trim().withMessage('Region name is required'),
+    body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+    body('rounding_mode').optional().isIn(['half_up', 'half_even', 'up', 'down']).withMessage('Rounding mode must be half_up, half_even, up or down'),
+    body('rounding_increment').optional().isFloat({ min: 0.01 }).withMessage('Rounding increment must be at least 0.01')
+];
+
+const taxRuleValidation = (optional = false) => [
+    (optional ? body('name').optional() : body('name')).isLength({ min: 2 }).trim().withMessage('Tax rule name is required'),
+    (optional ? body('rate').optional() : body('rate')).isFloat({ min: 0, max: 1 }).withMessage('Rate must be a fraction between 0 and 1 (e.g. 0.08)'),
+    body('region_code').optional({ values: 'null' }).isLength({ min: 2, max: 20 }).withMessage('Valid region code is required'),
+    body('category_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Valid category ID is required'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be true or false')
+];
+
+// Percentage fees are fractions of the subtotal, in the same unit as tax rates
+const PERCENTAGE_FEE_MESSAGE = 'Percentage fee amounts must be a fraction between 0 and 1 (e.g. 0.1)';
+
+const feeRuleValidation = (optional = false) => [
+    (optional ? body('name').optional() : body('name')).isLength({ min: 2 }).trim().withMessage('Fee rule name is required'),
+    (optional ? body('fee_type').optional() : body('fee_type')).isIn(['service', 'packaging']).withMessage('Fee type must be service or packaging'),
+    (optional ? body('calculation').optional() : body('calculation')).isIn(['flat', 'percentage', 'per_item']).withMessage('Calculation must be flat, percentage or per_item'),
+    (optional ? body('amount').optional() : body('amount')).isFloat({ min: 0 }).withMessage('Valid amount is required')
+        .custom((value, { req }) => req.body.calculation !== 'percentage' || parseFloat(value) <= 1)
+        .withMessage(PERCENTAGE_FEE_MESSAGE),
+    body('min_amount').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Valid minimum amount is required'),
+    body('max_amount').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Valid maximum amount is required'),
+    body('region_code').optional({ values: 'null' }).isLength({ min: 2, max: 20 }).withMessage('Valid region code is required'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be true or false')
+];
+
+// @route   GET /api/admin/pricing
+// @desc    Get pricing regions, tax rules and fee rules
+// @access  Private (Admin only)
+router.get('/pricing', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const [regions] = await pool.execute('SELECT * FROM pricing_regions ORDER BY code');
+    const [taxRules] = await pool.execute(`
+        SELECT tr.*, c.name as category_name
+        FROM tax_rules tr
+        LEFT JOIN categories c ON tr.category_id = c.id
+        ORDER BY tr.region_code, tr.category_id
+    `);
+    const [feeRules] = await pool.execute('SELECT * FROM fee_rules ORDER BY region_code, fee_type');
+
+    res.json({
+        success: true,
+        data: { regions, taxRules, feeRules }
+    });
+}));
+
+// @route   POST /api/admin/pricing/regions
+// @desc    Create a pricing region
+// @access  Private (Admin only)
+router.post('/pricing/regions', authenticateToken, requireAdmin, regionValidation(), asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const { code, name, currency = 'USD', rounding_mode = 'half_up', rounding_increment = 0.01 } = req.body;
+
+    await pool.execute(
+        'INSERT INTO pricing_regions (code, name, currency, rounding_mode, rounding_increment) VALUES (?, ?, ?, ?, ?)',
+        [code, name, currency.toUpperCase(), rounding_mode, rounding_increment]
+    );
+
+    const [region] = await pool.execute('SELECT * FROM pricing_regions WHERE code = ?', [code]);
+
+    res.status(201).json({
+        success: true,
+        message: 'Pricing region created successfully',
+        data: { region: region[0] }
+    });
+}));
+
+// @route   PUT /api/admin/pricing/regions/:code
+// @desc    Update a pricing region
+// @access  Private (Admin only)
+router.put('/pricing/regions/:code', authenticateToken, requireAdmin, regionValidation(true), asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const { updateFields, values } = buildUpdate(req.body, ['name', 'currency', 'rounding_mode', 'rounding_increment']);
+
+    if (updateFields.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'No valid fields to update'
+        });
+    }
+
+    values.push(req.params.code);
+    const [result] = await pool.execute(
+        `UPDATE pricing_regions SET ${updateFields.join(', ')} WHERE code = ?`,
+        values
+    );
+
+    if (result.affectedRows === 0) {
+        throw new AppError('Pricing region not found', 404);
+    }
+
+    const [region] = await pool.execute('SELECT * FROM pricing_regions WHERE code = ?', [req.params.code]);
+
+    res.json({
+        success: true,
+        message: 'Pricing region updated successfully',
+        data: { region: region[0] }
+    });
+}));
+
+// @route   DELETE /api/admin/pricing/regions/:code
+// @desc    Delete a pricing region (its rules are deleted with it)
+// @access  Private (Admin only)
+router.delete('/pricing/regions/:code', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const [result] = await pool.execute('DELETE FROM pricing_regions WHERE code = ?', [req.params.code]);
+
+    if (result.affectedRows === 0) {
+        throw new AppError('Pricing region not found', 404);
+    }
+
+    res.json({
+        success: true,
+        message: 'Pricing region deleted successfully'
+    });
+}));
+
+// @route   POST /api/admin/pricing/tax-rules
+// @desc    Create a tax rule (optionally limited to a region and/or category)
+// @access  Private (Admin only)
+router.post('/pricing/tax-rules', authenticateToken, requireAdmin, taxRuleValidation(), asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const { name, rate, region_code, category_id, is_active = true } = req.body;
+
+    const [result] = await pool.execute(
+        'INSERT INTO tax_rules (name, rate, region_code, category_id, is_active) VALUES (?, ?, ?, ?, ?)',
+        [name, rate, region_code || null, category_id || null, is_active]
+    );
+
+    const [taxRule] = await pool.execute('SELECT * FROM tax_rules WHERE id = ?', [result.insertId]);
+
+    res.status(201).json({
+        success: true,
+        message: 'Tax rule created successfully',
+        data: { taxRule: taxRule[0] }
+    });
+}));
+
+// @route   PUT /api/admin/pricing/tax-rules/:id
+// @desc    Update a tax rule
+// @access  Private (Admin only)
+router.put('/pricing/tax-rules/:id', authenticateToken, requireAdmin, taxRuleValidation(true), asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const { updateFields, values } = buildUpdate(req.body, ['name', 'rate', 'region_code', 'category_id', 'is_active']);
+
+    if (updateFields.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'No valid fields to update'
+        });
+    }
+
+    values.push(req.params.id);
+    const [result] = await pool.execute(
+        `UPDATE tax_rules SET ${updateFields.join(', ')} WHERE id = ?`,
+        values
+    );
+
+    if (result.affectedRows === 0) {
+        throw new AppError('Tax rule not found', 404);
+    }
+
+    const [taxRule] = await pool.execute('SELECT * FROM tax_rules WHERE id = ?', [req.params.id]);
+
+    res.json({
+        success: true,
+        message: 'Tax rule updated successfully',
+        data: { taxRule: taxRule[0] }
+    });
+}));
+
+// @route   DELETE /api/admin/pricing/tax-rules/:id
+// @desc    Delete a tax rule
+// @access  Private (Admin only)
+router.delete('/pricing/tax-rules/:id', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const [result] = await pool.execute('DELETE FROM tax_rules WHERE id = ?', [req.params.id]);
+
+    if (result.affectedRows === 0) {
+        throw new AppError('Tax rule not found', 404);
+    }
+
+    res.json({
+        success: true,
+        message: 'Tax rule deleted successfully'
+    });
+}));
+
+// @route   POST /api/admin/pricing/fee-rules
+// @desc    Create a service or packaging fee rule
+// @access  Private (Admin only)
+router.post('/pricing/fee-rules', authenticateToken, requireAdmin, feeRuleValidation(), asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const { name, fee_type, calculation, amount, min_amount, max_amount, region_code, is_active = true } = req.body;
+
+    const [result] = await pool.execute(
+        'INSERT INTO fee_rules (name, fee_type, calculation, amount, min_amount, max_amount, region_code, is_active) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [
+            name, fee_type, calculation, amount,
+            min_amount === undefined ? null : min_amount,
+            max_amount === undefined ? null : max_amount,
+            region_code || null, is_active
+        ]
+    );
+
+    const [feeRule] = await pool.execute('SELECT * FROM fee_rules WHERE id = ?', [result.insertId]);
+
+    res.status(201).json({
+        success: true,
+        message: 'Fee rule created successfully',
+        data: { feeRule: feeRule[0] }
+    });
+}));
+
+// @route   PUT /api/admin/pricing/fee-rules/:id
+// @desc    Update a fee rule
+// @access  Private (Admin only)
+router.put('/pricing/fee-rules/:id', authenticateToken, requireAdmin, feeRuleValidation(true), asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const [feeRules] = await pool.execute('SELECT * FROM fee_rules WHERE id = ?', [req.params.id]);
+    if (feeRules.length === 0) {
+        throw new AppError('Fee rule not found', 404);
+    }
+
+    // Check the amount against the calculation it will be used with, when only one of them changes
+    const calculation = req.body.calculation === undefined ? feeRules[0].calculation : req.body.calculation;
+    const amount = req.body.amount === undefined ? feeRules[0].amount : req.body.amount;
+    if (calculation === 'percentage' && parseFloat(amount) > 1) {
+        throw new AppError(PERCENTAGE_FEE_MESSAGE, 400);
+    }
+
+    const { updateFields, values } = buildUpdate(req.body, [
+        'name', 'fee_type', 'calculation', 'amount', 'min_amount', 'max_amount', 'region_code', 'is_active'
+    ]);
+
+    if (updateFields.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'No valid fields to update'
+        });
+    }
+
+    values.push(req.params.id);
+    const [result] = await pool.execute(
+        `UPDATE fee_rules SET ${updateFields.join(', ')} WHERE id = ?`,
+        values
+    );
+
+    if (result.affectedRows === 0) {
+        throw new AppError('Fee rule not found', 404);
+    }
+
+    const [feeRule] = await pool.execute('SELECT * FROM fee_rules WHERE id = ?', [req.params.id]);
+
+    res.json({
+        success: true,
+        message: 'Fee rule updated successfully',
+        data: { feeRule: feeRule[0] }
+    });
+}));
+
+// @route   DELETE /api/admin/pricing/fee-rules/:id
+// @desc    Delete a fee rule
+// @access  Private (Admin only)
+router.delete('/pricing/fee-rules/:id', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const [result] = await pool.execute('DELETE FROM fee_rules WHERE id = ?', [req.params.id]);
+
+    if (result.affectedRows === 0) {
+        throw new AppError('Fee rule not found', 404);
+    }
+
+    res.json({
+        success: true,
+        message: 'Fee rule deleted successfully'
+    });
+}));
+
+// @route   PATCH /api/admin/restaurants/:id/region
+// @desc    Assign a restaurant to a pricing region
+// @access  Private (Admin only)
+router.patch('/restaurants/:id/region',
+    authenticateToken,
+    requireAdmin,
+    [
+        body('region_code').optional({ values: 'null' }).isLength({ min: 2, max: 20 }).withMessage('Valid region code is required')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const [result] = await pool.execute(
+            'UPDATE restaurants SET region_code = ? WHERE id = ?',
+            [req.body.region_code || null, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            throw new AppError('Restaurant not found', 404);
+        }
+
+        res.json({
+            success: true,
+            message: 'Restaurant pricing region updated successfully'
+        });
+    })
+);
+
+// Reviews in each moderation queue: flagged or reported reviews waiting for a decision,
+// hidden reviews, and published reviews with open reports that haven't reached the threshold
+const MODERATION_QUEUES = {
+    pending: "rv.moderation_status = 'pending'",
+    hidden: "rv.moderation_status = 'hidden'",
+    reported: "rv.moderation_status = 'approved' AND EXISTS (SELECT 1 FROM review_reports rr WHERE rr.review_id = rv.id AND rr.resolved_at IS NULL)"
+};
+
+// @route   GET /api/admin/reviews/moderation
+// @desc    Get the review moderation queue with flags and open reports
+// @access  Private (Admin only)
+router.get('/reviews/moderation',
+    authenticateToken,
+    requireAdmin,
+    [
+        query('status').optional().isIn(Object.keys(MODERATION_QUEUES)).withMessage('Status must be pending, hidden or reported'),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { status = 'pending', page = 1, limit = 20 } = req.query;
+        const where = MODERATION_QUEUES[status];
+        const offset = (page - 1) * limit;
+
+        const [reviews] = await pool.execute(`
+            SELECT rv.*, r.name as restaurant_name, fi.name as food_item_name,
+                   u.first_name, u.last_name, u.email,
+                   (SELECT COUNT(*) FROM review_reports rr WHERE rr.review_id = rv.id AND rr.resolved_at IS NULL) as open_reports
+            FROM reviews rv
+            JOIN restaurants r ON rv.restaurant_id = r.id
+            JOIN users u ON rv.customer_id = u.id
+            LEFT JOIN food_items fi ON rv.food_item_id = fi.id
+            WHERE ${where}
+            ORDER BY rv.created_at ASC
+            LIMIT ? OFFSET ?
+        `, [parseInt(limit), offset]);
+
+        const [countResult] = await pool.execute(`SELECT COUNT(*) as total FROM reviews rv WHERE ${where}`);
+
+        // Attach each review's open reports
+        if (reviews.length > 0) {
+            const [reports] = await pool.execute(`
+                SELECT rr.id, rr.review_id, rr.reason, rr.details, rr.created_at, rr.reporter_id
+                FROM review_reports rr
+                WHERE rr.review_id IN (${reviews.map(() => '?').join(', ')}) AND rr.resolved_at IS NULL
+                ORDER BY rr.created_at
+            `, reviews.map(review => review.id));
+
+            reviews.forEach(review => {
+                review.reports = reports.filter(report => report.review_id === review.id);
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                reviews,
+                totalCount: countResult[0].total,
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(countResult[0].total / limit)
+            }
+        });
+    })
+);
+
+// @route   PATCH /api/admin/reviews/:id/moderation
+// @desc    Approve (publish) or hide a review; closes its open reports
+// @access  Private (Admin only)
+router.patch('/reviews/:id/moderation',
+    authenticateToken,
+    requireAdmin,
+    [
+        body('action').isIn(['approve', 'hide']).withMessage('Action must be either approve or hide')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            const [reviews] = await connection.execute('SELECT * FROM reviews WHERE id = ? FOR UPDATE', [req.params.id]);
+
+            if (reviews.length === 0) {
+                throw new AppError('Review not found', 404);
+            }
+
+            await moderateReview(connection, reviews[0], req.body.action, req.user.id);
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        res.json({
+            success: true,
+            message: req.body.action === 'approve' ? 'Review approved' : 'Review hidden'
+        });
+    })
+);
+
+// @route   DELETE /api/admin/reviews/:id
+// @desc    Delete a review and its reports
+// @access  Private (Admin only)
+router.delete('/reviews/:id', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const [result] = await pool.execute('DELETE FROM reviews WHERE id = ?', [req.params.id]);
+
+    if (result.affectedRows === 0) {
+        throw new AppError('Review not found', 404);
+    }
+
+    res.json({
+        success: true,
+        message: 'Review deleted successfully'
+    });
+}));
+
 module.exports = router;
@@ -1,10 +1,12 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { authenticateToken } = require('../middleware/auth');
+const { queueEmail } = require('../services/email');
 
 const router = express.Router();
 
@@ -23,6 +25,12 @@ const loginValidation = [
     body('password').notEmpty().withMessage('Password is required')
 ];
 
+// Password reset links are valid for this long
+const RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES || '60', 10);
+
+// Reset tokens are only stored hashed, so a leaked table can't be used to reset passwords
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // Helper function to generate JWT token
 const generateToken = (userId) => {
     return jwt.sign({ userId }, process.env.JWT_SECRET, {
@@ -63,13 +71,27 @@ router.post('/register', registerValidation, asyncHandler(async (req, res) => {
     const saltRounds = 10;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    // Insert new user
-    const [result] = await pool.execute(
-        'INSERT INTO users (email, password, first_name, last_name, user_type, phone) VALUES (?, ?, ?, ?, ?, ?)',
-        [email, hashedPassword, first_name, last_name, user_type, phone]
-    );
+    // Insert new user and queue the welcome email with it, so neither is saved without the other
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
 
-    const userId = result.insertId;
+    let userId;
+    try {
+        const [result] = await connection.execute(
+            'INSERT INTO users (email, password, first_name, last_name, user_type, phone) VALUES (?, ?, ?, ?, ?, ?)',
+            [email, hashedPassword, first_name, last_name, user_type, phone]
+        );
+        userId = result.insertId;
+
+        await queueEmail(connection, 'welcome', email, { firstName: first_name, userType: user_type });
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
 
     // Generate JWT token
     const token = generateToken(userId);
@@ -294,6 +316,130 @@ router.post('/change-password',
     })
 );
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password',
+    [
+        body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const [users] = await pool.execute(
+            'SELECT id, email, first_name FROM users WHERE email = ? AND is_active = true',
+            [req.body.email]
+        );
+
+        if (users.length > 0) {
+            const user = users[0];
+            const token = crypto.randomBytes(32).toString('hex');
+
+            const connection = await pool.getConnection();
+            await connection.beginTransaction();
+
+            try {
+                // Only the newest link works
+                await connection.execute(
+                    'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+                    [user.id]
+                );
+                await connection.execute(
+                    'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+                    [user.id, hashResetToken(token), RESET_TOKEN_MINUTES]
+                );
+                await queueEmail(connection, 'password_reset', user.email, {
+                    firstName: user.first_name,
+                    resetUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`,
+                    expiresMinutes: RESET_TOKEN_MINUTES
+                });
+
+                await connection.commit();
+            } catch (error) {
+                await connection.rollback();
+                throw error;
+            } finally {
+                connection.release();
+            }
+        }
+
+        // Same answer either way, so the endpoint can't be used to find out who has an account
+        res.json({
+            success: true,
+            message: 'If an account exists for that email, a reset link has been sent'
+        });
+    })
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from a reset email
+// @access  Public
+router.post('/reset-password',
+    [
+        body('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Valid reset token is required'),
+        body('new_password').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            const [tokens] = await connection.execute(`
+                SELECT prt.id, prt.user_id
+                FROM password_reset_tokens prt
+                JOIN users u ON prt.user_id = u.id
+                WHERE prt.token_hash = ? AND prt.used_at IS NULL AND prt.expires_at > NOW() AND u.is_active = true
+                FOR UPDATE
+            `, [hashResetToken(req.body.token)]);
+
+            if (tokens.length === 0) {
+                throw new AppError('This reset link is invalid or has expired', 400);
+            }
+
+            // Only hash once the token checks out, so bad tokens are cheap to turn away
+            const saltRounds = 10;
+            const hashedNewPassword = await bcrypt.hash(req.body.new_password, saltRounds);
+
+            await connection.execute(
+                'UPDATE users SET password = ? WHERE id = ?',
+                [hashedNewPassword, tokens[0].user_id]
+            );
+            await connection.execute(
+                'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?',
+                [tokens[0].id]
+            );
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully; you can now log in'
+        });
+    })
+);
+
 // @route   POST /api/auth/logout
 // @desc    Logout user (client-side token removal)
 // @access  Private
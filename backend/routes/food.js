@@ -2,32 +2,125 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { optionalAuth, authenticateToken, requireCook } = require('../middleware/auth');
+const { optionalAuth, authenticateToken, requireCook, requireCookOrAdmin } = require('../middleware/auth');
+const { getOptionGroups, normalizeGroupRules } = require('../services/menuOptions');
+const { findSoldOutToday, markSoldOut, restoreAvailability } = require('../services/inventory');
+const { searchFood } = require('../services/foodSearch');
+const { ALLERGENS, normalizeNutrition, parseAllergenList, excludeAllergensSql } = require('../services/dietary');
+const { refreshFoodItemSuggestions, refreshMenuSuggestions } = require('../services/searchSuggestions');
+const { recordPriceChange, getPriceHistory } = require('../services/priceHistory');
+const { attachFavoriteFlags, alertBackInStock } = require('../services/favorites');
+const { pushNotifications } = require('../services/notifications');
+const { validateSchedule, splitByAvailability } = require('../services/menuSchedule');
+const { toCsv, parseCsv, normalizeImportRow, exportMenu, planImport, applyImport } = require('../services/menuTransfer');
 
 const router = express.Router();
 
+// Get an option group if it belongs to one of the cook's food items
+const getOwnedOptionGroup = async (groupId, cookId) => {
+    const [groups] = await pool.execute(`
+        SELECT og.* FROM food_option_groups og
+        JOIN food_items fi ON og.food_item_id = fi.id
+        JOIN restaurants r ON fi.restaurant_id = r.id
+        WHERE og.id = ? AND r.cook_id = ?
+    `, [groupId, cookId]);
+
+    if (groups.length === 0) {
+        throw new AppError('Option group not found or access denied', 404);
+    }
+
+    return groups[0];
+};
+
+// Get an option if it belongs to one of the cook's food items
+const getOwnedOption = async (optionId, cookId) => {
+    const [options] = await pool.execute(`
+        SELECT o.* FROM food_options o
+        JOIN food_option_groups og ON o.option_group_id = og.id
+        JOIN food_items fi ON og.food_item_id = fi.id
+        JOIN restaurants r ON fi.restaurant_id = r.id
+        WHERE o.id = ? AND r.cook_id = ?
+    `, [optionId, cookId]);
+
+    if (options.length === 0) {
+        throw new AppError('Option not found or access denied', 404);
+    }
+
+    return options[0];
+};
+
+// Validation shared by option create/update
+const optionValidation = (prefix = '') => [
+    body(`${prefix}name`).isLength({ min: 1, max: 100 }).trim().withMessage('Option name is required'),
+    body(`${prefix}price_delta`).optional().isFloat().withMessage('Price change must be a valid amount'),
+    body(`${prefix}is_available`).optional().isBoolean().withMessage('is_available must be true or false'),
+    body(`${prefix}sort_order`).optional().isInt().withMessage('Sort order must be a number')
+];
+
+// Validation shared by food item create/update for allergens, nutrition and portion size
+const dietaryValidation = [
+    body('allergens').optional({ values: 'null' }).isArray().withMessage('Allergens must be a list'),
+    body('allergens.*').isIn(ALLERGENS).withMessage(`Allergens must be from ${ALLERGENS.join(', ')}`),
+    body('nutrition').optional({ values: 'null' }).isObject().withMessage('Nutrition must be an object of nutrition facts'),
+    body('portion_size').optional({ values: 'null' }).isLength({ max: 50 }).trim().withMessage('Portion size must be at most 50 characters'),
+    body('availability_windows').optional({ values: 'null' }).isObject().withMessage('Availability windows must be a weekly schedule')
+];
+
+// Validation for a new food item, shared by POST /api/food and menu import
+const foodItemValidation = [
+    body('name').isLength({ min: 2 }).trim().withMessage('Food item name is required'),
+    body('price').isFloat({ min: 0 }).withMessage('Valid price is required'),
+    body('preparation_time').isInt({ min: 1 }).withMessage('Valid preparation time is required'),
+    body('is_vegetarian').optional({ values: 'null' }).isBoolean().withMessage('is_vegetarian must be true or false'),
+    body('is_vegan').optional({ values: 'null' }).isBoolean().withMessage('is_vegan must be true or false'),
+    body('is_spicy').optional({ values: 'null' }).isBoolean().withMessage('is_spicy must be true or false'),
+    body('is_available').optional({ values: 'null' }).isBoolean().withMessage('is_available must be true or false'),
+    body('stock_quantity').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Stock quantity must be zero or more'),
+    body('daily_limit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Daily limit must be at least 1'),
+    ...dietaryValidation
+];
+
+// Menu files can also carry the image URL, which POST /api/food takes as it is
+const importRowValidation = [
+    ...foodItemValidation,
+    body('image').optional({ values: 'null' }).isString().isLength({ max: 500 }).withMessage('Image must be a URL of at most 500 characters')
+];
+
+// Check one imported menu row with the same rules as POST /api/food
+const validateImportRow = async (row) => {
+    const req = { body: row };
+    await Promise.all(importRowValidation.map(rule => rule.run(req)));
+    return validationResult(req).array().map(error => ({ field: error.path, message: error.msg }));
+};
+
+// Get the cook's active restaurant, or fail if they haven't set one up
+const getCookRestaurantId = async (cookId) => {
+    const [restaurants] = await pool.execute(
+        'SELECT id FROM restaurants WHERE cook_id = ? AND is_active = true',
+        [cookId]
+    );
+
+    if (restaurants.length === 0) {
+        throw new AppError('You need to create a restaurant profile first', 400);
+    }
+
+    return restaurants[0].id;
+};
+
 // @route   GET /api/food
-// @desc    Get all food items
+// @desc    Get the top-rated food items (see /api/search/food for filters and paging)
 // @access  Public
 router.get('/', optionalAuth, asyncHandler(async (req, res) => {
-    const [foodItems] = await pool.execute(`
-        SELECT fi.*, c.name as category_name, r.name as restaurant_name
-        FROM food_items fi
-        LEFT JOIN categories c ON fi.category_id = c.id
-        LEFT JOIN restaurants r ON fi.restaurant_id = r.id
-        WHERE fi.is_available = true AND r.is_active = true
-        ORDER BY fi.rating DESC, fi.total_orders DESC
-        LIMIT 100
-    `);
+    const { foodItems } = await searchFood(pool, { sort: 'rating', limit: 100 });
 
     res.json({
         success: true,
-        data: { foodItems }
+        data: { foodItems: await attachFavoriteFlags(pool, req.user, foodItems, 'food') }
     });
 }));
 
 // @route   GET /api/food/search
-// @desc    Search food items
+// @desc    Search food items, optionally leaving out ?exclude_allergens= (see /api/search/food for filters and paging)
 // @access  Public
 router.get('/search', optionalAuth, asyncHandler(async (req, res) => {
     const { q } = req.query;
@@ -39,39 +132,50 @@ router.get('/search', optionalAuth, asyncHandler(async (req, res) => {
         });
     }
 
-    const searchTerm = `%${q.trim()}%`;
-    const [foodItems] = await pool.execute(`
-        SELECT fi.*, c.name as category_name, r.name as restaurant_name
-        FROM food_items fi
-        LEFT JOIN categories c ON fi.category_id = c.id
-        LEFT JOIN restaurants r ON fi.restaurant_id = r.id
-        WHERE (fi.name LIKE ? OR fi.description LIKE ? OR c.name LIKE ?) 
-              AND fi.is_available = true AND r.is_active = true
-        ORDER BY fi.rating DESC, fi.total_orders DESC
-        LIMIT 50
-    `, [searchTerm, searchTerm, searchTerm]);
+    const { foodItems } = await searchFood(pool, {
+        q: q.trim(),
+        excludeAllergens: parseAllergenList(req.query.exclude_allergens),
+        limit: 50
+    });
 
     res.json({
         success: true,
-        data: { foodItems }
+        data: { foodItems: await attachFavoriteFlags(pool, req.user, foodItems, 'food') }
     });
 }));
 
 // @route   GET /api/food/restaurant/:restaurantId
-// @desc    Get food items by restaurant
+// @desc    Get what a restaurant serves right now, and what comes on later (e.g. the dinner menu),
+//          optionally leaving out ?exclude_allergens=milk,peanuts
 // @access  Public
 router.get('/restaurant/:restaurantId', optionalAuth, asyncHandler(async (req, res) => {
+    const allergenFilter = excludeAllergensSql('fi.allergens', parseAllergenList(req.query.exclude_allergens));
+    const excluding = allergenFilter.values.length > 0;
+
     const [foodItems] = await pool.execute(`
         SELECT fi.*, c.name as category_name
         FROM food_items fi
         LEFT JOIN categories c ON fi.category_id = c.id
-        WHERE fi.restaurant_id = ? AND fi.is_available = true
+        WHERE fi.restaurant_id = ? AND fi.is_available = true${excluding ? ` AND ${allergenFilter.clause}` : ''}
         ORDER BY c.sort_order, fi.name
-    `, [req.params.restaurantId]);
+    `, [req.params.restaurantId, ...(excluding ? allergenFilter.values : [])]);
+
+    // Include each item's available options so the menu can be ordered from directly
+    const groupsByItem = await getOptionGroups(pool, foodItems.map(item => item.id), { availableOnly: true });
+    foodItems.forEach(item => {
+        item.option_groups = groupsByItem[item.id] || [];
+    });
+
+    const [restaurants] = await pool.execute('SELECT id, opening_hours FROM restaurants WHERE id = ?', [req.params.restaurantId]);
+    const { availableNow, availableLater } = await splitByAvailability(
+        pool,
+        restaurants[0] || {},
+        await attachFavoriteFlags(pool, req.user, foodItems, 'food')
+    );
 
     res.json({
         success: true,
-        data: { foodItems }
+        data: { foodItems: availableNow, availableLater }
     });
 }));
 
@@ -95,11 +199,7 @@ router.get('/categories', asyncHandler(async (req, res) => {
 router.post('/', 
     authenticateToken,
     requireCook,
-    [
-        body('name').isLength({ min: 2 }).trim().withMessage('Food item name is required'),
-        body('price').isFloat({ min: 0 }).withMessage('Valid price is required'),
-        body('preparation_time').isInt({ min: 1 }).withMessage('Valid preparation time is required')
-    ],
+    foodItemValidation,
     asyncHandler(async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -110,33 +210,43 @@ router.post('/',
             });
         }
 
-        // Get cook's restaurant
-        const [restaurants] = await pool.execute(
-            'SELECT id FROM restaurants WHERE cook_id = ? AND is_active = true',
-            [req.user.id]
-        );
-
-        if (restaurants.length === 0) {
-            throw new AppError('You need to create a restaurant profile first', 400);
-        }
-
-        const restaurantId = restaurants[0].id;
+        const restaurantId = await getCookRestaurantId(req.user.id);
         const {
             name, description, price, category_id, image,
             is_vegetarian = false, is_vegan = false, is_spicy = false,
-            preparation_time, is_available = true
+            preparation_time, is_available = true,
+            stock_quantity = null, daily_limit = null,
+            allergens = null, portion_size = null
         } = req.body;
+        const nutrition = normalizeNutrition(req.body.nutrition);
+        const windows = req.body.availability_windows ? validateSchedule(req.body.availability_windows) : null;
 
         const [result] = await pool.execute(`
             INSERT INTO food_items (
                 restaurant_id, category_id, name, description, price, image,
-                is_vegetarian, is_vegan, is_spicy, preparation_time, is_available
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                is_vegetarian, is_vegan, is_spicy, allergens, nutrition, portion_size, availability_windows,
+                preparation_time, is_available, stock_quantity, daily_limit
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
             restaurantId, category_id || null, name, description || null, price, image || null,
-            is_vegetarian, is_vegan, is_spicy, preparation_time, is_available
+            is_vegetarian, is_vegan, is_spicy,
+            allergens ? JSON.stringify([...new Set(allergens)]) : null,
+            nutrition ? JSON.stringify(nutrition) : null,
+            portion_size || null,
+            windows ? JSON.stringify(windows) : null,
+            preparation_time, is_available, stock_quantity, daily_limit
         ]);
 
+        await recordPriceChange(pool, { foodItemId: result.insertId, newPrice: price, changedBy: req.user.id });
+
+        // Starting with no stock means the item goes straight on the sold-out list
+        await markSoldOut(pool, [result.insertId]);
+        await refreshFoodItemSuggestions(pool, {
+            foodItemId: result.insertId,
+            restaurantId,
+            categoryIds: [category_id]
+        });
+
         const [foodItem] = await pool.execute(
             'SELECT * FROM food_items WHERE id = ?',
             [result.insertId]
@@ -159,7 +269,10 @@ router.put('/:id',
     [
         body('name').optional().isLength({ min: 2 }).trim().withMessage('Food item name must be at least 2 characters'),
         body('price').optional().isFloat({ min: 0 }).withMessage('Valid price is required'),
-        body('preparation_time').optional().isInt({ min: 1 }).withMessage('Valid preparation time is required')
+        body('preparation_time').optional().isInt({ min: 1 }).withMessage('Valid preparation time is required'),
+        body('stock_quantity').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Stock quantity must be zero or more'),
+        body('daily_limit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Daily limit must be at least 1'),
+        ...dietaryValidation
     ],
     asyncHandler(async (req, res) => {
         const errors = validationResult(req);
@@ -173,11 +286,12 @@ router.put('/:id',
 
         const foodItemId = req.params.id;
 
-        // Verify the food item belongs to the cook's restaurant
+        // Verify the food item belongs to the cook's restaurant; archived items must be restored first
         const [foodItems] = await pool.execute(`
-            SELECT fi.id FROM food_items fi
+            SELECT fi.id, fi.name, fi.price, fi.is_available, fi.restaurant_id, fi.category_id, r.opening_hours
+            FROM food_items fi
             JOIN restaurants r ON fi.restaurant_id = r.id
-            WHERE fi.id = ? AND r.cook_id = ?
+            WHERE fi.id = ? AND r.cook_id = ? AND fi.archived_at IS NULL
         `, [foodItemId, req.user.id]);
 
         if (foodItems.length === 0) {
@@ -188,7 +302,8 @@ router.put('/:id',
         const values = [];
         const allowedFields = [
             'name', 'description', 'price', 'category_id', 'image',
-            'is_vegetarian', 'is_vegan', 'is_spicy', 'preparation_time', 'is_available'
+            'is_vegetarian', 'is_vegan', 'is_spicy', 'portion_size', 'preparation_time', 'is_available',
+            'stock_quantity', 'daily_limit'
         ];
 
         allowedFields.forEach(field => {
@@ -198,6 +313,21 @@ router.put('/:id',
             }
         });
 
+        // Allergens, nutrition and availability windows are stored as JSON; null clears them
+        if (req.body.hasOwnProperty('allergens')) {
+            updateFields.push('allergens = ?');
+            values.push(req.body.allergens ? JSON.stringify([...new Set(req.body.allergens)]) : null);
+        }
+        if (req.body.hasOwnProperty('nutrition')) {
+            const nutrition = normalizeNutrition(req.body.nutrition);
+            updateFields.push('nutrition = ?');
+            values.push(nutrition ? JSON.stringify(nutrition) : null);
+        }
+        if (req.body.hasOwnProperty('availability_windows')) {
+            updateFields.push('availability_windows = ?');
+            values.push(req.body.availability_windows ? JSON.stringify(validateSchedule(req.body.availability_windows)) : null);
+        }
+
         if (updateFields.length === 0) {
             return res.status(400).json({
                 success: false,
@@ -205,17 +335,63 @@ router.put('/:id',
             });
         }
 
+        // Switching availability by hand takes the item out of automatic sell-out handling
+        if (req.body.hasOwnProperty('is_available')) {
+            updateFields.push('auto_sold_out = false');
+        }
+
         values.push(foodItemId);
         await pool.execute(
             `UPDATE food_items SET ${updateFields.join(', ')} WHERE id = ?`,
             values
         );
 
+        // Favorite alerts raised by this edit, pushed once it is saved
+        const alerts = [];
+
+        if (req.body.hasOwnProperty('price')) {
+            alerts.push(...await recordPriceChange(pool, {
+                foodItemId,
+                oldPrice: foodItems[0].price,
+                newPrice: req.body.price,
+                changedBy: req.user.id
+            }));
+        }
+
+        // Restocking puts a sold-out item back on sale; running out takes it off
+        if (req.body.hasOwnProperty('stock_quantity') || req.body.hasOwnProperty('daily_limit')) {
+            alerts.push(...(await restoreAvailability(pool, [foodItemId])).alerts);
+            const soldOut = await markSoldOut(pool, [foodItemId]);
+            if (soldOut.length > 0) {
+                req.app.get('socketio').to(`restaurant_${foodItems[0].restaurant_id}`).emit('food_item_sold_out', {
+                    foodItemId: parseInt(foodItemId, 10),
+                    name: foodItems[0].name
+                });
+            }
+        }
+
         const [updatedFoodItem] = await pool.execute(
             'SELECT * FROM food_items WHERE id = ?',
             [foodItemId]
         );
 
+        // Switching a dish back on by hand counts as it coming back in stock, as long as there is some to sell
+        if (req.body.hasOwnProperty('is_available') && updatedFoodItem[0].is_available && !foodItems[0].is_available) {
+            const soldOut = await findSoldOutToday(pool, [{ ...updatedFoodItem[0], opening_hours: foodItems[0].opening_hours }]);
+            if (soldOut.size === 0) {
+                alerts.push(...await alertBackInStock(pool, [updatedFoodItem[0].id]));
+            }
+        }
+
+        pushNotifications(req.app.get('socketio'), alerts);
+
+        // Keep search suggestions in step, including the category the item may have left
+        await refreshFoodItemSuggestions(pool, {
+            foodItemId,
+            restaurantId: foodItems[0].restaurant_id,
+            categoryIds: [foodItems[0].category_id, updatedFoodItem[0].category_id]
+        });
+
         res.json({
             success: true,
             message: 'Food item updated successfully',
@@ -225,7 +401,7 @@ router.put('/:id',
 );
 
 // @route   DELETE /api/food/:id
-// @desc    Delete a food item
+// @desc    Archive a food item: it leaves the menu but stays on past orders
 // @access  Private (Cook only)
 router.delete('/:id', 
     authenticateToken,
@@ -233,22 +409,485 @@ router.delete('/:id',
     asyncHandler(async (req, res) => {
         const foodItemId = req.params.id;
 
+        // Verify the food item belongs to the cook's restaurant
+        const [foodItems] = await pool.execute(`
+            SELECT fi.id, fi.restaurant_id, fi.category_id FROM food_items fi
+            JOIN restaurants r ON fi.restaurant_id = r.id
+            WHERE fi.id = ? AND r.cook_id = ? AND fi.archived_at IS NULL
+        `, [foodItemId, req.user.id]);
+
+        if (foodItems.length === 0) {
+            throw new AppError('Food item not found or access denied', 404);
+        }
+
+        // Clearing auto_sold_out stops a restock or the midnight reset putting it back on sale
+        await pool.execute(
+            'UPDATE food_items SET archived_at = NOW(), is_available = false, auto_sold_out = false WHERE id = ?',
+            [foodItemId]
+        );
+        await pool.execute('DELETE FROM cart_items WHERE food_item_id = ?', [foodItemId]);
+        await refreshFoodItemSuggestions(pool, {
+            foodItemId,
+            restaurantId: foodItems[0].restaurant_id,
+            categoryIds: [foodItems[0].category_id]
+        });
+
+        res.json({
+            success: true,
+            message: 'Food item archived successfully'
+        });
+    })
+);
+
+// @route   GET /api/food/archived
+// @desc    Get the cook's archived food items
+// @access  Private (Cook only)
+router.get('/archived', authenticateToken, requireCook, asyncHandler(async (req, res) => {
+    const [foodItems] = await pool.execute(`
+        SELECT fi.*, c.name as category_name
+        FROM food_items fi
+        JOIN restaurants r ON fi.restaurant_id = r.id
+        LEFT JOIN categories c ON fi.category_id = c.id
+        WHERE r.cook_id = ? AND fi.archived_at IS NOT NULL
+        ORDER BY fi.archived_at DESC
+    `, [req.user.id]);
+
+    res.json({
+        success: true,
+        data: { foodItems }
+    });
+}));
+
+// @route   POST /api/food/:id/restore
+// @desc    Bring an archived food item back; it stays unavailable until the cook switches it on
+// @access  Private (Cook only)
+router.post('/:id/restore', authenticateToken, requireCook, asyncHandler(async (req, res) => {
+    const [foodItems] = await pool.execute(`
+        SELECT fi.id FROM food_items fi
+        JOIN restaurants r ON fi.restaurant_id = r.id
+        WHERE fi.id = ? AND r.cook_id = ? AND fi.archived_at IS NOT NULL
+    `, [req.params.id, req.user.id]);
+
+    if (foodItems.length === 0) {
+        throw new AppError('Archived food item not found or access denied', 404);
+    }
+
+    await pool.execute('UPDATE food_items SET archived_at = NULL WHERE id = ?', [req.params.id]);
+
+    const [foodItem] = await pool.execute('SELECT * FROM food_items WHERE id = ?', [req.params.id]);
+
+    res.json({
+        success: true,
+        message: 'Food item restored',
+        data: { foodItem: foodItem[0] }
+    });
+}));
+
+// @route   GET /api/food/:id/price-history
+// @desc    Get a food item's price changes, newest first
+// @access  Private (owning cook or admin)
+router.get('/:id/price-history', authenticateToken, requireCookOrAdmin, asyncHandler(async (req, res) => {
+    const [foodItems] = await pool.execute(`
+        SELECT fi.id, fi.price, r.cook_id FROM food_items fi
+        JOIN restaurants r ON fi.restaurant_id = r.id
+        WHERE fi.id = ?
+    `, [req.params.id]);
+
+    if (foodItems.length === 0 || (req.user.user_type === 'cook' && foodItems[0].cook_id !== req.user.id)) {
+        throw new AppError('Food item not found or access denied', 404);
+    }
+
+    res.json({
+        success: true,
+        data: {
+            currentPrice: parseFloat(foodItems[0].price),
+            history: await getPriceHistory(pool, foodItems[0].id)
+        }
+    });
+}));
+
+// @route   GET /api/food/menu/export
+// @desc    Download the cook's menu as ?format=csv (default) or json
+// @access  Private (Cook only)
+router.get('/menu/export', authenticateToken, requireCook, asyncHandler(async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+        throw new AppError('Format must be csv or json', 400);
+    }
+
+    const restaurantId = await getCookRestaurantId(req.user.id);
+    const items = await exportMenu(pool, restaurantId);
+
+    if (format === 'json') {
+        return res.json({
+            success: true,
+            data: { items }
+        });
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="menu.csv"');
+    res.send(toCsv(items));
+}));
+
+// @route   POST /api/food/menu/import
+// @desc    Import a menu from CSV (`data`) or JSON (`items`). With dry_run, only report what would change.
+// @access  Private (Cook only)
+router.post('/menu/import',
+    authenticateToken,
+    requireCook,
+    [
+        body('format').isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+        body('data').if(body('format').equals('csv')).isString().withMessage('CSV imports need the file contents in data'),
+        body('items').if(body('format').equals('json')).isArray().withMessage('JSON imports need an items array'),
+        body('dry_run').optional().isBoolean().withMessage('dry_run must be true or false'),
+        body('archive_missing').optional().isBoolean().withMessage('archive_missing must be true or false')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { format, dry_run: dryRun = false, archive_missing: archiveMissing = false } = req.body;
+        const restaurantId = await getCookRestaurantId(req.user.id);
+
+        const rawRows = format === 'csv' ? parseCsv(req.body.data) : req.body.items;
+        if (rawRows.length === 0) {
+            throw new AppError('The import has no menu items', 400);
+        }
+
+        // Row numbers match the file: CSV row 2 is the first item after the header
+        const rows = rawRows.map((raw, index) => ({
+            row: format === 'csv' ? index + 2 : index + 1,
+            data: normalizeImportRow(raw || {})
+        }));
+
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        let plan;
+        let report;
+        let imported;
+        try {
+            plan = await planImport(connection, restaurantId, rows, { archiveMissing, validateRow: validateImportRow });
+            report = {
+                summary: plan.summary,
+                rows: plan.rows.map(({ row, action, food_item_id, name, errors: rowErrors }) => ({
+                    row, action, food_item_id, name, errors: rowErrors
+                })),
+                archived: plan.archived
+            };
+
+            if (dryRun || plan.summary.errors > 0) {
+                await connection.rollback();
+                return res.status(dryRun ? 200 : 400).json({
+                    success: dryRun,
+                    message: plan.summary.errors > 0
+                        ? `${plan.summary.errors} row(s) have errors; nothing was imported`
+                        : 'Dry run: nothing was imported',
+                    data: report
+                });
+            }
+
+            imported = await applyImport(connection, restaurantId, plan, req.user.id);
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        pushNotifications(req.app.get('socketio'), imported.alerts);
+        await refreshMenuSuggestions(pool, { restaurantId, foodItemIds: imported.touched });
+
+        res.json({
+            success: true,
+            message: `Menu imported: ${plan.summary.create} created, ${plan.summary.update} updated, ${plan.summary.archive} archived`,
+            data: report
+        });
+    })
+);
+
+// @route   GET /api/food/:id/options
+// @desc    Get a food item's option groups and options
+// @access  Public
+router.get('/:id/options', optionalAuth, asyncHandler(async (req, res) => {
+    const [foodItems] = await pool.execute(
+        'SELECT id FROM food_items WHERE id = ?',
+        [req.params.id]
+    );
+
+    if (foodItems.length === 0) {
+        throw new AppError('Food item not found', 404);
+    }
+
+    const groupsByItem = await getOptionGroups(pool, [foodItems[0].id]);
+
+    res.json({
+        success: true,
+        data: { optionGroups: groupsByItem[foodItems[0].id] || [] }
+    });
+}));
+
+// @route   POST /api/food/:id/option-groups
+// @desc    Add an option group (optionally with its options) to a food item
+// @access  Private (Cook only)
+router.post('/:id/option-groups',
+    authenticateToken,
+    requireCook,
+    [
+        body('name').isLength({ min: 1, max: 100 }).trim().withMessage('Option group name is required'),
+        body('selection_type').optional().isIn(['single', 'multiple']).withMessage('Selection type must be single or multiple'),
+        body('is_required').optional().isBoolean().withMessage('is_required must be true or false'),
+        body('min_selections').optional().isInt({ min: 0 }).withMessage('Minimum selections must be zero or more'),
+        body('max_selections').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Maximum selections must be at least 1'),
+        body('sort_order').optional().isInt().withMessage('Sort order must be a number'),
+        body('options').optional().isArray().withMessage('Options must be an array'),
+        ...optionValidation('options.*.').map(rule => rule.optional())
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         // Verify the food item belongs to the cook's restaurant
         const [foodItems] = await pool.execute(`
             SELECT fi.id FROM food_items fi
             JOIN restaurants r ON fi.restaurant_id = r.id
             WHERE fi.id = ? AND r.cook_id = ?
-        `, [foodItemId, req.user.id]);
+        `, [req.params.id, req.user.id]);
 
         if (foodItems.length === 0) {
             throw new AppError('Food item not found or access denied', 404);
         }
 
-        await pool.execute('DELETE FROM food_items WHERE id = ?', [foodItemId]);
+        const { name, selection_type = 'single', is_required = false, sort_order = 0, options = [] } = req.body;
+        const rules = normalizeGroupRules({ ...req.body, selection_type, is_required });
+
+        const connection = await pool.getConnection();
+        let groupId;
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.execute(
+                'INSERT INTO food_option_groups (food_item_id, name, selection_type, is_required, min_selections, max_selections, sort_order) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [req.params.id, name, selection_type, is_required, rules.min_selections, rules.max_selections, sort_order]
+            );
+            groupId = result.insertId;
+
+            for (const [index, option] of options.entries()) {
+                await connection.execute(
+                    'INSERT INTO food_options (option_group_id, name, price_delta, is_available, sort_order) VALUES (?, ?, ?, ?, ?)',
+                    [groupId, option.name, option.price_delta || 0, option.is_available !== false, option.sort_order ?? index]
+                );
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        const groupsByItem = await getOptionGroups(pool, [parseInt(req.params.id, 10)]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Option group created successfully',
+            data: { optionGroup: groupsByItem[req.params.id].find(group => group.id === groupId) }
+        });
+    })
+);
+
+// @route   PUT /api/food/option-groups/:groupId
+// @desc    Update an option group
+// @access  Private (Cook only)
+router.put('/option-groups/:groupId',
+    authenticateToken,
+    requireCook,
+    [
+        body('name').optional().isLength({ min: 1, max: 100 }).trim().withMessage('Option group name is required'),
+        body('selection_type').optional().isIn(['single', 'multiple']).withMessage('Selection type must be single or multiple'),
+        body('is_required').optional().isBoolean().withMessage('is_required must be true or false'),
+        body('min_selections').optional().isInt({ min: 0 }).withMessage('Minimum selections must be zero or more'),
+        body('max_selections').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Maximum selections must be at least 1'),
+        body('sort_order').optional().isInt().withMessage('Sort order must be a number')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const group = await getOwnedOptionGroup(req.params.groupId, req.user.id);
+
+        // Re-check the selection rules against the merged group
+        const merged = { ...group };
+        ['name', 'selection_type', 'is_required', 'min_selections', 'max_selections', 'sort_order'].forEach(field => {
+            if (req.body.hasOwnProperty(field)) {
+                merged[field] = req.body[field];
+            }
+        });
+        const rules = normalizeGroupRules(merged);
+
+        await pool.execute(
+            'UPDATE food_option_groups SET name = ?, selection_type = ?, is_required = ?, min_selections = ?, max_selections = ?, sort_order = ? WHERE id = ?',
+            [merged.name, merged.selection_type, merged.is_required, rules.min_selections, rules.max_selections, merged.sort_order, group.id]
+        );
+
+        const groupsByItem = await getOptionGroups(pool, [group.food_item_id]);
+
+        res.json({
+            success: true,
+            message: 'Option group updated successfully',
+            data: { optionGroup: groupsByItem[group.food_item_id].find(g => g.id === group.id) }
+        });
+    })
+);
+
+// @route   DELETE /api/food/option-groups/:groupId
+// @desc    Delete an option group and its options
+// @access  Private (Cook only)
+router.delete('/option-groups/:groupId',
+    authenticateToken,
+    requireCook,
+    asyncHandler(async (req, res) => {
+        const group = await getOwnedOptionGroup(req.params.groupId, req.user.id);
+
+        // Past orders keep their snapshotted option names and prices
+        await pool.execute('DELETE FROM food_option_groups WHERE id = ?', [group.id]);
+
+        res.json({
+            success: true,
+            message: 'Option group deleted successfully'
+        });
+    })
+);
+
+// @route   POST /api/food/option-groups/:groupId/options
+// @desc    Add an option to an option group
+// @access  Private (Cook only)
+router.post('/option-groups/:groupId/options',
+    authenticateToken,
+    requireCook,
+    optionValidation(),
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const group = await getOwnedOptionGroup(req.params.groupId, req.user.id);
+        const { name, price_delta = 0, is_available = true, sort_order = 0 } = req.body;
+
+        const [result] = await pool.execute(
+            'INSERT INTO food_options (option_group_id, name, price_delta, is_available, sort_order) VALUES (?, ?, ?, ?, ?)',
+            [group.id, name, price_delta, is_available, sort_order]
+        );
+
+        const [options] = await pool.execute(
+            'SELECT * FROM food_options WHERE id = ?',
+            [result.insertId]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Option created successfully',
+            data: { option: options[0] }
+        });
+    })
+);
+
+// @route   PUT /api/food/options/:optionId
+// @desc    Update an option (name, price change, availability)
+// @access  Private (Cook only)
+router.put('/options/:optionId',
+    authenticateToken,
+    requireCook,
+    optionValidation().map(rule => rule.optional()),
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const option = await getOwnedOption(req.params.optionId, req.user.id);
+
+        const updateFields = [];
+        const values = [];
+        const allowedFields = ['name', 'price_delta', 'is_available', 'sort_order'];
+
+        allowedFields.forEach(field => {
+            if (req.body.hasOwnProperty(field)) {
+                updateFields.push(`${field} = ?`);
+                values.push(req.body[field]);
+            }
+        });
+
+        if (updateFields.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No valid fields to update'
+            });
+        }
+
+        values.push(option.id);
+        await pool.execute(
+            `UPDATE food_options SET ${updateFields.join(', ')} WHERE id = ?`,
+            values
+        );
+
+        const [options] = await pool.execute(
+            'SELECT * FROM food_options WHERE id = ?',
+            [option.id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Option updated successfully',
+            data: { option: options[0] }
+        });
+    })
+);
+
+// @route   DELETE /api/food/options/:optionId
+// @desc    Delete an option
+// @access  Private (Cook only)
+router.delete('/options/:optionId',
+    authenticateToken,
+    requireCook,
+    asyncHandler(async (req, res) => {
+        const option = await getOwnedOption(req.params.optionId, req.user.id);
+
+        await pool.execute('DELETE FROM food_options WHERE id = ?', [option.id]);
 
         res.json({
             success: true,
-            message: 'Food item deleted successfully'
+            message: 'Option deleted successfully'
         });
     })
 );
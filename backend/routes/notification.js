@@ -0,0 +1,132 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getUnreadCount, listNotifications } = require('../services/notifications');
+
+const router = express.Router();
+
+// Keep the user's other open tabs and devices in step after reading or deleting
+const emitUnreadCount = async (req) => {
+    const count = await getUnreadCount(pool, req.user.id);
+    req.app.get('socketio').to(`user_${req.user.id}`).emit('notification_unread_count', { count });
+    return count;
+};
+
+// @route   GET /api/notifications
+// @desc    Get the user's notifications, newest first (?unread_only=true for unread ones)
+// @access  Private
+router.get('/',
+    authenticateToken,
+    [
+        query('unread_only').optional().isBoolean().withMessage('unread_only must be true or false'),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 20 } = req.query;
+
+        const { notifications, totalCount } = await listNotifications(pool, req.user.id, {
+            unreadOnly: req.query.unread_only === 'true',
+            page: parseInt(page),
+            limit: parseInt(limit)
+        });
+        const unreadCount = await getUnreadCount(pool, req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                notifications,
+                unreadCount,
+                totalCount,
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(totalCount / limit)
+            }
+        });
+    })
+);
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get the number of unread notifications
+// @access  Private
+router.get('/unread-count', authenticateToken, asyncHandler(async (req, res) => {
+    const count = await getUnreadCount(pool, req.user.id);
+
+    res.json({
+        success: true,
+        data: { count }
+    });
+}));
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.patch('/read-all', authenticateToken, asyncHandler(async (req, res) => {
+    const [result] = await pool.execute(
+        'UPDATE notifications SET is_read = true WHERE user_id = ? AND is_read = false',
+        [req.user.id]
+    );
+
+    await emitUnreadCount(req);
+
+    res.json({
+        success: true,
+        message: `${result.affectedRows} notification(s) marked as read`
+    });
+}));
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.patch('/:id/read', authenticateToken, asyncHandler(async (req, res) => {
+    const [result] = await pool.execute(
+        'UPDATE notifications SET is_read = true WHERE id = ? AND user_id = ?',
+        [req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+        throw new AppError('Notification not found', 404);
+    }
+
+    const unreadCount = await emitUnreadCount(req);
+
+    res.json({
+        success: true,
+        message: 'Notification marked as read',
+        data: { unreadCount }
+    });
+}));
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
+    const [result] = await pool.execute(
+        'DELETE FROM notifications WHERE id = ? AND user_id = ?',
+        [req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+        throw new AppError('Notification not found', 404);
+    }
+
+    const unreadCount = await emitUnreadCount(req);
+
+    res.json({
+        success: true,
+        message: 'Notification deleted successfully',
+        data: { unreadCount }
+    });
+}));
+
+module.exports = router;
@@ -3,29 +3,182 @@ const { body, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { authenticateToken, requireCustomer, requireCook, requireAdmin } = require('../middleware/auth');
+const { findPromotionByCode } = require('../services/promotions');
+const { priceOrder, placeOrder } = require('../services/checkout');
+const { ORDER_STATUSES, getConfirmedAt, isWithinCancelGrace, getAllowedTransitions, transitionOrder } = require('../services/orderStatus');
+const { attachOrderItemOptions } = require('../services/menuOptions');
+const { estimateDelivery } = require('../services/eta');
+const { attachAllergenWarnings } = require('../services/dietary');
+const { notify, notifyRestaurant, notifyOrderStatus, pushNotifications } = require('../services/notifications');
 
 const router = express.Router();
 
-// Generate unique order number
-const generateOrderNumber = () => {
+// Generate unique checkout group number
+const generateGroupNumber = () => {
     const timestamp = Date.now().toString();
     const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    return `ORD-${timestamp.slice(-6)}${random}`;
+    return `CHK-${timestamp.slice(-6)}${random}`;
 };
 
-// @route   POST /api/orders
-// @desc    Create a new order
+// Notify the customer (and the restaurant) about a status transition, and anyone watching a dish it put back on sale
+const emitStatusChange = async (req, order, transition) => {
+    const io = req.app.get('socketio');
+    const payload = {
+        orderId: order.id,
+        status: transition.toStatus,
+        previousStatus: transition.fromStatus,
+        orderNumber: order.order_number
+    };
+
+    io.to(`user_${order.customer_id}`).emit('order_status_changed', payload);
+    io.to(`restaurant_${order.restaurant_id}`).emit('new_order_update', payload);
+    await notifyOrderStatus(io, order, transition.toStatus);
+
+    if (transition.estimatedDeliveryTime) {
+        io.to(`user_${order.customer_id}`).emit('order_eta_updated', {
+            orderId: order.id,
+            orderNumber: order.order_number,
+            estimatedDeliveryTime: transition.estimatedDeliveryTime
+        });
+    }
+
+    if (transition.refundId) {
+        io.to(`user_${order.customer_id}`).emit('refund_status_changed', {
+            refundId: transition.refundId,
+            orderId: order.id,
+            orderNumber: order.order_number,
+            status: 'pending'
+        });
+    }
+
+    pushNotifications(io, transition.alerts || []);
+};
+
+// Let the restaurant know about a newly placed order and any dishes it sold out.
+// Scheduled orders reach the live queue later, when the scheduler releases them.
+// The order is already committed, so a failure here is logged rather than turned into an error response.
+const emitNewOrder = async (io, customer, placed) => {
+    try {
+        if (placed.status === 'pending') {
+            const customerName = `${customer.first_name} ${customer.last_name}`;
+            io.to(`restaurant_${placed.restaurantId}`).emit('new_order', {
+                orderId: placed.orderId,
+                orderNumber: placed.orderNumber,
+                customerName,
+                totalAmount: placed.finalAmount,
+                itemCount: placed.itemCount
+            });
+            await notifyRestaurant(io, placed.restaurantId, {
+                type: 'order',
+                title: `New order ${placed.orderNumber}`,
+                message: `${customerName} ordered ${placed.itemCount} item(s).`,
+                data: { orderId: placed.orderId, orderNumber: placed.orderNumber }
+            });
+        }
+
+        placed.soldOutItems.forEach(item => {
+            io.to(`restaurant_${placed.restaurantId}`).emit('food_item_sold_out', {
+                foodItemId: item.id,
+                name: item.name
+            });
+        });
+    } catch (error) {
+        console.error(`❌ Failed to announce order ${placed.orderNumber}:`, error.message);
+    }
+};
+
+// Get complete order details with restaurant, customer and items
+const getOrderWithItems = async (connection, orderId) => {
+    const [orders] = await connection.execute(`
+        SELECT o.*, 
+               JSON_OBJECT(
+                   'id', r.id,
+                   'name', r.name,
+                   'phone', r.phone,
+                   'logo_image', r.logo_image
+               ) as restaurant,
+               JSON_OBJECT(
+                   'id', u.id,
+                   'first_name', u.first_name,
+                   'last_name', u.last_name,
+                   'phone', u.phone
+               ) as customer
+        FROM orders o
+        JOIN restaurants r ON o.restaurant_id = r.id
+        JOIN users u ON o.customer_id = u.id
+        WHERE o.id = ?
+    `, [orderId]);
+
+    // Get order items
+    const [items] = await connection.execute(`
+        SELECT oi.*, fi.image
+        FROM order_items oi
+        LEFT JOIN food_items fi ON oi.food_item_id = fi.id
+        WHERE oi.order_id = ?
+    `, [orderId]);
+
+    return { ...orders[0], items: attachAllergenWarnings(await attachOrderItemOptions(connection, items)) };
+};
+
+// Get a checkout group with all of its orders and their items
+const getCheckoutGroup = async (groupId) => {
+    const [groups] = await pool.execute(
+        'SELECT * FROM checkout_groups WHERE id = ?',
+        [groupId]
+    );
+
+    if (groups.length === 0) {
+        return null;
+    }
+
+    const [orderIds] = await pool.execute(
+        'SELECT id FROM orders WHERE checkout_group_id = ? ORDER BY id',
+        [groupId]
+    );
+
+    const orders = [];
+    for (const { id } of orderIds) {
+        orders.push(await getOrderWithItems(pool, id));
+    }
+
+    return { ...groups[0], orders };
+};
+
+// Check that the user may view the order (its customer, the restaurant's cook, or an admin)
+const ensureOrderAccess = async (user, order) => {
+    if (user.user_type === 'customer' && order.customer_id !== user.id) {
+        throw new AppError('Unauthorized to view this order', 403);
+    }
+
+    if (user.user_type === 'cook') {
+        const [restaurants] = await pool.execute(
+            'SELECT id FROM restaurants WHERE cook_id = ?',
+            [user.id]
+        );
+        
+        if (restaurants.length === 0 || order.restaurant_id !== restaurants[0].id) {
+            throw new AppError('Unauthorized to view this order', 403);
+        }
+    }
+};
+
+// @route   POST /api/orders/quote
+// @desc    Validate and price a basket exactly as checkout would, without placing an order
 // @access  Private (Customer only)
-router.post('/', 
+router.post('/quote',
     authenticateToken,
     requireCustomer,
     [
         body('restaurant_id').isInt({ min: 1 }).withMessage('Valid restaurant ID is required'),
         body('items').isArray({ min: 1 }).withMessage('Order items are required'),
         body('items.*.food_item_id').isInt({ min: 1 }).withMessage('Valid food item ID is required'),
-        body('items.*.quantity').isInt({ min: 1 }).withMessage('Valid quantity is required'),
-        body('delivery_address').isObject().withMessage('Delivery address is required'),
-        body('payment_method').isIn(['cash', 'card', 'upi', 'wallet']).withMessage('Valid payment method is required')
+        body('items.*.quantity').isInt({ min: 1 }).withMessage('Valid quantity is required').toInt(),
+        body('items.*.options').optional().isArray().withMessage('Options must be an array of option IDs'),
+        body('items.*.options.*').optional().isInt({ min: 1 }).withMessage('Valid option ID is required'),
+        body('items.*.expected_unit_price').optional().isFloat({ min: 0 }).withMessage('Expected unit price must be a valid amount'),
+        body('scheduled_for').optional().isISO8601().withMessage('Scheduled time must be an ISO 8601 date'),
+        body('delivery_address').optional().isObject().withMessage('Delivery address must be an object'),
+        body('coupon_code').optional().isString().trim().notEmpty().withMessage('Coupon code must not be empty')
     ],
     asyncHandler(async (req, res) => {
         const errors = validationResult(req);
@@ -37,158 +190,241 @@ router.post('/',
             });
         }
 
-        const { restaurant_id, items, delivery_address, payment_method, special_instructions } = req.body;
-        const customer_id = req.user.id;
+        const { restaurant_id, items, coupon_code, scheduled_for, delivery_address } = req.body;
 
-        // Start transaction
-        const connection = await pool.getConnection();
-        await connection.beginTransaction();
-
-        try {
-            // Verify restaurant exists and is active
-            const [restaurants] = await connection.execute(
-                'SELECT id, delivery_fee FROM restaurants WHERE id = ? AND is_active = true',
-                [restaurant_id]
-            );
+        const { orderItems, pricing, delivery, problems } = await priceOrder(pool, {
+            customerId: req.user.id,
+            restaurantId: restaurant_id,
+            items,
+            couponCode: coupon_code,
+            scheduledFor: scheduled_for ? new Date(scheduled_for) : null,
+            deliveryAddress: delivery_address || null
+        });
 
-            if (restaurants.length === 0) {
-                throw new AppError('Restaurant not found or inactive', 404);
+        res.json({
+            success: true,
+            data: {
+                quote: {
+                    items: orderItems,
+                    ...pricing,
+                    delivery_zone: delivery && delivery.zone,
+                    distance_km: delivery && delivery.distanceKm,
+                    problems,
+                    canCheckout: problems.length === 0
+                }
             }
+        });
+    })
+);
 
-            const restaurant = restaurants[0];
-
-            // Validate and calculate order total
-            let totalAmount = 0;
-            const orderItems = [];
+// @route   POST /api/orders/checkout
+// @desc    Check out the whole cart, creating one linked order per restaurant
+// @access  Private (Customer only)
+router.post('/checkout',
+    authenticateToken,
+    requireCustomer,
+    [
+        body('delivery_address').isObject().withMessage('Delivery address is required'),
+        body('delivery_address.lat').isFloat({ min: -90, max: 90 }).withMessage('Delivery address needs a valid latitude (lat)'),
+        body('delivery_address.lng').isFloat({ min: -180, max: 180 }).withMessage('Delivery address needs a valid longitude (lng)'),
+        body('payment_method').isIn(['cash', 'card', 'upi', 'wallet']).withMessage('Valid payment method is required'),
+        body('restaurant_ids').optional().isArray({ min: 1 }).withMessage('Restaurant IDs must be a non-empty array'),
+        body('restaurant_ids.*').optional().isInt({ min: 1 }).withMessage('Valid restaurant ID is required'),
+        body('special_instructions').optional().isObject().withMessage('Special instructions must map restaurant IDs to notes'),
+        body('scheduled_for').optional().isISO8601().withMessage('Scheduled time must be an ISO 8601 date'),
+        body('coupon_code').optional().isString().trim().notEmpty().withMessage('Coupon code must not be empty')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
 
-            for (const item of items) {
-                const [foodItems] = await connection.execute(
-                    'SELECT id, name, price, is_available FROM food_items WHERE id = ? AND restaurant_id = ?',
-                    [item.food_item_id, restaurant_id]
-                );
+        const { delivery_address, payment_method, restaurant_ids, coupon_code, scheduled_for } = req.body;
+        const specialInstructions = req.body.special_instructions || {};
+        const scheduledFor = scheduled_for ? new Date(scheduled_for) : null;
 
-                if (foodItems.length === 0) {
-                    throw new AppError(`Food item ${item.food_item_id} not found`, 404);
-                }
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
 
-                const foodItem = foodItems[0];
+        let groupId;
+        let groupNumber;
+        const placedOrders = [];
 
-                if (!foodItem.is_available) {
-                    throw new AppError(`Food item "${foodItem.name}" is not available`, 400);
+        try {
+            // Lock the cart rows so a concurrent checkout can't order them twice
+            const [cartItems] = await connection.execute(`
+                SELECT ci.food_item_id, ci.quantity, ci.selected_options, ci.unit_price, ci.special_requests, fi.restaurant_id
+                FROM cart_items ci
+                JOIN food_items fi ON ci.food_item_id = fi.id
+                WHERE ci.customer_id = ?
+                ORDER BY ci.created_at
+                FOR UPDATE
+            `, [req.user.id]);
+
+            // Group the cart by restaurant, keeping the order items were added in
+            const groups = new Map();
+            for (const cartItem of cartItems) {
+                if (restaurant_ids && !restaurant_ids.map(Number).includes(cartItem.restaurant_id)) {
+                    continue;
                 }
-
-                const itemTotal = parseFloat(foodItem.price) * item.quantity;
-                totalAmount += itemTotal;
-
-                orderItems.push({
-                    food_item_id: item.food_item_id,
-                    quantity: item.quantity,
-                    unit_price: foodItem.price,
-                    total_price: itemTotal,
-                    special_requests: item.special_requests || null
+                if (!groups.has(cartItem.restaurant_id)) {
+                    groups.set(cartItem.restaurant_id, []);
+                }
+                groups.get(cartItem.restaurant_id).push({
+                    food_item_id: cartItem.food_item_id,
+                    quantity: cartItem.quantity,
+                    options: cartItem.selected_options || [],
+                    special_requests: cartItem.special_requests,
+                    expected_unit_price: cartItem.unit_price
                 });
             }
 
-            // Calculate final amount
-            const deliveryFee = parseFloat(restaurant.delivery_fee) || 0;
-            const taxAmount = totalAmount * 0.05; // 5% tax
-            const finalAmount = totalAmount + deliveryFee + taxAmount;
-
-            // Generate order number
-            const orderNumber = generateOrderNumber();
-
-            // Create order
-            const [orderResult] = await connection.execute(
-                `INSERT INTO orders (
-                    customer_id, restaurant_id, order_number, total_amount, 
-                    delivery_fee, tax_amount, final_amount, payment_method, 
-                    delivery_address, special_instructions, estimated_delivery_time
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [
-                    customer_id, restaurant_id, orderNumber, totalAmount,
-                    deliveryFee, taxAmount, finalAmount, payment_method,
-                    JSON.stringify(delivery_address), special_instructions,
-                    new Date(Date.now() + 45 * 60000) // 45 minutes from now
-                ]
-            );
-
-            const orderId = orderResult.insertId;
+            if (groups.size === 0) {
+                throw new AppError('Your cart is empty', 400);
+            }
 
-            // Insert order items
-            for (const item of orderItems) {
-                await connection.execute(
-                    'INSERT INTO order_items (order_id, food_item_id, quantity, unit_price, total_price, special_requests) VALUES (?, ?, ?, ?, ?, ?)',
-                    [orderId, item.food_item_id, item.quantity, item.unit_price, item.total_price, item.special_requests]
-                );
+            // A coupon applies to the restaurant it is restricted to, or else to the first restaurant in the cart
+            let couponRestaurantId = null;
+            if (coupon_code) {
+                const promotion = await findPromotionByCode(connection, coupon_code);
+                if (!promotion) {
+                    throw new AppError('Invalid or inactive coupon code', 400);
+                }
+                couponRestaurantId = promotion.restaurant_id || groups.keys().next().value;
+                if (!groups.has(couponRestaurantId)) {
+                    throw new AppError('This coupon is not valid for any restaurant in your cart', 400);
+                }
+            }
 
-                // Update food item order count
-                await connection.execute(
-                    'UPDATE food_items SET total_orders = total_orders + ? WHERE id = ?',
-                    [item.quantity, item.food_item_id]
-                );
+            groupNumber = generateGroupNumber();
+            const [groupResult] = await connection.execute(
+                'INSERT INTO checkout_groups (customer_id, group_number, payment_method, total_amount) VALUES (?, ?, ?, 0)',
+                [req.user.id, groupNumber, payment_method]
+            );
+            groupId = groupResult.insertId;
+
+            // Number the orders after their group, so orders placed in the same instant can't collide
+            const orderNumberPrefix = groupNumber.replace(/^CHK-/, 'ORD-');
+            for (const [restaurantId, items] of groups) {
+                const placed = await placeOrder(connection, {
+                    customer: req.user,
+                    restaurantId,
+                    items,
+                    couponCode: restaurantId === couponRestaurantId ? coupon_code : null,
+                    deliveryAddress: delivery_address,
+                    paymentMethod: payment_method,
+                    specialInstructions: specialInstructions[restaurantId],
+                    checkoutGroupId: groupId,
+                    scheduledFor,
+                    orderNumber: `${orderNumberPrefix}-${placedOrders.length + 1}`
+                });
+                placedOrders.push(placed);
             }
 
-            // Clear customer's cart for this restaurant
+            // One payment covers the whole group
+            const totalAmount = placedOrders.reduce((sum, placed) => sum + placed.finalAmount, 0);
             await connection.execute(
-                'DELETE ci FROM cart_items ci JOIN food_items fi ON ci.food_item_id = fi.id WHERE ci.customer_id = ? AND fi.restaurant_id = ?',
-                [customer_id, restaurant_id]
+                'UPDATE checkout_groups SET total_amount = ? WHERE id = ?',
+                [Math.round(totalAmount * 100) / 100, groupId]
             );
 
             await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        const io = req.app.get('socketio');
+        for (const placed of placedOrders) {
+            await emitNewOrder(io, req.user, placed);
+        }
+
+        const group = await getCheckoutGroup(groupId);
+
+        res.status(201).json({
+            success: true,
+            message: `${placedOrders.length} order(s) placed successfully`,
+            data: { group }
+        });
+    })
+);
 
-            // Get complete order details
-            const [orders] = await connection.execute(`
-                SELECT o.*, 
-                       JSON_OBJECT(
-                           'id', r.id,
-                           'name', r.name,
-                           'phone', r.phone,
-                           'logo_image', r.logo_image
-                       ) as restaurant,
-                       JSON_OBJECT(
-                           'id', u.id,
-                           'first_name', u.first_name,
-                           'last_name', u.last_name,
-                           'phone', u.phone
-                       ) as customer
-                FROM orders o
-                JOIN restaurants r ON o.restaurant_id = r.id
-                JOIN users u ON o.customer_id = u.id
-                WHERE o.id = ?
-            `, [orderId]);
-
-            // Get order items
-            const [items_data] = await connection.execute(`
-                SELECT oi.*, fi.name, fi.image
-                FROM order_items oi
-                JOIN food_items fi ON oi.food_item_id = fi.id
-                WHERE oi.order_id = ?
-            `, [orderId]);
-
-            // Emit real-time notification
-            const io = req.app.get('socketio');
-            io.to(`restaurant_${restaurant_id}`).emit('new_order', {
-                orderId,
-                orderNumber,
-                customerName: `${req.user.first_name} ${req.user.last_name}`,
-                totalAmount: finalAmount,
-                itemCount: items.length
+// @route   POST /api/orders
+// @desc    Create a new order
+// @access  Private (Customer only)
+router.post('/', 
+    authenticateToken,
+    requireCustomer,
+    [
+        body('restaurant_id').isInt({ min: 1 }).withMessage('Valid restaurant ID is required'),
+        body('items').isArray({ min: 1 }).withMessage('Order items are required'),
+        body('items.*.food_item_id').isInt({ min: 1 }).withMessage('Valid food item ID is required'),
+        body('items.*.quantity').isInt({ min: 1 }).withMessage('Valid quantity is required').toInt(),
+        body('items.*.options').optional().isArray().withMessage('Options must be an array of option IDs'),
+        body('items.*.options.*').optional().isInt({ min: 1 }).withMessage('Valid option ID is required'),
+        body('items.*.expected_unit_price').optional().isFloat({ min: 0 }).withMessage('Expected unit price must be a valid amount'),
+        body('delivery_address').isObject().withMessage('Delivery address is required'),
+        body('delivery_address.lat').isFloat({ min: -90, max: 90 }).withMessage('Delivery address needs a valid latitude (lat)'),
+        body('delivery_address.lng').isFloat({ min: -180, max: 180 }).withMessage('Delivery address needs a valid longitude (lng)'),
+        body('payment_method').isIn(['cash', 'card', 'upi', 'wallet']).withMessage('Valid payment method is required'),
+        body('scheduled_for').optional().isISO8601().withMessage('Scheduled time must be an ISO 8601 date'),
+        body('coupon_code').optional().isString().trim().notEmpty().withMessage('Coupon code must not be empty')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
             });
+        }
 
-            res.status(201).json({
-                success: true,
-                message: 'Order placed successfully',
-                data: {
-                    order: { ...orders[0], items: items_data }
-                }
+        const { restaurant_id, items, delivery_address, payment_method, special_instructions, coupon_code, scheduled_for } = req.body;
+
+        // Start transaction
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        let placed;
+        try {
+            placed = await placeOrder(connection, {
+                customer: req.user,
+                restaurantId: restaurant_id,
+                items,
+                couponCode: coupon_code,
+                deliveryAddress: delivery_address,
+                paymentMethod: payment_method,
+                specialInstructions: special_instructions,
+                scheduledFor: scheduled_for ? new Date(scheduled_for) : null
             });
 
+            await connection.commit();
         } catch (error) {
             await connection.rollback();
             throw error;
         } finally {
             connection.release();
         }
+
+        // Emit real-time notification
+        const io = req.app.get('socketio');
+        await emitNewOrder(io, req.user, placed);
+
+        const order = await getOrderWithItems(pool, placed.orderId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Order placed successfully',
+            data: { order }
+        });
     })
 );
 
@@ -236,6 +472,13 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
                    'name', r.name,
                    'logo_image', r.logo_image
                ) as restaurant,
+               CASE WHEN cg.id IS NULL THEN NULL ELSE JSON_OBJECT(
+                   'id', cg.id,
+                   'group_number', cg.group_number,
+                   'total_amount', cg.total_amount,
+                   'payment_status', cg.payment_status,
+                   'order_count', (SELECT COUNT(*) FROM orders go WHERE go.checkout_group_id = cg.id)
+               ) END as checkout_group,
                JSON_OBJECT(
                    'id', u.id,
                    'first_name', u.first_name,
@@ -245,8 +488,9 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
         FROM orders o
         JOIN restaurants r ON o.restaurant_id = r.id
         JOIN users u ON o.customer_id = u.id
+        LEFT JOIN checkout_groups cg ON o.checkout_group_id = cg.id
         ${whereClause}
-        ORDER BY o.created_at DESC
+        ORDER BY o.created_at DESC, o.checkout_group_id, o.id
         LIMIT ? OFFSET ?
     `, [...params, parseInt(limit), offset]);
 
@@ -268,6 +512,84 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
     });
 }));
 
+// @route   GET /api/orders/groups/:groupId
+// @desc    Get a multi-restaurant checkout with all of its orders
+// @access  Private (Customer/Admin only)
+router.get('/groups/:groupId', authenticateToken, asyncHandler(async (req, res) => {
+    const group = await getCheckoutGroup(req.params.groupId);
+
+    if (!group || (req.user.user_type !== 'admin' && group.customer_id !== req.user.id)) {
+        throw new AppError('Checkout group not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: { group }
+    });
+}));
+
+// @route   PATCH /api/orders/groups/:groupId/payment
+// @desc    Record the single payment for a checkout group on the group and all of its orders
+// @access  Private (Admin only)
+router.patch('/groups/:groupId/payment',
+    authenticateToken,
+    requireAdmin,
+    [
+        body('payment_status').isIn(['paid', 'failed']).withMessage('Payment status must be either paid or failed')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { payment_status } = req.body;
+
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            const [groups] = await connection.execute(
+                'SELECT * FROM checkout_groups WHERE id = ? FOR UPDATE',
+                [req.params.groupId]
+            );
+
+            if (groups.length === 0) {
+                throw new AppError('Checkout group not found', 404);
+            }
+
+            if (groups[0].payment_status !== 'pending') {
+                throw new AppError(`Payment for this checkout is already ${groups[0].payment_status}`, 409);
+            }
+
+            await connection.execute(
+                'UPDATE checkout_groups SET payment_status = ? WHERE id = ?',
+                [payment_status, groups[0].id]
+            );
+            await connection.execute(
+                'UPDATE orders SET payment_status = ? WHERE checkout_group_id = ?',
+                [payment_status, groups[0].id]
+            );
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        res.json({
+            success: true,
+            message: `Checkout payment marked as ${payment_status}`
+        });
+    })
+);
+
 // @route   GET /api/orders/:id
 // @desc    Get order details
 // @access  Private
@@ -302,33 +624,78 @@ router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
     const order = orders[0];
 
     // Check if user has permission to view this order
-    if (req.user.user_type === 'customer' && order.customer_id !== req.user.id) {
-        throw new AppError('Unauthorized to view this order', 403);
-    }
+    await ensureOrderAccess(req.user, order);
 
-    if (req.user.user_type === 'cook') {
-        const [restaurants] = await pool.execute(
-            'SELECT id FROM restaurants WHERE cook_id = ?',
-            [req.user.id]
-        );
-        
-        if (restaurants.length === 0 || order.restaurant_id !== restaurants[0].id) {
-            throw new AppError('Unauthorized to view this order', 403);
+    // Order lines are read from their checkout snapshot so past receipts never change
+    const [orderItems] = await pool.execute(`
+        SELECT oi.*, fi.image
+        FROM order_items oi
+        LEFT JOIN food_items fi ON oi.food_item_id = fi.id
+        WHERE oi.order_id = ?
+    `, [orderId]);
+    const items = attachAllergenWarnings(await attachOrderItemOptions(pool, orderItems));
+
+    // Get the latest cancellation request, if any
+    const [cancellationRequests] = await pool.execute(
+        'SELECT id, status, reason, response_note, created_at, updated_at FROM order_cancellation_requests WHERE order_id = ? ORDER BY id DESC LIMIT 1',
+        [orderId]
+    );
+
+    res.json({
+        success: true,
+        data: {
+            order: {
+                ...order,
+                items,
+                cancellation_request: cancellationRequests[0] || null,
+                allowed_transitions: getAllowedTransitions(order, req.user.user_type, {
+                    confirmedAt: order.status === 'confirmed' ? await getConfirmedAt(pool, order) : null
+                }),
+                eta: await estimateDelivery(pool, order)
+            }
         }
+    });
+}));
+
+// @route   GET /api/orders/:id/timeline
+// @desc    Get order status history
+// @access  Private
+router.get('/:id/timeline', authenticateToken, asyncHandler(async (req, res) => {
+    const orderId = req.params.id;
+
+    const [orders] = await pool.execute(
+        'SELECT id, customer_id, restaurant_id, order_number, status FROM orders WHERE id = ?',
+        [orderId]
+    );
+
+    if (orders.length === 0) {
+        throw new AppError('Order not found', 404);
     }
 
-    // Get order items
-    const [items] = await pool.execute(`
-        SELECT oi.*, fi.name, fi.image
-        FROM order_items oi
-        JOIN food_items fi ON oi.food_item_id = fi.id
-        WHERE oi.order_id = ?
+    const order = orders[0];
+    await ensureOrderAccess(req.user, order);
+
+    const [timeline] = await pool.execute(`
+        SELECT h.id, h.from_status, h.to_status, h.changed_by_role, h.reason, h.created_at,
+               CASE WHEN u.id IS NULL THEN NULL ELSE JSON_OBJECT(
+                   'id', u.id,
+                   'first_name', u.first_name,
+                   'last_name', u.last_name,
+                   'user_type', u.user_type
+               ) END as changed_by
+        FROM order_status_history h
+        LEFT JOIN users u ON h.changed_by = u.id
+        WHERE h.order_id = ?
+        ORDER BY h.created_at ASC, h.id ASC
     `, [orderId]);
 
     res.json({
         success: true,
         data: {
-            order: { ...order, items }
+            orderId: order.id,
+            orderNumber: order.order_number,
+            status: order.status,
+            timeline
         }
     });
 }));
@@ -339,7 +706,8 @@ router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
 router.patch('/:id/status', 
     authenticateToken,
     [
-        body('status').isIn(['pending', 'confirmed', 'preparing', 'sent_to_delivery', 'delivered', 'cancelled']).withMessage('Valid status is required')
+        body('status').isIn(ORDER_STATUSES).withMessage('Valid status is required'),
+        body('reason').optional().isString().isLength({ max: 500 }).trim().withMessage('Reason must be at most 500 characters')
     ],
     asyncHandler(async (req, res) => {
         const errors = validationResult(req);
@@ -352,60 +720,287 @@ router.patch('/:id/status',
         }
 
         const orderId = req.params.id;
-        const { status } = req.body;
+        const { status, reason } = req.body;
 
-        // Get order details
-        const [orders] = await pool.execute(
-            'SELECT * FROM orders WHERE id = ?',
-            [orderId]
-        );
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        let order;
+        let transition;
+
+        try {
+            // Lock the order so concurrent updates can't skip a state
+            const [orders] = await connection.execute(
+                'SELECT * FROM orders WHERE id = ? FOR UPDATE',
+                [orderId]
+            );
+
+            if (orders.length === 0) {
+                throw new AppError('Order not found', 404);
+            }
+
+            order = orders[0];
+
+            // Check permissions
+            if (req.user.user_type === 'cook') {
+                const [restaurants] = await connection.execute(
+                    'SELECT id FROM restaurants WHERE cook_id = ?',
+                    [req.user.id]
+                );
+                
+                if (restaurants.length === 0 || order.restaurant_id !== restaurants[0].id) {
+                    throw new AppError('Unauthorized to update this order', 403);
+                }
+            } else if (req.user.user_type !== 'admin') {
+                throw new AppError('Insufficient permissions', 403);
+            }
+
+            transition = await transitionOrder(connection, order, status, {
+                actor: { id: req.user.id, role: req.user.user_type },
+                reason: reason || null
+            });
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        // Emit real-time update
+        await emitStatusChange(req, order, transition);
+
+        res.json({
+            success: true,
+            message: 'Order status updated successfully',
+            data: {
+                status,
+                previousStatus: transition.fromStatus,
+                allowedTransitions: getAllowedTransitions({ ...order, status }, req.user.user_type)
+            }
+        });
+    })
+);
 
-        if (orders.length === 0) {
-            throw new AppError('Order not found', 404);
+// @route   POST /api/orders/:id/cancel
+// @desc    Cancel an order, or ask the restaurant to cancel it once preparation has started
+// @access  Private (Customer only)
+router.post('/:id/cancel',
+    authenticateToken,
+    requireCustomer,
+    [
+        body('reason').optional().isString().isLength({ max: 500 }).trim().withMessage('Reason must be at most 500 characters')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
         }
 
-        const order = orders[0];
+        const reason = req.body.reason || null;
+
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        let order;
+        let transition = null;
+        let requestId = null;
 
-        // Check permissions
-        if (req.user.user_type === 'cook') {
-            const [restaurants] = await pool.execute(
-                'SELECT id FROM restaurants WHERE cook_id = ?',
-                [req.user.id]
+        try {
+            const [orders] = await connection.execute(
+                'SELECT * FROM orders WHERE id = ? AND customer_id = ? FOR UPDATE',
+                [req.params.id, req.user.id]
             );
-            
-            if (restaurants.length === 0 || order.restaurant_id !== restaurants[0].id) {
-                throw new AppError('Unauthorized to update this order', 403);
+
+            if (orders.length === 0) {
+                throw new AppError('Order not found', 404);
+            }
+
+            order = orders[0];
+
+            let cancelImmediately = ['scheduled', 'pending'].includes(order.status);
+
+            if (order.status === 'confirmed') {
+                cancelImmediately = isWithinCancelGrace(await getConfirmedAt(connection, order));
+            }
+
+            if (cancelImmediately) {
+                transition = await transitionOrder(connection, order, 'cancelled', {
+                    actor: { id: req.user.id, role: req.user.user_type },
+                    reason
+                });
+            } else if (['confirmed', 'preparing'].includes(order.status)) {
+                const [pendingRequests] = await connection.execute(
+                    "SELECT id FROM order_cancellation_requests WHERE order_id = ? AND status = 'pending'",
+                    [order.id]
+                );
+
+                if (pendingRequests.length > 0) {
+                    throw new AppError('A cancellation request for this order is already pending', 409);
+                }
+
+                const [result] = await connection.execute(
+                    'INSERT INTO order_cancellation_requests (order_id, customer_id, reason) VALUES (?, ?, ?)',
+                    [order.id, req.user.id, reason]
+                );
+                requestId = result.insertId;
+            } else {
+                throw new AppError(`Orders that are "${order.status}" can no longer be cancelled`, 409);
             }
-        } else if (req.user.user_type !== 'admin') {
-            throw new AppError('Insufficient permissions', 403);
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
         }
 
-        // Update order status
-        const updateData = { status };
-        if (status === 'delivered') {
-            updateData.delivered_at = new Date();
+        if (transition) {
+            await emitStatusChange(req, order, transition);
+
+            return res.json({
+                success: true,
+                message: 'Order cancelled successfully',
+                data: { status: 'cancelled', refundId: transition.refundId }
+            });
         }
 
-        const setClause = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
-        const values = Object.values(updateData);
-        values.push(orderId);
+        const io = req.app.get('socketio');
+        io.to(`restaurant_${order.restaurant_id}`).emit('cancellation_requested', {
+            orderId: order.id,
+            orderNumber: order.order_number,
+            requestId,
+            reason
+        });
+        await notifyRestaurant(io, order.restaurant_id, {
+            type: 'order',
+            title: `Cancellation requested for ${order.order_number}`,
+            message: reason ? `The customer asked to cancel: ${reason}` : 'The customer asked to cancel this order.',
+            data: { orderId: order.id, orderNumber: order.order_number, cancellationRequestId: requestId }
+        });
 
-        await pool.execute(
-            `UPDATE orders SET ${setClause} WHERE id = ?`,
-            values
-        );
+        res.status(202).json({
+            success: true,
+            message: 'Cancellation request sent to the restaurant',
+            data: { status: order.status, cancellationRequestId: requestId }
+        });
+    })
+);
+
+// @route   PATCH /api/orders/:id/cancellation-request
+// @desc    Accept or decline a customer's cancellation request
+// @access  Private (Cook/Admin only)
+router.patch('/:id/cancellation-request',
+    authenticateToken,
+    [
+        body('decision').isIn(['accept', 'decline']).withMessage('Decision must be either accept or decline'),
+        body('response_note').optional().isString().isLength({ max: 500 }).trim().withMessage('Note must be at most 500 characters')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { decision } = req.body;
+        const responseNote = req.body.response_note || null;
+
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        let order;
+        let cancellationRequest;
+        let transition = null;
+
+        try {
+            const [orders] = await connection.execute(
+                'SELECT * FROM orders WHERE id = ? FOR UPDATE',
+                [req.params.id]
+            );
+
+            if (orders.length === 0) {
+                throw new AppError('Order not found', 404);
+            }
+
+            order = orders[0];
+
+            // Check permissions
+            if (req.user.user_type === 'cook') {
+                const [restaurants] = await connection.execute(
+                    'SELECT id FROM restaurants WHERE cook_id = ?',
+                    [req.user.id]
+                );
+                
+                if (restaurants.length === 0 || order.restaurant_id !== restaurants[0].id) {
+                    throw new AppError('Unauthorized to update this order', 403);
+                }
+            } else if (req.user.user_type !== 'admin') {
+                throw new AppError('Insufficient permissions', 403);
+            }
+
+            const [requests] = await connection.execute(
+                "SELECT * FROM order_cancellation_requests WHERE order_id = ? AND status = 'pending' FOR UPDATE",
+                [order.id]
+            );
+
+            if (requests.length === 0) {
+                throw new AppError('No pending cancellation request for this order', 404);
+            }
+
+            cancellationRequest = requests[0];
+
+            if (decision === 'accept') {
+                transition = await transitionOrder(connection, order, 'cancelled', {
+                    actor: { id: req.user.id, role: req.user.user_type },
+                    reason: cancellationRequest.reason || 'Cancellation requested by customer'
+                });
+            }
+
+            await connection.execute(
+                'UPDATE order_cancellation_requests SET status = ?, response_note = ?, responded_by = ? WHERE id = ?',
+                [decision === 'accept' ? 'accepted' : 'declined', responseNote, req.user.id, cancellationRequest.id]
+            );
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
 
-        // Emit real-time update
         const io = req.app.get('socketio');
-        io.to(`user_${order.customer_id}`).emit('order_status_changed', {
-            orderId,
-            status,
-            orderNumber: order.order_number
+        io.to(`user_${order.customer_id}`).emit('cancellation_request_resolved', {
+            orderId: order.id,
+            orderNumber: order.order_number,
+            requestId: cancellationRequest.id,
+            decision,
+            responseNote
         });
+        await notify(io, order.customer_id, {
+            type: 'order',
+            title: `Order ${order.order_number}`,
+            message: `The restaurant ${decision === 'accept' ? 'accepted' : 'declined'} your cancellation request.${responseNote ? ` ${responseNote}` : ''}`,
+            data: { orderId: order.id, orderNumber: order.order_number, cancellationRequestId: cancellationRequest.id, decision }
+        });
+
+        if (transition) {
+            await emitStatusChange(req, order, transition);
+        }
 
         res.json({
             success: true,
-            message: 'Order status updated successfully'
+            message: decision === 'accept' ? 'Cancellation request accepted' : 'Cancellation request declined'
         });
     })
 );
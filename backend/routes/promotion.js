@@ -0,0 +1,390 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authenticateToken, requireCustomer, requireCookOrAdmin, requireAdmin } = require('../middleware/auth');
+const { normalizeCode, findPromotionByCode } = require('../services/promotions');
+const { priceOrder } = require('../services/checkout');
+
+const router = express.Router();
+
+const promotionValidation = (optional = false) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+
+    return [
+        field('code').matches(/^[A-Za-z0-9_-]{3,50}$/).withMessage('Code must be 3-50 letters, numbers, dashes or underscores'),
+        field('name').isLength({ min: 2 }).trim().withMessage('Promotion name is required'),
+        field('discount_type').isIn(['percentage', 'flat', 'free_delivery']).withMessage('Discount type must be percentage, flat or free_delivery'),
+        body('discount_value').optional().isFloat({ min: 0 }).withMessage('Valid discount value is required'),
+        body('max_discount_amount').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Valid maximum discount is required'),
+        body('min_order_amount').optional().isFloat({ min: 0 }).withMessage('Valid minimum order amount is required'),
+        body('usage_limit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Usage limit must be a positive number'),
+        body('usage_limit_per_user').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Per-user usage limit must be a positive number'),
+        body('category_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Valid category ID is required'),
+        body('restaurant_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Valid restaurant ID is required'),
+        body('funded_by').optional().isIn(['platform', 'restaurant']).withMessage('Funded by must be platform or restaurant'),
+        body('starts_at').optional({ values: 'null' }).isISO8601().withMessage('Valid start date is required'),
+        body('ends_at').optional({ values: 'null' }).isISO8601().withMessage('Valid end date is required'),
+        body('is_active').optional().isBoolean().withMessage('is_active must be true or false')
+    ];
+};
+
+// Rules that span several fields. Checked on the promotion as it will be saved, so an update
+// is checked together with the stored values it leaves alone.
+const assertValidPromotion = ({ discount_type, discount_value, funded_by, restaurant_id }) => {
+    const value = parseFloat(discount_value || 0);
+
+    if (discount_type !== 'free_delivery' && !(value > 0)) {
+        throw new AppError('Percentage and flat discounts need a discount value above 0', 400);
+    }
+
+    if (discount_type === 'percentage' && value > 100) {
+        throw new AppError('Percentage discounts cannot exceed 100', 400);
+    }
+
+    if (funded_by === 'restaurant' && !restaurant_id) {
+        throw new AppError('Restaurant-funded promotions must be restricted to a restaurant', 400);
+    }
+};
+
+// Get the cook's restaurant ID, or throw if they have none
+const getCookRestaurantId = async (userId) => {
+    const [restaurants] = await pool.execute(
+        'SELECT id FROM restaurants WHERE cook_id = ?',
+        [userId]
+    );
+
+    if (restaurants.length === 0) {
+        throw new AppError('You need to create a restaurant profile first', 400);
+    }
+
+    return restaurants[0].id;
+};
+
+// Load a promotion the user may manage (cooks: their restaurant-funded promotions; admins: all)
+const getManageablePromotion = async (user, promotionId) => {
+    const [promotions] = await pool.execute(
+        'SELECT * FROM promotions WHERE id = ?',
+        [promotionId]
+    );
+
+    if (promotions.length === 0) {
+        throw new AppError('Promotion not found', 404);
+    }
+
+    const promotion = promotions[0];
+
+    if (user.user_type === 'cook') {
+        const restaurantId = await getCookRestaurantId(user.id);
+        if (promotion.restaurant_id !== restaurantId || promotion.funded_by !== 'restaurant') {
+            throw new AppError('Promotion not found or access denied', 404);
+        }
+    }
+
+    return promotion;
+};
+
+// @route   POST /api/promotions/validate
+// @desc    Check a coupon code against a basket (or the customer's cart for a restaurant)
+// @access  Private (Customer only)
+router.post('/validate',
+    authenticateToken,
+    requireCustomer,
+    [
+        body('code').notEmpty().withMessage('Coupon code is required'),
+        body('restaurant_id').isInt({ min: 1 }).withMessage('Valid restaurant ID is required'),
+        body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+        body('items.*.food_item_id').optional().isInt({ min: 1 }).withMessage('Valid food item ID is required'),
+        body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Valid quantity is required').toInt(),
+        body('items.*.options').optional().isArray().withMessage('Options must be an array of option IDs')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { code, restaurant_id } = req.body;
+
+        // Fall back to the customer's cart when no items are given
+        let basket = req.body.items;
+        if (!basket) {
+            const [cartItems] = await pool.execute(`
+                SELECT ci.food_item_id, ci.quantity, ci.selected_options as options
+                FROM cart_items ci
+                JOIN food_items fi ON ci.food_item_id = fi.id
+                WHERE ci.customer_id = ? AND fi.restaurant_id = ?
+            `, [req.user.id, restaurant_id]);
+            basket = cartItems;
+        }
+
+        if (basket.length === 0) {
+            throw new AppError('Your cart has no items from this restaurant', 400);
+        }
+
+        const promotion = await findPromotionByCode(pool, code);
+        const { discount, pricing, problems } = await priceOrder(pool, {
+            customerId: req.user.id,
+            restaurantId: restaurant_id,
+            items: basket,
+            couponCode: code
+        });
+
+        if (!discount) {
+            const couponProblem = problems.find(p => p.code === 'coupon_invalid');
+            throw new AppError(couponProblem ? couponProblem.message : 'No items in your order are eligible for this coupon', 400);
+        }
+
+        res.json({
+            success: true,
+            message: 'Coupon applied',
+            data: {
+                code: discount.code,
+                name: promotion.name,
+                discountType: promotion.discount_type,
+                itemDiscount: discount.itemDiscount,
+                deliveryDiscount: discount.deliveryDiscount,
+                discountAmount: discount.discountAmount,
+                finalAmount: pricing.finalAmount
+            }
+        });
+    })
+);
+
+// @route   GET /api/promotions
+// @desc    Get promotions (cook: their restaurant's, admin: all)
+// @access  Private (Cook/Admin only)
+router.get('/', authenticateToken, requireCookOrAdmin, asyncHandler(async (req, res) => {
+    const { funded_by, active } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (req.user.user_type === 'cook') {
+        conditions.push("p.restaurant_id = ? AND p.funded_by = 'restaurant'");
+        params.push(await getCookRestaurantId(req.user.id));
+    } else if (funded_by) {
+        conditions.push('p.funded_by = ?');
+        params.push(funded_by);
+    }
+
+    if (active !== undefined) {
+        conditions.push('p.is_active = ?');
+        params.push(active === 'true');
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [promotions] = await pool.execute(`
+        SELECT p.*,
+               COALESCE(SUM(pr.discount_amount), 0) as total_discount_given
+        FROM promotions p
+        LEFT JOIN promotion_redemptions pr ON pr.promotion_id = p.id
+        ${whereClause}
+        GROUP BY p.id
+        ORDER BY p.created_at DESC
+    `, params);
+
+    res.json({
+        success: true,
+        data: { promotions }
+    });
+}));
+
+// @route   GET /api/promotions/report
+// @desc    Discount totals split by who funds them
+// @access  Private (Admin only)
+router.get('/report', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const [report] = await pool.execute(`
+        SELECT pr.funded_by,
+               COUNT(*) as redemptions,
+               COALESCE(SUM(pr.discount_amount), 0) as total_discount
+        FROM promotion_redemptions pr
+        GROUP BY pr.funded_by
+    `);
+
+    res.json({
+        success: true,
+        data: { report }
+    });
+}));
+
+// @route   GET /api/promotions/:id
+// @desc    Get promotion details
+// @access  Private (Cook/Admin only)
+router.get('/:id', authenticateToken, requireCookOrAdmin, asyncHandler(async (req, res) => {
+    const promotion = await getManageablePromotion(req.user, req.params.id);
+
+    const [stats] = await pool.execute(
+        'SELECT COUNT(*) as redemptions, COALESCE(SUM(discount_amount), 0) as total_discount FROM promotion_redemptions WHERE promotion_id = ?',
+        [promotion.id]
+    );
+
+    res.json({
+        success: true,
+        data: { promotion: { ...promotion, ...stats[0] } }
+    });
+}));
+
+// @route   POST /api/promotions
+// @desc    Create a promotion
+// @access  Private (Cook/Admin only)
+router.post('/',
+    authenticateToken,
+    requireCookOrAdmin,
+    promotionValidation(),
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            name, description, discount_type, discount_value = 0, max_discount_amount,
+            min_order_amount = 0, usage_limit, usage_limit_per_user, category_id,
+            starts_at, ends_at, is_active = true
+        } = req.body;
+
+        // Cooks fund their own promotions and can only target their own restaurant
+        let restaurantId = req.body.restaurant_id || null;
+        let fundedBy = req.body.funded_by || 'platform';
+        if (req.user.user_type === 'cook') {
+            restaurantId = await getCookRestaurantId(req.user.id);
+            fundedBy = 'restaurant';
+        }
+
+        assertValidPromotion({ discount_type, discount_value, funded_by: fundedBy, restaurant_id: restaurantId });
+
+        const [result] = await pool.execute(`
+            INSERT INTO promotions (
+                code, name, description, discount_type, discount_value, max_discount_amount,
+                min_order_amount, usage_limit, usage_limit_per_user, restaurant_id, category_id,
+                funded_by, starts_at, ends_at, is_active, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            normalizeCode(req.body.code), name, description || null, discount_type, discount_value,
+            max_discount_amount || null, min_order_amount, usage_limit || null, usage_limit_per_user || null,
+            restaurantId, category_id || null, fundedBy,
+            starts_at ? new Date(starts_at) : null, ends_at ? new Date(ends_at) : null,
+            is_active, req.user.id
+        ]);
+
+        const [promotion] = await pool.execute(
+            'SELECT * FROM promotions WHERE id = ?',
+            [result.insertId]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Promotion created successfully',
+            data: { promotion: promotion[0] }
+        });
+    })
+);
+
+// @route   PUT /api/promotions/:id
+// @desc    Update a promotion
+// @access  Private (Cook/Admin only)
+router.put('/:id',
+    authenticateToken,
+    requireCookOrAdmin,
+    promotionValidation(true),
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const promotion = await getManageablePromotion(req.user, req.params.id);
+
+        const updateFields = [];
+        const values = [];
+        const updated = { ...promotion };
+        const allowedFields = [
+            'code', 'name', 'description', 'discount_type', 'discount_value', 'max_discount_amount',
+            'min_order_amount', 'usage_limit', 'usage_limit_per_user', 'category_id',
+            'starts_at', 'ends_at', 'is_active'
+        ];
+
+        // Only admins decide who funds a promotion and which restaurant it targets
+        if (req.user.user_type === 'admin') {
+            allowedFields.push('restaurant_id', 'funded_by');
+        }
+
+        allowedFields.forEach(field => {
+            if (req.body.hasOwnProperty(field)) {
+                let value = req.body[field];
+                if (field === 'code') {
+                    value = normalizeCode(value);
+                } else if ((field === 'starts_at' || field === 'ends_at') && value) {
+                    value = new Date(value);
+                }
+                updateFields.push(`${field} = ?`);
+                values.push(value);
+                updated[field] = value;
+            }
+        });
+
+        if (updateFields.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No valid fields to update'
+            });
+        }
+
+        assertValidPromotion(updated);
+
+        values.push(promotion.id);
+        await pool.execute(
+            `UPDATE promotions SET ${updateFields.join(', ')} WHERE id = ?`,
+            values
+        );
+
+        const [updatedPromotion] = await pool.execute(
+            'SELECT * FROM promotions WHERE id = ?',
+            [promotion.id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Promotion updated successfully',
+            data: { promotion: updatedPromotion[0] }
+        });
+    })
+);
+
+// @route   DELETE /api/promotions/:id
+// @desc    Delete a promotion (deactivates it instead if it has been used)
+// @access  Private (Cook/Admin only)
+router.delete('/:id', authenticateToken, requireCookOrAdmin, asyncHandler(async (req, res) => {
+    const promotion = await getManageablePromotion(req.user, req.params.id);
+
+    if (promotion.times_used > 0) {
+        await pool.execute('UPDATE promotions SET is_active = false WHERE id = ?', [promotion.id]);
+
+        return res.json({
+            success: true,
+            message: 'Promotion has been used, so it was deactivated instead of deleted'
+        });
+    }
+
+    await pool.execute('DELETE FROM promotions WHERE id = ?', [promotion.id]);
+
+    res.json({
+        success: true,
+        message: 'Promotion deleted successfully'
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,297 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authenticateToken, requireCustomer, requireCookOrAdmin } = require('../middleware/auth');
+const { createRefundRequest, transitionRefund } = require('../services/refunds');
+const { notify, notifyRestaurant } = require('../services/notifications');
+
+const router = express.Router();
+
+// Load a refund with its order and check the user may access it
+const getAccessibleRefund = async (connection, user, refundId, { forUpdate = false } = {}) => {
+    const [refunds] = await connection.execute(`
+        SELECT rr.*, o.order_number, o.restaurant_id, o.final_amount, o.payment_status, r.cook_id
+        FROM refund_requests rr
+        JOIN orders o ON rr.order_id = o.id
+        JOIN restaurants r ON o.restaurant_id = r.id
+        WHERE rr.id = ?
+        ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [refundId]);
+
+    if (refunds.length === 0) {
+        throw new AppError('Refund request not found', 404);
+    }
+
+    const refund = refunds[0];
+
+    if (user.user_type === 'customer' && refund.customer_id !== user.id) {
+        throw new AppError('Unauthorized to access this refund request', 403);
+    }
+
+    if (user.user_type === 'cook' && refund.cook_id !== user.id) {
+        throw new AppError('Unauthorized to access this refund request', 403);
+    }
+
+    return refund;
+};
+
+// Notify the customer that their refund request changed
+const emitRefundUpdate = async (req, refund, status) => {
+    const io = req.app.get('socketio');
+    io.to(`user_${refund.customer_id}`).emit('refund_status_changed', {
+        refundId: refund.id,
+        orderId: refund.order_id,
+        orderNumber: refund.order_number,
+        amount: refund.amount,
+        status
+    });
+    await notify(io, refund.customer_id, {
+        type: 'refund',
+        title: `Refund for order ${refund.order_number}`,
+        message: `Your refund of ${parseFloat(refund.amount).toFixed(2)} has been ${status}.`,
+        data: { refundId: refund.id, orderId: refund.order_id, orderNumber: refund.order_number, status }
+    });
+};
+
+// @route   POST /api/refunds
+// @desc    Request a refund for an order
+// @access  Private (Customer only)
+router.post('/',
+    authenticateToken,
+    requireCustomer,
+    [
+        body('order_id').isInt({ min: 1 }).withMessage('Valid order ID is required'),
+        body('reason').isLength({ min: 5 }).trim().withMessage('Reason must be at least 5 characters'),
+        body('amount').isFloat({ gt: 0 }).withMessage('Valid refund amount is required')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { order_id, reason, amount } = req.body;
+
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        let order;
+        let refundId;
+
+        try {
+            // Lock the order so concurrent requests can't exceed the order total
+            const [orders] = await connection.execute(
+                'SELECT * FROM orders WHERE id = ? AND customer_id = ? FOR UPDATE',
+                [order_id, req.user.id]
+            );
+
+            if (orders.length === 0) {
+                throw new AppError('Order not found', 404);
+            }
+
+            order = orders[0];
+            refundId = await createRefundRequest(connection, {
+                order,
+                customerId: req.user.id,
+                reason,
+                amount
+            });
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        const [refunds] = await pool.execute(
+            'SELECT * FROM refund_requests WHERE id = ?',
+            [refundId]
+        );
+
+        // Let the restaurant know a refund is waiting for review
+        const io = req.app.get('socketio');
+        io.to(`restaurant_${order.restaurant_id}`).emit('new_refund_request', {
+            refundId,
+            orderId: order.id,
+            orderNumber: order.order_number,
+            amount: refunds[0].amount
+        });
+        await notifyRestaurant(io, order.restaurant_id, {
+            type: 'refund',
+            title: `Refund requested for ${order.order_number}`,
+            message: `The customer asked for a refund of ${parseFloat(refunds[0].amount).toFixed(2)}.`,
+            data: { refundId, orderId: order.id, orderNumber: order.order_number }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Refund request submitted successfully',
+            data: { refund: refunds[0] }
+        });
+    })
+);
+
+// @route   GET /api/refunds
+// @desc    Get refund requests (customer: own, cook: their restaurant's, admin: all)
+// @access  Private
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (req.user.user_type === 'customer') {
+        conditions.push('rr.customer_id = ?');
+        params.push(req.user.id);
+    } else if (req.user.user_type === 'cook') {
+        conditions.push('r.cook_id = ?');
+        params.push(req.user.id);
+    }
+
+    if (status) {
+        conditions.push('rr.status = ?');
+        params.push(status);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [refunds] = await pool.execute(`
+        SELECT rr.*, o.order_number, o.final_amount, o.payment_status,
+               JSON_OBJECT(
+                   'id', r.id,
+                   'name', r.name
+               ) as restaurant,
+               JSON_OBJECT(
+                   'id', u.id,
+                   'first_name', u.first_name,
+                   'last_name', u.last_name
+               ) as customer
+        FROM refund_requests rr
+        JOIN orders o ON rr.order_id = o.id
+        JOIN restaurants r ON o.restaurant_id = r.id
+        JOIN users u ON rr.customer_id = u.id
+        ${whereClause}
+        ORDER BY rr.created_at DESC
+        LIMIT ? OFFSET ?
+    `, [...params, parseInt(limit), offset]);
+
+    const [countResult] = await pool.execute(`
+        SELECT COUNT(*) as total
+        FROM refund_requests rr
+        JOIN orders o ON rr.order_id = o.id
+        JOIN restaurants r ON o.restaurant_id = r.id
+        ${whereClause}
+    `, params);
+
+    res.json({
+        success: true,
+        data: {
+            refunds,
+            totalCount: countResult[0].total,
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(countResult[0].total / limit)
+        }
+    });
+}));
+
+// @route   GET /api/refunds/:id
+// @desc    Get refund request details
+// @access  Private
+router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
+    const refund = await getAccessibleRefund(pool, req.user, req.params.id);
+    delete refund.cook_id;
+
+    res.json({
+        success: true,
+        data: { refund }
+    });
+}));
+
+// @route   PATCH /api/refunds/:id/review
+// @desc    Approve or reject a refund request
+// @access  Private (Cook/Admin only)
+router.patch('/:id/review',
+    authenticateToken,
+    requireCookOrAdmin,
+    [
+        body('status').isIn(['approved', 'rejected']).withMessage('Status must be either approved or rejected'),
+        body('admin_notes').optional().isString().isLength({ max: 1000 }).trim().withMessage('Notes must be at most 1000 characters')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { status, admin_notes } = req.body;
+
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        let refund;
+
+        try {
+            refund = await getAccessibleRefund(connection, req.user, req.params.id, { forUpdate: true });
+            await transitionRefund(connection, refund, status, { adminNotes: admin_notes || null });
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        await emitRefundUpdate(req, refund, status);
+
+        res.json({
+            success: true,
+            message: `Refund request ${status}`
+        });
+    })
+);
+
+// @route   PATCH /api/refunds/:id/process
+// @desc    Mark an approved refund as paid out
+// @access  Private (Cook/Admin only)
+router.patch('/:id/process', authenticateToken, requireCookOrAdmin, asyncHandler(async (req, res) => {
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    let refund;
+    let result;
+
+    try {
+        refund = await getAccessibleRefund(connection, req.user, req.params.id, { forUpdate: true });
+        result = await transitionRefund(connection, refund, 'processed');
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    await emitRefundUpdate(req, refund, 'processed');
+
+    res.json({
+        success: true,
+        message: 'Refund marked as processed',
+        data: { orderFullyRefunded: result.fullyRefunded }
+    });
+}));
+
+module.exports = router;
@@ -1,11 +1,110 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { authenticateToken, requireCook, optionalAuth } = require('../middleware/auth');
+const { validateOpeningHours, getOpeningStatus } = require('../services/openingHours');
+const { MAX_DAYS_AHEAD, SLOT_MINUTES, listAvailableSlots } = require('../services/scheduling');
+const { validatePolygon, getAddressLocation, resolveDeliveryZone } = require('../services/geo');
+const { SORTS, DIETARY_FLAGS, discoverRestaurants } = require('../services/discovery');
+const { validateSchedule, getMenuStatus } = require('../services/menuSchedule');
+const { attachFavoriteFlags } = require('../services/favorites');
 
 const router = express.Router();
 
+// Add the computed open-now status to a restaurant row
+const withOpeningStatus = (restaurant) => ({ ...restaurant, ...getOpeningStatus(restaurant) });
+
+// Get the cook's own restaurant by ID
+const getOwnedRestaurant = async (restaurantId, cookId) => {
+    const [restaurants] = await pool.execute(
+        'SELECT * FROM restaurants WHERE id = ? AND cook_id = ?',
+        [restaurantId, cookId]
+    );
+
+    if (restaurants.length === 0) {
+        throw new AppError('Restaurant not found or access denied', 404);
+    }
+
+    return restaurants[0];
+};
+
+// Validation shared by delivery zone create/update
+const zoneValidation = [
+    body('name').optional().isLength({ min: 1, max: 100 }).trim().withMessage('Zone name must be 1-100 characters'),
+    body('zone_type').optional().isIn(['radius', 'polygon']).withMessage('Zone type must be radius or polygon'),
+    body('radius_km').optional({ values: 'null' }).isFloat({ gt: 0, max: 1000 }).withMessage('Radius must be a positive number of kilometres'),
+    body('polygon').optional({ values: 'null' }).isArray({ min: 3 }).withMessage('Polygon must be a list of at least three [lat, lng] points'),
+    body('delivery_fee').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Delivery fee must be a valid amount'),
+    body('minimum_order_amount').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Minimum order must be a valid amount'),
+    body('sort_order').optional().isInt().withMessage('Sort order must be a number'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be true or false')
+];
+
+// Validation shared by menu create/update
+const menuValidation = [
+    body('name').optional().isLength({ min: 1, max: 100 }).trim().withMessage('Menu name must be 1-100 characters'),
+    body('schedule').optional().isObject().withMessage('Schedule must be a weekly set of time windows'),
+    body('food_item_ids').optional().isArray().withMessage('Food item IDs must be a list'),
+    body('food_item_ids.*').isInt({ min: 1 }).withMessage('Food item IDs must be numbers'),
+    body('sort_order').optional().isInt().withMessage('Sort order must be a number'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be true or false')
+];
+
+// Replace the food items on a menu, checking they all belong to the restaurant
+const setMenuItems = async (connection, restaurantId, menuId, foodItemIds) => {
+    const ids = [...new Set(foodItemIds.map(id => parseInt(id, 10)))];
+
+    if (ids.length > 0) {
+        const [found] = await connection.execute(
+            `SELECT id FROM food_items WHERE restaurant_id = ? AND archived_at IS NULL AND id IN (${ids.map(() => '?').join(', ')})`,
+            [restaurantId, ...ids]
+        );
+        const missing = ids.filter(id => !found.some(item => item.id === id));
+        if (missing.length > 0) {
+            throw new AppError(`Food items not on this restaurant's menu: ${missing.join(', ')}`, 400);
+        }
+    }
+
+    await connection.execute('DELETE FROM menu_items WHERE menu_id = ?', [menuId]);
+    for (const foodItemId of ids) {
+        await connection.execute('INSERT INTO menu_items (menu_id, food_item_id) VALUES (?, ?)', [menuId, foodItemId]);
+    }
+};
+
+// Get a restaurant's menus with whether each is on now and the food items on it
+const getMenus = async (restaurant, { activeOnly = false } = {}) => {
+    const [menus] = await pool.execute(
+        `SELECT * FROM menus WHERE restaurant_id = ?${activeOnly ? ' AND is_active = true' : ''} ORDER BY sort_order, id`,
+        [restaurant.id]
+    );
+    if (menus.length === 0) {
+        return [];
+    }
+
+    const [items] = await pool.execute(
+        `SELECT menu_id, food_item_id FROM menu_items WHERE menu_id IN (${menus.map(() => '?').join(', ')})`,
+        menus.map(menu => menu.id)
+    );
+
+    return menus.map(menu => ({
+        ...getMenuStatus(restaurant, menu),
+        food_item_ids: items.filter(item => item.menu_id === menu.id).map(item => item.food_item_id)
+    }));
+};
+
+// Check a zone's shape is complete for its type and return the columns to store
+const buildZoneShape = (zone) => {
+    if (zone.zone_type === 'radius') {
+        if (!zone.radius_km) {
+            throw new AppError('Radius zones need radius_km', 400);
+        }
+        return { radius_km: zone.radius_km, polygon: null };
+    }
+
+    return { radius_km: null, polygon: JSON.stringify(validatePolygon(zone.polygon)) };
+};
+
 // @route   GET /api/restaurants
 // @desc    Get all restaurants (public)
 // @access  Public
@@ -20,7 +119,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
 
     res.json({
         success: true,
-        data: { restaurants }
+        data: { restaurants: await attachFavoriteFlags(pool, req.user, restaurants.map(withOpeningStatus), 'restaurant') }
     });
 }));
 
@@ -50,10 +149,71 @@ router.get('/search', optionalAuth, asyncHandler(async (req, res) => {
 
     res.json({
         success: true,
-        data: { restaurants }
+        data: { restaurants: await attachFavoriteFlags(pool, req.user, restaurants.map(withOpeningStatus), 'restaurant') }
     });
 }));
 
+// @route   GET /api/restaurants/discover
+// @desc    Find restaurants that deliver to ?lat=&lng=, sorted and filtered, with distance, fee and ETA
+// @access  Public
+router.get('/discover',
+    optionalAuth,
+    [
+        query('lat').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude (lat) is required'),
+        query('lng').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude (lng) is required'),
+        query('sort').optional().isIn(SORTS).withMessage(`Sort must be one of ${SORTS.join(', ')}`),
+        query('cuisine').optional().isString().trim(),
+        query('open_now').optional().isBoolean().withMessage('open_now must be true or false'),
+        query('free_delivery').optional().isBoolean().withMessage('free_delivery must be true or false'),
+        query('min_rating').optional().isFloat({ min: 0, max: 5 }).withMessage('Minimum rating must be between 0 and 5'),
+        query('dietary').optional().isString().withMessage(`Dietary must be a comma-separated list of ${DIETARY_FLAGS.join(', ')}`),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+        query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 20, sort = 'distance' } = req.query;
+
+        const dietary = req.query.dietary ? req.query.dietary.split(',').map(flag => flag.trim()) : [];
+        const unknownFlag = dietary.find(flag => !DIETARY_FLAGS.includes(flag));
+        if (unknownFlag) {
+            throw new AppError(`Unknown dietary filter "${unknownFlag}"`, 400);
+        }
+
+        const { restaurants, totalCount, truncated } = await discoverRestaurants(pool, getAddressLocation(req.query), {
+            filters: {
+                cuisine: req.query.cuisine,
+                openNow: req.query.open_now === 'true',
+                freeDelivery: req.query.free_delivery === 'true',
+                minRating: req.query.min_rating ? parseFloat(req.query.min_rating) : null,
+                dietary
+            },
+            sort,
+            page: parseInt(page),
+            limit: parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                restaurants: await attachFavoriteFlags(pool, req.user, restaurants, 'restaurant'),
+                totalCount,
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(totalCount / limit),
+                truncated
+            }
+        });
+    })
+);
+
 // @route   GET /api/restaurants/:id
 // @desc    Get restaurant details
 // @access  Public
@@ -69,9 +229,74 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
         throw new AppError('Restaurant not found', 404);
     }
 
+    const [restaurant] = await attachFavoriteFlags(pool, req.user, [withOpeningStatus(restaurants[0])], 'restaurant');
+
+    res.json({
+        success: true,
+        data: { restaurant }
+    });
+}));
+
+// @route   GET /api/restaurants/:id/slots
+// @desc    List delivery slots open for scheduled orders (?days=N, up to the booking window)
+// @access  Public
+router.get('/:id/slots', optionalAuth, asyncHandler(async (req, res) => {
+    const [restaurants] = await pool.execute(
+        'SELECT id, name, opening_hours, slot_capacity FROM restaurants WHERE id = ? AND is_active = true',
+        [req.params.id]
+    );
+
+    if (restaurants.length === 0) {
+        throw new AppError('Restaurant not found', 404);
+    }
+
+    const days = Math.min(parseInt(req.query.days, 10) || MAX_DAYS_AHEAD, MAX_DAYS_AHEAD);
+    const slots = await listAvailableSlots(pool, restaurants[0], { days });
+
+    res.json({
+        success: true,
+        data: { slotMinutes: SLOT_MINUTES, slots }
+    });
+}));
+
+// @route   GET /api/restaurants/:id/delivery-zones
+// @desc    Get a restaurant's delivery zones
+// @access  Public
+router.get('/:id/delivery-zones', optionalAuth, asyncHandler(async (req, res) => {
+    const [zones] = await pool.execute(
+        'SELECT * FROM delivery_zones WHERE restaurant_id = ? AND is_active = true ORDER BY sort_order, id',
+        [req.params.id]
+    );
+
+    res.json({
+        success: true,
+        data: { zones }
+    });
+}));
+
+// @route   GET /api/restaurants/:id/delivery-check
+// @desc    Check whether a restaurant delivers to ?lat=&lng= and at what fee and minimum order
+// @access  Public
+router.get('/:id/delivery-check', optionalAuth, asyncHandler(async (req, res) => {
+    const location = getAddressLocation(req.query);
+    if (!location) {
+        throw new AppError('Valid lat and lng query parameters are required', 400);
+    }
+
+    const [restaurants] = await pool.execute(
+        'SELECT * FROM restaurants WHERE id = ? AND is_active = true',
+        [req.params.id]
+    );
+
+    if (restaurants.length === 0) {
+        throw new AppError('Restaurant not found', 404);
+    }
+
+    const delivery = await resolveDeliveryZone(pool, restaurants[0], location);
+
     res.json({
         success: true,
-        data: { restaurant: restaurants[0] }
+        data: { delivery }
     });
 }));
 
@@ -110,10 +335,11 @@ router.post('/',
         }
 
         const { name, description, cuisine_type, phone, email } = req.body;
+        const openingHours = req.body.opening_hours === undefined ? null : validateOpeningHours(req.body.opening_hours);
 
         const [result] = await pool.execute(
-            'INSERT INTO restaurants (cook_id, name, description, cuisine_type, phone, email) VALUES (?, ?, ?, ?, ?, ?)',
-            [req.user.id, name, description, cuisine_type, phone, email]
+            'INSERT INTO restaurants (cook_id, name, description, cuisine_type, phone, email, opening_hours) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [req.user.id, name, description, cuisine_type, phone, email, openingHours && JSON.stringify(openingHours)]
         );
 
         const [restaurant] = await pool.execute(
@@ -124,7 +350,454 @@ router.post('/',
         res.status(201).json({
             success: true,
             message: 'Restaurant created successfully',
-            data: { restaurant: restaurant[0] }
+            data: { restaurant: withOpeningStatus(restaurant[0]) }
+        });
+    })
+);
+
+// @route   PUT /api/restaurants/:id/location
+// @desc    Set the restaurant's coordinates (used for radius zones and distances)
+// @access  Private (Cook only)
+router.put('/:id/location',
+    authenticateToken,
+    requireCook,
+    [
+        body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+        body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+        body('delivery_radius').optional().isInt({ min: 1, max: 1000 }).withMessage('Delivery radius must be between 1 and 1000 km')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const restaurant = await getOwnedRestaurant(req.params.id, req.user.id);
+        const { latitude, longitude } = req.body;
+        const deliveryRadius = req.body.delivery_radius || restaurant.delivery_radius;
+
+        await pool.execute(
+            'UPDATE restaurants SET latitude = ?, longitude = ?, delivery_radius = ? WHERE id = ?',
+            [latitude, longitude, deliveryRadius, restaurant.id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Location updated successfully',
+            data: { restaurant: withOpeningStatus({ ...restaurant, latitude, longitude, delivery_radius: deliveryRadius }) }
+        });
+    })
+);
+
+// @route   POST /api/restaurants/:id/delivery-zones
+// @desc    Add a delivery zone with its own fee and minimum order
+// @access  Private (Cook only)
+router.post('/:id/delivery-zones',
+    authenticateToken,
+    requireCook,
+    [
+        body('name').isLength({ min: 1, max: 100 }).trim().withMessage('Zone name is required'),
+        body('zone_type').isIn(['radius', 'polygon']).withMessage('Zone type must be radius or polygon'),
+        ...zoneValidation
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const restaurant = await getOwnedRestaurant(req.params.id, req.user.id);
+        const { name, zone_type, delivery_fee = null, minimum_order_amount = null, sort_order = 0, is_active = true } = req.body;
+        const shape = buildZoneShape(req.body);
+
+        const [result] = await pool.execute(
+            'INSERT INTO delivery_zones (restaurant_id, name, zone_type, radius_km, polygon, delivery_fee, minimum_order_amount, sort_order, is_active) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [restaurant.id, name, zone_type, shape.radius_km, shape.polygon, delivery_fee, minimum_order_amount, sort_order, is_active]
+        );
+
+        const [zones] = await pool.execute('SELECT * FROM delivery_zones WHERE id = ?', [result.insertId]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Delivery zone created successfully',
+            data: { zone: zones[0] }
+        });
+    })
+);
+
+// @route   PUT /api/restaurants/:id/delivery-zones/:zoneId
+// @desc    Update a delivery zone
+// @access  Private (Cook only)
+router.put('/:id/delivery-zones/:zoneId',
+    authenticateToken,
+    requireCook,
+    zoneValidation,
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const restaurant = await getOwnedRestaurant(req.params.id, req.user.id);
+
+        const [zones] = await pool.execute(
+            'SELECT * FROM delivery_zones WHERE id = ? AND restaurant_id = ?',
+            [req.params.zoneId, restaurant.id]
+        );
+
+        if (zones.length === 0) {
+            throw new AppError('Delivery zone not found', 404);
+        }
+
+        // Re-check the shape against the merged zone
+        const merged = { ...zones[0] };
+        ['name', 'zone_type', 'radius_km', 'polygon', 'delivery_fee', 'minimum_order_amount', 'sort_order', 'is_active'].forEach(field => {
+            if (req.body.hasOwnProperty(field)) {
+                merged[field] = req.body[field];
+            }
+        });
+        const shape = buildZoneShape(merged);
+
+        await pool.execute(
+            'UPDATE delivery_zones SET name = ?, zone_type = ?, radius_km = ?, polygon = ?, delivery_fee = ?, minimum_order_amount = ?, sort_order = ?, is_active = ? WHERE id = ?',
+            [merged.name, merged.zone_type, shape.radius_km, shape.polygon, merged.delivery_fee, merged.minimum_order_amount, merged.sort_order, merged.is_active, merged.id]
+        );
+
+        const [updated] = await pool.execute('SELECT * FROM delivery_zones WHERE id = ?', [merged.id]);
+
+        res.json({
+            success: true,
+            message: 'Delivery zone updated successfully',
+            data: { zone: updated[0] }
+        });
+    })
+);
+
+// @route   DELETE /api/restaurants/:id/delivery-zones/:zoneId
+// @desc    Delete a delivery zone
+// @access  Private (Cook only)
+router.delete('/:id/delivery-zones/:zoneId',
+    authenticateToken,
+    requireCook,
+    asyncHandler(async (req, res) => {
+        const restaurant = await getOwnedRestaurant(req.params.id, req.user.id);
+
+        const [result] = await pool.execute(
+            'DELETE FROM delivery_zones WHERE id = ? AND restaurant_id = ?',
+            [req.params.zoneId, restaurant.id]
+        );
+
+        if (result.affectedRows === 0) {
+            throw new AppError('Delivery zone not found', 404);
+        }
+
+        res.json({
+            success: true,
+            message: 'Delivery zone deleted successfully'
+        });
+    })
+);
+
+// @route   GET /api/restaurants/:id/menus
+// @desc    Get a restaurant's active menus, whether each is on now and when it next starts
+// @access  Public
+router.get('/:id/menus', optionalAuth, asyncHandler(async (req, res) => {
+    const [restaurants] = await pool.execute(
+        'SELECT id, opening_hours FROM restaurants WHERE id = ? AND is_active = true',
+        [req.params.id]
+    );
+
+    if (restaurants.length === 0) {
+        throw new AppError('Restaurant not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: { menus: await getMenus(restaurants[0], { activeOnly: true }) }
+    });
+}));
+
+// @route   POST /api/restaurants/:id/menus
+// @desc    Add a named menu (e.g. Breakfast) with its weekly time windows and food items
+// @access  Private (Cook only)
+router.post('/:id/menus',
+    authenticateToken,
+    requireCook,
+    [
+        body('name').isLength({ min: 1, max: 100 }).trim().withMessage('Menu name is required'),
+        body('schedule').isObject().withMessage('Schedule must be a weekly set of time windows'),
+        ...menuValidation
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const restaurant = await getOwnedRestaurant(req.params.id, req.user.id);
+        const { name, food_item_ids = [], sort_order = 0, is_active = true } = req.body;
+        const schedule = validateSchedule(req.body.schedule);
+
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        let menuId;
+        try {
+            const [result] = await connection.execute(
+                'INSERT INTO menus (restaurant_id, name, schedule, sort_order, is_active) VALUES (?, ?, ?, ?, ?)',
+                [restaurant.id, name, JSON.stringify(schedule), sort_order, is_active]
+            );
+            menuId = result.insertId;
+            await setMenuItems(connection, restaurant.id, menuId, food_item_ids);
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        const menus = await getMenus(restaurant);
+
+        res.status(201).json({
+            success: true,
+            message: 'Menu created successfully',
+            data: { menu: menus.find(menu => menu.id === menuId) }
+        });
+    })
+);
+
+// @route   PUT /api/restaurants/:id/menus/:menuId
+// @desc    Update a menu; food_item_ids replaces the items on it
+// @access  Private (Cook only)
+router.put('/:id/menus/:menuId',
+    authenticateToken,
+    requireCook,
+    menuValidation,
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const restaurant = await getOwnedRestaurant(req.params.id, req.user.id);
+
+        const [menus] = await pool.execute(
+            'SELECT * FROM menus WHERE id = ? AND restaurant_id = ?',
+            [req.params.menuId, restaurant.id]
+        );
+
+        if (menus.length === 0) {
+            throw new AppError('Menu not found', 404);
+        }
+
+        const merged = { ...menus[0] };
+        ['name', 'sort_order', 'is_active'].forEach(field => {
+            if (req.body.hasOwnProperty(field)) {
+                merged[field] = req.body[field];
+            }
+        });
+        if (req.body.hasOwnProperty('schedule')) {
+            merged.schedule = validateSchedule(req.body.schedule);
+        }
+
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            await connection.execute(
+                'UPDATE menus SET name = ?, schedule = ?, sort_order = ?, is_active = ? WHERE id = ?',
+                [merged.name, JSON.stringify(merged.schedule), merged.sort_order, merged.is_active, merged.id]
+            );
+            if (req.body.hasOwnProperty('food_item_ids')) {
+                await setMenuItems(connection, restaurant.id, merged.id, req.body.food_item_ids);
+            }
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        const updated = await getMenus(restaurant);
+
+        res.json({
+            success: true,
+            message: 'Menu updated successfully',
+            data: { menu: updated.find(menu => menu.id === merged.id) }
+        });
+    })
+);
+
+// @route   DELETE /api/restaurants/:id/menus/:menuId
+// @desc    Delete a menu; its items stay on the restaurant's menu
+// @access  Private (Cook only)
+router.delete('/:id/menus/:menuId',
+    authenticateToken,
+    requireCook,
+    asyncHandler(async (req, res) => {
+        const restaurant = await getOwnedRestaurant(req.params.id, req.user.id);
+
+        const [result] = await pool.execute(
+            'DELETE FROM menus WHERE id = ? AND restaurant_id = ?',
+            [req.params.menuId, restaurant.id]
+        );
+
+        if (result.affectedRows === 0) {
+            throw new AppError('Menu not found', 404);
+        }
+
+        res.json({
+            success: true,
+            message: 'Menu deleted successfully'
+        });
+    })
+);
+
+// @route   PUT /api/restaurants/:id/opening-hours
+// @desc    Set weekly opening hours, time zone and closures (null means always open)
+// @access  Private (Cook only)
+router.put('/:id/opening-hours',
+    authenticateToken,
+    requireCook,
+    [
+        body('opening_hours').exists().withMessage('Opening hours are required')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const restaurant = await getOwnedRestaurant(req.params.id, req.user.id);
+        const openingHours = validateOpeningHours(req.body.opening_hours);
+
+        await pool.execute(
+            'UPDATE restaurants SET opening_hours = ? WHERE id = ?',
+            [openingHours && JSON.stringify(openingHours), restaurant.id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Opening hours updated successfully',
+            data: { restaurant: withOpeningStatus({ ...restaurant, opening_hours: openingHours }) }
+        });
+    })
+);
+
+// @route   PUT /api/restaurants/:id/scheduling
+// @desc    Set how many scheduled orders each delivery slot can take
+// @access  Private (Cook only)
+router.put('/:id/scheduling',
+    authenticateToken,
+    requireCook,
+    [
+        body('slot_capacity').isInt({ min: 0, max: 1000 }).withMessage('Slot capacity must be between 0 and 1000')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const restaurant = await getOwnedRestaurant(req.params.id, req.user.id);
+        const slotCapacity = parseInt(req.body.slot_capacity, 10);
+
+        await pool.execute(
+            'UPDATE restaurants SET slot_capacity = ? WHERE id = ?',
+            [slotCapacity, restaurant.id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Scheduling settings updated successfully',
+            data: { restaurant: withOpeningStatus({ ...restaurant, slot_capacity: slotCapacity }) }
+        });
+    })
+);
+
+// @route   POST /api/restaurants/:id/pause
+// @desc    Stop taking new orders for a number of minutes (e.g. during a rush)
+// @access  Private (Cook only)
+router.post('/:id/pause',
+    authenticateToken,
+    requireCook,
+    [
+        body('minutes').isInt({ min: 1, max: 1440 }).withMessage('Pause must be between 1 and 1440 minutes')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const restaurant = await getOwnedRestaurant(req.params.id, req.user.id);
+        const pausedUntil = new Date(Date.now() + parseInt(req.body.minutes, 10) * 60000);
+
+        await pool.execute(
+            'UPDATE restaurants SET orders_paused_until = ? WHERE id = ?',
+            [pausedUntil, restaurant.id]
+        );
+
+        res.json({
+            success: true,
+            message: `New orders paused for ${req.body.minutes} minutes`,
+            data: { restaurant: withOpeningStatus({ ...restaurant, orders_paused_until: pausedUntil }) }
+        });
+    })
+);
+
+// @route   DELETE /api/restaurants/:id/pause
+// @desc    Resume taking orders before the pause runs out
+// @access  Private (Cook only)
+router.delete('/:id/pause',
+    authenticateToken,
+    requireCook,
+    asyncHandler(async (req, res) => {
+        const restaurant = await getOwnedRestaurant(req.params.id, req.user.id);
+
+        await pool.execute(
+            'UPDATE restaurants SET orders_paused_until = NULL WHERE id = ?',
+            [restaurant.id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Orders resumed',
+            data: { restaurant: withOpeningStatus({ ...restaurant, orders_paused_until: null }) }
         });
     })
 );
@@ -1,12 +1,448 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { body, query, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken, requireCustomer, requireCook } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { EDIT_WINDOW_HOURS, SORTS, getEditableUntil, canEdit, getReviewSummary, listReviews } = require('../services/reviews');
+const { REPORT_REASONS, screenReview, screeningColumns, reportReview } = require('../services/reviewModeration');
+const { notify } = require('../services/notifications');
 
 const router = express.Router();
 
-// Placeholder for review routes
-router.get('/', (req, res) => {
-    res.json({ success: true, message: 'Review routes placeholder' });
+const SORT_NAMES = Object.keys(SORTS);
+
+// Validation shared by the public review listings
+const listingValidation = [
+    query('sort').optional().isIn(SORT_NAMES).withMessage(`Sort must be one of ${SORT_NAMES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+];
+
+// Send one page of reviews with the rating summary
+const sendReviewPage = async (req, res, target) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const { sort = 'newest', page = 1, limit = 10 } = req.query;
+    const summary = await getReviewSummary(pool, target);
+    const reviews = await listReviews(pool, target, { sort, page: parseInt(page), limit: parseInt(limit) });
+
+    res.json({
+        success: true,
+        data: {
+            reviews,
+            summary,
+            totalCount: summary.total_reviews,
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(summary.total_reviews / limit)
+        }
+    });
+};
+
+// Add whether the customer can still edit their review
+const withEditWindow = (review) => ({
+    ...review,
+    editable_until: getEditableUntil(review),
+    can_edit: canEdit(review)
 });
 
+// Load a review for the cook who owns its restaurant
+const getOwnedReview = async (connection, cookId, reviewId) => {
+    const [reviews] = await connection.execute(`
+        SELECT rv.*, r.name as restaurant_name, r.cook_id
+        FROM reviews rv
+        JOIN restaurants r ON rv.restaurant_id = r.id
+        WHERE rv.id = ?
+    `, [reviewId]);
+
+    if (reviews.length === 0) {
+        throw new AppError('Review not found', 404);
+    }
+
+    if (reviews[0].cook_id !== cookId) {
+        throw new AppError('Unauthorized to reply to this review', 403);
+    }
+
+    return reviews[0];
+};
+
+// Tell the reviewer that the restaurant replied
+const notifyReviewReply = async (req, review) => {
+    const io = req.app.get('socketio');
+    io.to(`user_${review.customer_id}`).emit('review_reply_posted', {
+        reviewId: review.id,
+        restaurantId: review.restaurant_id,
+        restaurantName: review.restaurant_name,
+        reply: review.owner_reply
+    });
+    await notify(io, review.customer_id, {
+        type: 'review',
+        title: `${review.restaurant_name} replied to your review`,
+        message: review.owner_reply,
+        data: { reviewId: review.id, restaurantId: review.restaurant_id }
+    });
+};
+
+const replyValidation = [
+    body('reply').isLength({ min: 1, max: 2000 }).trim().withMessage('Reply must be between 1 and 2000 characters')
+];
+
+// @route   GET /api/reviews/restaurant/:restaurantId
+// @desc    Get a restaurant's reviews with a rating histogram; sort by newest, highest or lowest
+// @access  Public
+router.get('/restaurant/:restaurantId', listingValidation, asyncHandler(async (req, res) => {
+    await sendReviewPage(req, res, { restaurantId: req.params.restaurantId });
+}));
+
+// @route   GET /api/reviews/food/:foodItemId
+// @desc    Get a dish's reviews with a rating histogram; sort by newest, highest or lowest
+// @access  Public
+router.get('/food/:foodItemId', listingValidation, asyncHandler(async (req, res) => {
+    await sendReviewPage(req, res, { foodItemId: req.params.foodItemId });
+}));
+
+// @route   GET /api/reviews/order/:orderId
+// @desc    Get the customer's reviews for an order and what they can still review
+// @access  Private (Customer only)
+router.get('/order/:orderId', authenticateToken, requireCustomer, asyncHandler(async (req, res) => {
+    const [orders] = await pool.execute(
+        'SELECT id, restaurant_id, status FROM orders WHERE id = ? AND customer_id = ?',
+        [req.params.orderId, req.user.id]
+    );
+
+    if (orders.length === 0) {
+        throw new AppError('Order not found', 404);
+    }
+
+    const [reviews] = await pool.execute(
+        'SELECT * FROM reviews WHERE order_id = ? AND customer_id = ? ORDER BY id',
+        [orders[0].id, req.user.id]
+    );
+    const [items] = await pool.execute(
+        'SELECT DISTINCT food_item_id, name FROM order_items WHERE order_id = ? AND food_item_id IS NOT NULL',
+        [orders[0].id]
+    );
+
+    const delivered = orders[0].status === 'delivered';
+    const reviewedItems = new Set(reviews.map(review => review.food_item_id));
+
+    res.json({
+        success: true,
+        data: {
+            reviews: reviews.map(withEditWindow),
+            can_review_restaurant: delivered && !reviewedItems.has(null),
+            reviewable_items: delivered ? items.filter(item => !reviewedItems.has(item.food_item_id)) : []
+        }
+    });
+}));
+
+// @route   POST /api/reviews
+// @desc    Review a delivered order's restaurant, or one dish from it with food_item_id
+// @access  Private (Customer only)
+router.post('/',
+    authenticateToken,
+    requireCustomer,
+    [
+        body('order_id').isInt({ min: 1 }).withMessage('Order ID is required'),
+        body('food_item_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Food item ID must be a number'),
+        body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+        body('comment').optional({ values: 'null' }).isLength({ max: 2000 }).trim().withMessage('Comment must be at most 2000 characters')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { order_id, food_item_id = null, rating, comment = null } = req.body;
+
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        let reviewId;
+        try {
+            // Lock the order so two requests can't both review the same thing
+            const [orders] = await connection.execute(
+                'SELECT id, customer_id, restaurant_id, status FROM orders WHERE id = ? FOR UPDATE',
+                [order_id]
+            );
+
+            if (orders.length === 0 || orders[0].customer_id !== req.user.id) {
+                throw new AppError('Order not found', 404);
+            }
+
+            const order = orders[0];
+            if (order.status !== 'delivered') {
+                throw new AppError('You can review an order once it has been delivered', 400);
+            }
+
+            if (food_item_id) {
+                const [items] = await connection.execute(
+                    'SELECT id FROM order_items WHERE order_id = ? AND food_item_id = ? LIMIT 1',
+                    [order.id, food_item_id]
+                );
+                if (items.length === 0) {
+                    throw new AppError('That dish is not part of this order', 400);
+                }
+            }
+
+            const [existing] = await connection.execute(
+                'SELECT id FROM reviews WHERE order_id = ? AND food_item_id <=> ?',
+                [order.id, food_item_id]
+            );
+            if (existing.length > 0) {
+                throw new AppError(food_item_id ? 'You have already reviewed this dish for this order' : 'You have already reviewed this order', 409);
+            }
+
+            // Flagged reviews are saved but wait for a moderator before they are shown or counted
+            const screening = screeningColumns(await screenReview(connection, { restaurantId: order.restaurant_id, rating, comment }));
+
+            const [result] = await connection.execute(`
+                INSERT INTO reviews (customer_id, restaurant_id, order_id, food_item_id, rating, comment, is_approved, moderation_status, flag_reasons)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                req.user.id, order.restaurant_id, order.id, food_item_id, rating, comment,
+                screening.is_approved, screening.moderation_status, screening.flag_reasons
+            ]);
+            reviewId = result.insertId;
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        const [reviews] = await pool.execute('SELECT * FROM reviews WHERE id = ?', [reviewId]);
+
+        res.status(201).json({
+            success: true,
+            message: reviews[0].is_approved ? 'Review posted successfully' : 'Review submitted and awaiting moderation',
+            data: { review: withEditWindow(reviews[0]) }
+        });
+    })
+);
+
+// @route   PUT /api/reviews/:id
+// @desc    Change a review's rating or comment within the edit window
+// @access  Private (Customer only)
+router.put('/:id',
+    authenticateToken,
+    requireCustomer,
+    [
+        body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+        body('comment').optional({ values: 'null' }).isLength({ max: 2000 }).trim().withMessage('Comment must be at most 2000 characters')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const [reviews] = await pool.execute(
+            'SELECT * FROM reviews WHERE id = ? AND customer_id = ?',
+            [req.params.id, req.user.id]
+        );
+
+        if (reviews.length === 0) {
+            throw new AppError('Review not found', 404);
+        }
+
+        const review = reviews[0];
+        if (!canEdit(review)) {
+            throw new AppError(`Reviews can only be changed within ${EDIT_WINDOW_HOURS} hours of posting`, 403);
+        }
+
+        const rating = req.body.hasOwnProperty('rating') ? req.body.rating : review.rating;
+        const comment = req.body.hasOwnProperty('comment') ? req.body.comment : review.comment;
+
+        // Edits are screened again, unless a moderator hid the review or reports put it in the queue
+        const reported = (review.flag_reasons || []).includes('reported');
+        const screening = review.moderation_status !== 'hidden' && !reported
+            ? screeningColumns(await screenReview(pool, { restaurantId: review.restaurant_id, rating, comment, reviewId: review.id }))
+            : {
+                is_approved: review.is_approved,
+                moderation_status: review.moderation_status,
+                flag_reasons: review.flag_reasons ? JSON.stringify(review.flag_reasons) : null
+            };
+
+        await pool.execute(
+            'UPDATE reviews SET rating = ?, comment = ?, is_approved = ?, moderation_status = ?, flag_reasons = ? WHERE id = ?',
+            [rating, comment, screening.is_approved, screening.moderation_status, screening.flag_reasons, review.id]
+        );
+
+        const [updated] = await pool.execute('SELECT * FROM reviews WHERE id = ?', [review.id]);
+
+        res.json({
+            success: true,
+            message: 'Review updated successfully',
+            data: { review: withEditWindow(updated[0]) }
+        });
+    })
+);
+
+// @route   POST /api/reviews/:id/report
+// @desc    Report a review for moderation
+// @access  Private
+router.post('/:id/report',
+    authenticateToken,
+    [
+        body('reason').isIn(REPORT_REASONS).withMessage(`Reason must be one of ${REPORT_REASONS.join(', ')}`),
+        body('details').optional({ values: 'null' }).isLength({ max: 1000 }).trim().withMessage('Details must be at most 1000 characters')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            const [reviews] = await connection.execute(
+                'SELECT * FROM reviews WHERE id = ? FOR UPDATE',
+                [req.params.id]
+            );
+
+            if (reviews.length === 0) {
+                throw new AppError('Review not found', 404);
+            }
+
+            if (reviews[0].customer_id === req.user.id) {
+                throw new AppError('You cannot report your own review', 400);
+            }
+
+            const [existing] = await connection.execute(
+                'SELECT id FROM review_reports WHERE review_id = ? AND reporter_id = ?',
+                [reviews[0].id, req.user.id]
+            );
+            if (existing.length > 0) {
+                throw new AppError('You have already reported this review', 409);
+            }
+
+            await reportReview(connection, reviews[0], {
+                reporterId: req.user.id,
+                reason: req.body.reason,
+                details: req.body.details || null
+            });
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Thanks, the review has been reported'
+        });
+    })
+);
+
+// @route   POST /api/reviews/:id/reply
+// @desc    Post the restaurant's public reply to a review (one per review)
+// @access  Private (Cook only)
+router.post('/:id/reply', authenticateToken, requireCook, replyValidation, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const review = await getOwnedReview(pool, req.user.id, req.params.id);
+
+    // Only set the reply if there isn't one, so two requests can't both post
+    const [result] = await pool.execute(
+        'UPDATE reviews SET owner_reply = ?, owner_replied_at = NOW() WHERE id = ? AND owner_reply IS NULL',
+        [req.body.reply, review.id]
+    );
+
+    if (result.affectedRows === 0) {
+        throw new AppError('This review already has a reply; edit it instead', 409);
+    }
+
+    await notifyReviewReply(req, { ...review, owner_reply: req.body.reply });
+
+    res.status(201).json({
+        success: true,
+        message: 'Reply posted successfully'
+    });
+}));
+
+// @route   PUT /api/reviews/:id/reply
+// @desc    Edit the restaurant's reply to a review
+// @access  Private (Cook only)
+router.put('/:id/reply', authenticateToken, requireCook, replyValidation, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const review = await getOwnedReview(pool, req.user.id, req.params.id);
+
+    if (review.owner_reply === null) {
+        throw new AppError('This review has no reply yet', 404);
+    }
+
+    await pool.execute(
+        'UPDATE reviews SET owner_reply = ?, owner_replied_at = NOW() WHERE id = ?',
+        [req.body.reply, review.id]
+    );
+
+    res.json({
+        success: true,
+        message: 'Reply updated successfully'
+    });
+}));
+
+// @route   DELETE /api/reviews/:id/reply
+// @desc    Remove the restaurant's reply to a review
+// @access  Private (Cook only)
+router.delete('/:id/reply', authenticateToken, requireCook, asyncHandler(async (req, res) => {
+    const review = await getOwnedReview(pool, req.user.id, req.params.id);
+
+    if (review.owner_reply === null) {
+        throw new AppError('This review has no reply yet', 404);
+    }
+
+    await pool.execute(
+        'UPDATE reviews SET owner_reply = NULL, owner_replied_at = NULL WHERE id = ?',
+        [review.id]
+    );
+
+    res.json({
+        success: true,
+        message: 'Reply removed successfully'
+    });
+}));
+
 module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { optionalAuth } = require('../middleware/auth');
+const { SORTS, searchFood } = require('../services/foodSearch');
+const { TYPES, suggest } = require('../services/searchSuggestions');
+const { ALLERGENS, parseAllergenList } = require('../services/dietary');
+const { attachFavoriteFlags } = require('../services/favorites');
+
+const router = express.Router();
+
+const SORT_NAMES = Object.keys(SORTS);
+
+// Read an optional true/false query flag
+const parseFlag = (value) => (value === undefined ? undefined : value === 'true');
+
+// Read a comma-separated list of IDs
+const parseIds = (value) => (value ? value.split(',').map(id => parseInt(id, 10)) : []);
+
+// @route   GET /api/search/food
+// @desc    Full-text food search with filters, facet counts, sorting and paging
+// @access  Public
+router.get('/food',
+    optionalAuth,
+    [
+        query('q').optional().isString().trim().isLength({ max: 100 }).withMessage('Search text must be at most 100 characters'),
+        query('vegetarian').optional().isBoolean().withMessage('vegetarian must be true or false'),
+        query('vegan').optional().isBoolean().withMessage('vegan must be true or false'),
+        query('spicy').optional().isBoolean().withMessage('spicy must be true or false'),
+        query('exclude_allergens').optional().isString().withMessage(`Excluded allergens must be a comma-separated list of ${ALLERGENS.join(', ')}`),
+        query('min_price').optional().isFloat({ min: 0 }).withMessage('Minimum price must be a valid amount'),
+        query('max_price').optional().isFloat({ min: 0 }).withMessage('Maximum price must be a valid amount'),
+        query('category').optional().matches(/^\d+(,\d+)*$/).withMessage('Category must be a comma-separated list of IDs'),
+        query('restaurant').optional().matches(/^\d+(,\d+)*$/).withMessage('Restaurant must be a comma-separated list of IDs'),
+        query('min_rating').optional().isFloat({ min: 0, max: 5 }).withMessage('Minimum rating must be between 0 and 5'),
+        query('max_prep_time').optional().isInt({ min: 1 }).withMessage('Maximum preparation time must be a positive number of minutes'),
+        query('sort').optional().isIn(SORT_NAMES).withMessage(`Sort must be one of ${SORT_NAMES.join(', ')}`),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { q, sort, page = 1, limit = 20 } = req.query;
+
+        const { foodItems, totalCount, facets } = await searchFood(pool, {
+            q,
+            vegetarian: parseFlag(req.query.vegetarian),
+            vegan: parseFlag(req.query.vegan),
+            spicy: parseFlag(req.query.spicy),
+            excludeAllergens: parseAllergenList(req.query.exclude_allergens),
+            minPrice: req.query.min_price ? parseFloat(req.query.min_price) : null,
+            maxPrice: req.query.max_price ? parseFloat(req.query.max_price) : null,
+            categoryIds: parseIds(req.query.category),
+            restaurantIds: parseIds(req.query.restaurant),
+            minRating: req.query.min_rating ? parseFloat(req.query.min_rating) : null,
+            maxPrepTime: req.query.max_prep_time ? parseInt(req.query.max_prep_time) : null,
+            sort,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            includeFacets: true
+        });
+
+        res.json({
+            success: true,
+            data: {
+                foodItems: await attachFavoriteFlags(pool, req.user, foodItems, 'food'),
+                facets,
+                totalCount,
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(totalCount / limit)
+            }
+        });
+    })
+);
+
+// @route   GET /api/search/suggest
+// @desc    Autocomplete dishes, restaurants, categories and cuisines as the user types, allowing for typos
+// @access  Public
+router.get('/suggest',
+    optionalAuth,
+    [
+        query('q').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Search text (q) is required'),
+        query('types').optional().isString().withMessage(`Types must be a comma-separated list of ${TYPES.join(', ')}`),
+        query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const types = req.query.types ? req.query.types.split(',').map(type => type.trim()) : TYPES;
+        const unknownType = types.find(type => !TYPES.includes(type));
+        if (unknownType) {
+            throw new AppError(`Unknown suggestion type "${unknownType}"`, 400);
+        }
+
+        const suggestions = await suggest(pool, req.query.q, {
+            types,
+            limit: parseInt(req.query.limit || 10)
+        });
+
+        res.json({
+            success: true,
+            data: { suggestions }
+        });
+    })
+);
+
+module.exports = router;
@@ -1,12 +1,17 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const { authenticateToken, requireCustomer } = require('../middleware/auth');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { pool } = require('../config/database');
+const { priceOrder } = require('../services/checkout');
+const { roundAmount } = require('../services/pricing');
+const { getOptionGroups, resolveSelections, optionsKey } = require('../services/menuOptions');
+const { getFavorites } = require('../services/favorites');
 
 const router = express.Router();
 
 // @route   GET /api/users/cart
-// @desc    Get user's cart items
+// @desc    Get user's cart items (pass include_quote=true for a checkout quote per restaurant)
 // @access  Private (Customer only)
 router.get('/cart', authenticateToken, requireCustomer, asyncHandler(async (req, res) => {
     const [cartItems] = await pool.execute(`
@@ -19,22 +24,81 @@ router.get('/cart', authenticateToken, requireCustomer, asyncHandler(async (req,
         ORDER BY ci.created_at DESC
     `, [req.user.id]);
 
+    if (req.query.include_quote !== 'true') {
+        return res.json({
+            success: true,
+            data: { cartItems }
+        });
+    }
+
+    // Group the cart by restaurant and quote each group as checkout would
+    const groups = [];
+    for (const cartItem of cartItems) {
+        let group = groups.find(g => g.restaurant_id === cartItem.restaurant_id);
+        if (!group) {
+            group = { restaurant_id: cartItem.restaurant_id, restaurant_name: cartItem.restaurant_name, items: [] };
+            groups.push(group);
+        }
+        group.items.push(cartItem);
+    }
+
+    for (const group of groups) {
+        const { orderItems, pricing, problems } = await priceOrder(pool, {
+            customerId: req.user.id,
+            restaurantId: group.restaurant_id,
+            items: group.items.map(item => ({
+                food_item_id: item.food_item_id,
+                quantity: item.quantity,
+                options: item.selected_options || [],
+                special_requests: item.special_requests,
+                expected_unit_price: item.unit_price
+            }))
+        });
+
+        group.quote = {
+            items: orderItems,
+            ...pricing,
+            problems,
+            canCheckout: problems.length === 0
+        };
+    }
+
     res.json({
         success: true,
-        data: { cartItems }
+        data: { cartItems, restaurants: groups }
     });
 }));
 
 // @route   POST /api/users/cart
-// @desc    Add item to cart
+// @desc    Add item to cart (with optional chosen option IDs)
 // @access  Private (Customer only)
 router.post('/cart', authenticateToken, requireCustomer, asyncHandler(async (req, res) => {
-    const { food_item_id, quantity = 1 } = req.body;
+    const { food_item_id, quantity = 1, options = [] } = req.body;
+
+    if (!Array.isArray(options)) {
+        throw new AppError('Options must be an array of option IDs', 400);
+    }
+
+    // Remember the price the customer saw so the quote can flag later price changes
+    const [foodItems] = await pool.execute(
+        'SELECT id, name, price FROM food_items WHERE id = ? AND archived_at IS NULL',
+        [food_item_id]
+    );
+
+    if (foodItems.length === 0) {
+        throw new AppError('Food item not found', 404);
+    }
+
+    const foodItem = foodItems[0];
+    const groupsByItem = await getOptionGroups(pool, [foodItem.id]);
+    const { selections, priceDelta } = resolveSelections(foodItem, groupsByItem[foodItem.id] || [], options);
+    const selectedOptions = selections.map(selection => selection.option_id);
+    const unitPrice = roundAmount(parseFloat(foodItem.price) + priceDelta);
     
-    // Check if item already in cart
+    // Check if the same item with the same options is already in cart
     const [existing] = await pool.execute(
-        'SELECT id, quantity FROM cart_items WHERE customer_id = ? AND food_item_id = ?',
-        [req.user.id, food_item_id]
+        'SELECT id, quantity FROM cart_items WHERE customer_id = ? AND food_item_id = ? AND options_key = ?',
+        [req.user.id, food_item_id, optionsKey(selectedOptions)]
     );
 
     if (existing.length > 0) {
@@ -46,8 +110,8 @@ router.post('/cart', authenticateToken, requireCustomer, asyncHandler(async (req
     } else {
         // Add new item
         await pool.execute(
-            'INSERT INTO cart_items (customer_id, food_item_id, quantity) VALUES (?, ?, ?)',
-            [req.user.id, food_item_id, quantity]
+            'INSERT INTO cart_items (customer_id, food_item_id, quantity, selected_options, options_key, unit_price) VALUES (?, ?, ?, ?, ?, ?)',
+            [req.user.id, food_item_id, quantity, JSON.stringify(selectedOptions), optionsKey(selectedOptions), unitPrice]
         );
     }
 
@@ -103,4 +167,197 @@ router.delete('/cart/:id', authenticateToken, requireCustomer, asyncHandler(asyn
     });
 }));
 
+// Dish alert settings, all optional
+const ALERT_SETTINGS = ['notify_back_in_stock', 'notify_price_drop'];
+const alertSettingsValidation = ALERT_SETTINGS.map(field =>
+    body(field).optional().isBoolean().withMessage(`${field} must be true or false`).toBoolean()
+);
+
+// Add a favorite; the unique keys settle concurrent adds, so a duplicate is reported rather than checked for first
+const insertFavorite = async (sql, values, duplicateMessage) => {
+    try {
+        await pool.execute(sql, values);
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            throw new AppError(duplicateMessage, 409);
+        }
+        throw error;
+    }
+};
+
+// @route   GET /api/users/favorites
+// @desc    Get favorite restaurants and dishes, with each dish's alert settings
+// @access  Private (Customer only)
+router.get('/favorites', authenticateToken, requireCustomer, asyncHandler(async (req, res) => {
+    const favorites = await getFavorites(pool, req.user.id);
+
+    res.json({
+        success: true,
+        data: favorites
+    });
+}));
+
+// @route   POST /api/users/favorites/restaurants
+// @desc    Add a restaurant to favorites
+// @access  Private (Customer only)
+router.post('/favorites/restaurants',
+    authenticateToken,
+    requireCustomer,
+    [
+        body('restaurant_id').isInt({ min: 1 }).withMessage('Valid restaurant ID is required')
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const [restaurants] = await pool.execute(
+            'SELECT id FROM restaurants WHERE id = ? AND is_active = true',
+            [req.body.restaurant_id]
+        );
+
+        if (restaurants.length === 0) {
+            throw new AppError('Restaurant not found', 404);
+        }
+
+        await insertFavorite(
+            'INSERT INTO favorites (customer_id, restaurant_id) VALUES (?, ?)',
+            [req.user.id, restaurants[0].id],
+            'Restaurant is already in favorites'
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Restaurant added to favorites'
+        });
+    })
+);
+
+// @route   DELETE /api/users/favorites/restaurants/:restaurantId
+// @desc    Remove a restaurant from favorites
+// @access  Private (Customer only)
+router.delete('/favorites/restaurants/:restaurantId', authenticateToken, requireCustomer, asyncHandler(async (req, res) => {
+    const [result] = await pool.execute(
+        'DELETE FROM favorites WHERE customer_id = ? AND restaurant_id = ?',
+        [req.user.id, req.params.restaurantId]
+    );
+
+    if (result.affectedRows === 0) {
+        throw new AppError('Restaurant is not in favorites', 404);
+    }
+
+    res.json({
+        success: true,
+        message: 'Restaurant removed from favorites'
+    });
+}));
+
+// @route   POST /api/users/favorites/food
+// @desc    Add a dish to favorites, optionally with back-in-stock and price-drop alerts
+// @access  Private (Customer only)
+router.post('/favorites/food',
+    authenticateToken,
+    requireCustomer,
+    [
+        body('food_item_id').isInt({ min: 1 }).withMessage('Valid food item ID is required'),
+        ...alertSettingsValidation
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const [foodItems] = await pool.execute(
+            'SELECT id FROM food_items WHERE id = ? AND archived_at IS NULL',
+            [req.body.food_item_id]
+        );
+
+        if (foodItems.length === 0) {
+            throw new AppError('Food item not found', 404);
+        }
+
+        await insertFavorite(
+            'INSERT INTO favorites (customer_id, food_item_id, notify_back_in_stock, notify_price_drop) VALUES (?, ?, ?, ?)',
+            [req.user.id, foodItems[0].id, req.body.notify_back_in_stock || false, req.body.notify_price_drop || false],
+            'Food item is already in favorites'
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Food item added to favorites'
+        });
+    })
+);
+
+// @route   PATCH /api/users/favorites/food/:foodItemId
+// @desc    Turn a favorite dish's back-in-stock and price-drop alerts on or off
+// @access  Private (Customer only)
+router.patch('/favorites/food/:foodItemId',
+    authenticateToken,
+    requireCustomer,
+    alertSettingsValidation,
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const fields = ALERT_SETTINGS.filter(field => req.body.hasOwnProperty(field));
+
+        if (fields.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Send notify_back_in_stock and/or notify_price_drop'
+            });
+        }
+
+        const [result] = await pool.execute(
+            `UPDATE favorites SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE customer_id = ? AND food_item_id = ?`,
+            [...fields.map(field => req.body[field]), req.user.id, req.params.foodItemId]
+        );
+
+        if (result.affectedRows === 0) {
+            throw new AppError('Food item is not in favorites', 404);
+        }
+
+        res.json({
+            success: true,
+            message: 'Alert settings updated'
+        });
+    })
+);
+
+// @route   DELETE /api/users/favorites/food/:foodItemId
+// @desc    Remove a dish from favorites
+// @access  Private (Customer only)
+router.delete('/favorites/food/:foodItemId', authenticateToken, requireCustomer, asyncHandler(async (req, res) => {
+    const [result] = await pool.execute(
+        'DELETE FROM favorites WHERE customer_id = ? AND food_item_id = ?',
+        [req.user.id, req.params.foodItemId]
+    );
+
+    if (result.affectedRows === 0) {
+        throw new AppError('Food item is not in favorites', 404);
+    }
+
+    res.json({
+        success: true,
+        message: 'Food item removed from favorites'
+    });
+}));
+
 module.exports = router;
@@ -8,7 +8,7 @@ const socketIo = require('socket.io');
 require('dotenv').config();
 
 // Import database connection
-const { testConnection } = require('./config/database');
+const { pool, testConnection } = require('./config/database');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -19,10 +19,23 @@ const orderRoutes = require('./routes/order');
 const reviewRoutes = require('./routes/review');
 const adminRoutes = require('./routes/admin');
 const uploadRoutes = require('./routes/upload');
+const refundRoutes = require('./routes/refund');
+const promotionRoutes = require('./routes/promotion');
+const searchRoutes = require('./routes/search');
+const notificationRoutes = require('./routes/notification');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
-const { authenticateToken } = require('./middleware/auth');
+const { authenticateToken, authenticateSocket } = require('./middleware/auth');
+
+// Import scheduled jobs
+const { startDailyStockReset } = require('./jobs/dailyStockReset');
+const { startScheduledOrderRelease } = require('./jobs/scheduledOrderRelease');
+const { startSuggestionIndexRefresh } = require('./jobs/suggestionIndexRefresh');
+const { startEmailOutbox } = require('./jobs/emailOutbox');
+
+// Import services
+const { getUnreadCount } = require('./services/notifications');
 
 const app = express();
 const server = http.createServer(app);
@@ -75,6 +88,10 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -93,33 +110,51 @@ app.use('/api/*', (req, res) => {
 // Error handling middleware (should be last)
 app.use(errorHandler);
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
+// Socket.io connection handling; sockets must sign in with their JWT in the handshake
+io.use(authenticateSocket);
+
+io.on('connection', async (socket) => {
+    const userId = socket.user.id;
     console.log('User connected:', socket.id);
 
-    // Join user to their room for personal notifications
-    socket.on('join', (userId) => {
-        socket.join(`user_${userId}`);
-        console.log(`User ${userId} joined their room`);
-    });
+    // Put the signed-in user in their own room for personal notifications
+    socket.join(`user_${userId}`);
+    console.log(`User ${userId} joined their room`);
+
+    // Older clients still emit join; they are already in their room, so there is nothing to do
+    socket.on('join', () => {});
 
     // Join restaurant owners to their restaurant room
-    socket.on('join_restaurant', (restaurantId) => {
-        socket.join(`restaurant_${restaurantId}`);
-        console.log(`Restaurant ${restaurantId} joined their room`);
+    socket.on('join_restaurant', async (restaurantId) => {
+        try {
+            const [restaurants] = await pool.execute(
+                'SELECT id FROM restaurants WHERE id = ? AND cook_id = ?',
+                [restaurantId, socket.user.id]
+            );
+
+            if (restaurants.length === 0) {
+                return;
+            }
+
+            socket.join(`restaurant_${restaurants[0].id}`);
+            console.log(`Restaurant ${restaurants[0].id} joined their room`);
+        } catch (error) {
+            console.error('❌ Failed to join restaurant room:', error.message);
+        }
     });
 
-    // Handle order updates
-    socket.on('order_update', (data) => {
-        // Emit to customer
-        socket.to(`user_${data.customerId}`).emit('order_status_changed', data);
-        // Emit to restaurant
-        socket.to(`restaurant_${data.restaurantId}`).emit('new_order_update', data);
-    });
+    // Order updates are only emitted by the server when a status change is saved, never relayed from clients
 
     socket.on('disconnect', () => {
         console.log('User disconnected:', socket.id);
     });
+
+    // Send the unread count once the handlers are in place
+    try {
+        socket.emit('notification_unread_count', { count: await getUnreadCount(pool, userId) });
+    } catch (error) {
+        console.error('❌ Failed to load unread notification count:', error.message);
+    }
 });
 
 // Start server
@@ -140,6 +175,11 @@ const startServer = async () => {
         console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL}`);
         console.log(`📊 API Health: http://localhost:${PORT}/api/health`);
     });
+
+    startDailyStockReset(io);
+    startScheduledOrderRelease(io);
+    startSuggestionIndexRefresh();
+    startEmailOutbox();
 };
 
 startServer().catch(error => {
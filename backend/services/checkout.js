@@ -0,0 +1,362 @@
+const { AppError } = require('../middleware/errorHandler');
+const { findPromotionByCode, evaluatePromotion, redeemPromotion } = require('./promotions');
+const { calculatePricing, roundAmount } = require('./pricing');
+const { recordStatusChange } = require('./orderStatus');
+const { getOptionGroups, resolveSelections, saveOrderItemOptions } = require('./menuOptions');
+const { getSalesDate, getDailySold, getRemainingStock, reserveStock } = require('./inventory');
+const { getOpeningStatus } = require('./openingHours');
+const { getTimeZone, checkSlot } = require('./scheduling');
+const { getItemMenus, getItemAvailability } = require('./menuSchedule');
+const { refreshEta } = require('./eta');
+const { getAddressLocation, resolveDeliveryZone } = require('./geo');
+const { queueEmail } = require('./email');
+
+// Generate unique order number
+const generateOrderNumber = () => {
+    const timestamp = Date.now().toString();
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    return `ORD-${timestamp.slice(-6)}${random}`;
+};
+
+// Build a problem entry for a quote. Problems block checkout; the quote endpoint just reports them.
+const problem = (code, message, extra = {}) => ({ code, message, ...extra });
+
+// Validate a basket for one restaurant and price it, collecting every problem instead of stopping at the first.
+// items: [{ food_item_id, quantity, options?, special_requests?, expected_unit_price? }]
+// Shared by checkout, the quote endpoint and the cart; pass lockPromotion inside the checkout transaction.
+// With scheduledFor, the restaurant must have room in that delivery slot instead of being open now.
+// With a deliveryAddress ({ lat, lng, ... }), the fee and minimum order come from the delivery zone it falls in.
+const priceOrder = async (connection, {
+    customerId, restaurantId, items, couponCode = null, lockPromotion = false, scheduledFor = null, deliveryAddress = null
+}) => {
+    const [restaurants] = await connection.execute(
+        `SELECT id, name, is_active, opening_hours, orders_paused_until, slot_capacity, latitude, longitude,
+                delivery_radius, delivery_fee, minimum_order_amount, region_code
+         FROM restaurants WHERE id = ?`,
+        [restaurantId]
+    );
+
+    if (restaurants.length === 0) {
+        throw new AppError('Restaurant not found', 404);
+    }
+
+    const restaurant = restaurants[0];
+    const problems = [];
+    const orderItems = [];
+
+    if (!restaurant.is_active) {
+        problems.push(problem('restaurant_inactive', `${restaurant.name} is not accepting orders`));
+    } else if (scheduledFor) {
+        const slotProblem = await checkSlot(connection, restaurant, scheduledFor);
+        if (slotProblem) {
+            problems.push(problem('slot_unavailable', slotProblem, { scheduled_for: scheduledFor }));
+        }
+    } else {
+        const opening = getOpeningStatus(restaurant);
+        if (opening.is_paused) {
+            problems.push(problem('restaurant_paused', `${restaurant.name} has paused new orders`, {
+                paused_until: opening.paused_until
+            }));
+        } else if (!opening.is_open_now) {
+            problems.push(problem('restaurant_closed', `${restaurant.name} is closed right now`, {
+                next_opens_at: opening.next_opens_at
+            }));
+        }
+    }
+
+    const stockChecked = new Set();
+    // Daily limits apply to the day of delivery
+    const salesDate = getSalesDate(restaurant, scheduledFor);
+    const foodItemIds = [...new Set(items.map(item => parseInt(item.food_item_id, 10)))];
+    const soldThatDay = await getDailySold(connection, foodItemIds, salesDate);
+    const menusByItem = await getItemMenus(connection, foodItemIds);
+    const groupsByItem = await getOptionGroups(connection, foodItemIds);
+
+    for (const item of items) {
+        const [foodItems] = await connection.execute(
+            'SELECT id, category_id, name, price, allergens, availability_windows, is_available, auto_sold_out, stock_quantity, daily_limit FROM food_items WHERE id = ? AND restaurant_id = ?',
+            [item.food_item_id, restaurantId]
+        );
+
+        if (foodItems.length === 0) {
+            problems.push(problem('item_not_found', `Food item ${item.food_item_id} not found`, { food_item_id: item.food_item_id }));
+            continue;
+        }
+
+        const foodItem = foodItems[0];
+        const remaining = getRemainingStock(foodItem, soldThatDay[foodItem.id]);
+
+        // Items sold out by today's cap can still be pre-ordered for another day
+        if (!foodItem.is_available && (!foodItem.auto_sold_out || remaining === 0)) {
+            problems.push(problem('item_unavailable', `Food item "${foodItem.name}" is not available`, { food_item_id: foodItem.id }));
+            continue;
+        }
+
+        // Breakfast-only dishes and the like; pre-orders are checked against their delivery slot
+        const availability = getItemAvailability(restaurant, foodItem, menusByItem[foodItem.id], scheduledFor || new Date());
+        if (!availability.available) {
+            const when = scheduledFor ? 'at the requested time' : 'right now';
+            problems.push(problem('item_outside_window', `"${foodItem.name}" is not served ${when}`, {
+                food_item_id: foodItem.id,
+                available_from: availability.available_from
+            }));
+            continue;
+        }
+
+        // The same dish can appear on several lines with different options, so check its total quantity once
+        if (remaining !== null && !stockChecked.has(foodItem.id)) {
+            stockChecked.add(foodItem.id);
+            const requested = items
+                .filter(line => parseInt(line.food_item_id, 10) === foodItem.id)
+                .reduce((sum, line) => sum + parseInt(line.quantity, 10), 0);
+
+            if (requested > remaining) {
+                problems.push(problem('insufficient_stock', `Only ${remaining} of "${foodItem.name}" left`, {
+                    food_item_id: foodItem.id,
+                    available_quantity: remaining
+                }));
+            }
+        }
+
+        // Validate and price the chosen options server-side
+        let resolved;
+        try {
+            resolved = resolveSelections(foodItem, groupsByItem[foodItem.id] || [], item.options);
+        } catch (error) {
+            if (!(error instanceof AppError)) {
+                throw error;
+            }
+            problems.push(problem('invalid_options', error.message, { food_item_id: foodItem.id }));
+            continue;
+        }
+
+        const unitPrice = roundAmount(parseFloat(foodItem.price) + resolved.priceDelta);
+
+        if (item.expected_unit_price !== undefined && item.expected_unit_price !== null
+            && roundAmount(parseFloat(item.expected_unit_price)) !== unitPrice) {
+            problems.push(problem('price_changed', `The price of "${foodItem.name}" changed from ${parseFloat(item.expected_unit_price).toFixed(2)} to ${unitPrice.toFixed(2)}`, {
+                food_item_id: foodItem.id,
+                previous_price: roundAmount(parseFloat(item.expected_unit_price)),
+                current_price: unitPrice
+            }));
+        }
+
+        orderItems.push({
+            food_item_id: foodItem.id,
+            name: foodItem.name,
+            category_id: foodItem.category_id,
+            quantity: item.quantity,
+            base_price: foodItem.price,
+            options: resolved.selections,
+            unit_price: unitPrice,
+            total_price: unitPrice * item.quantity,
+            special_requests: item.special_requests || null,
+            allergens: foodItem.allergens
+        });
+    }
+
+    const subtotal = orderItems.reduce((sum, item) => sum + item.total_price, 0);
+    let deliveryFee = parseFloat(restaurant.delivery_fee) || 0;
+    let minimumOrder = parseFloat(restaurant.minimum_order_amount) || 0;
+    let delivery = null;
+
+    if (deliveryAddress) {
+        const location = getAddressLocation(deliveryAddress);
+        if (!location) {
+            problems.push(problem('address_location_missing', 'The delivery address needs valid lat and lng coordinates'));
+        } else {
+            delivery = await resolveDeliveryZone(connection, restaurant, location);
+            if (!delivery.deliverable) {
+                problems.push(problem('outside_delivery_area', delivery.reason, { distance_km: delivery.distanceKm }));
+            } else {
+                deliveryFee = delivery.deliveryFee;
+                minimumOrder = delivery.minimumOrder;
+            }
+        }
+    }
+
+    if (subtotal < minimumOrder) {
+        const area = delivery && delivery.zone ? ` for delivery to ${delivery.zone.name}` : '';
+        problems.push(problem('minimum_order_not_met', `${restaurant.name} has a minimum order of ${minimumOrder.toFixed(2)}${area}`, {
+            minimum_order_amount: minimumOrder,
+            shortfall: roundAmount(minimumOrder - subtotal)
+        }));
+    }
+
+    // Apply coupon; checkout locks the promotion so usage limits hold under concurrent orders
+    let discount = null;
+    if (couponCode && orderItems.length > 0) {
+        const promotion = await findPromotionByCode(connection, couponCode, { forUpdate: lockPromotion });
+        try {
+            discount = await evaluatePromotion(connection, promotion, {
+                customerId,
+                restaurantId,
+                items: orderItems,
+                subtotal,
+                deliveryFee
+            });
+        } catch (error) {
+            if (!(error instanceof AppError)) {
+                throw error;
+            }
+            problems.push(problem('coupon_invalid', error.message, { code: couponCode }));
+        }
+    }
+
+    const pricing = await calculatePricing(connection, {
+        restaurant,
+        lines: orderItems,
+        deliveryFee,
+        discount
+    });
+
+    return { restaurant, orderItems, discount, pricing, delivery, problems };
+};
+
+// Throw if a priced basket has problems, attaching all of them to the error response
+const assertNoProblems = ({ problems }) => {
+    if (problems.length > 0) {
+        const error = new AppError(problems[0].message, 400);
+        error.problems = problems;
+        throw error;
+    }
+};
+
+// Validate, price and create one restaurant's order, then clear those items from the cart.
+// Runs inside the caller's transaction so a multi-restaurant checkout commits or fails as a whole.
+// Orders with scheduledFor are held as 'scheduled' until the scheduler releases them to the kitchen.
+// A group checkout passes orderNumber so the orders it places together get distinct numbers.
+const placeOrder = async (connection, {
+    customer, restaurantId, items, couponCode = null, deliveryAddress,
+    paymentMethod, specialInstructions = null, checkoutGroupId = null, scheduledFor = null, orderNumber = generateOrderNumber()
+}) => {
+    if (scheduledFor) {
+        // Serialise bookings per restaurant so slot capacity can't be exceeded
+        await connection.execute('SELECT id FROM restaurants WHERE id = ? FOR UPDATE', [restaurantId]);
+    }
+
+    const quote = await priceOrder(connection, {
+        customerId: customer.id,
+        restaurantId,
+        items,
+        couponCode,
+        lockPromotion: true,
+        scheduledFor,
+        deliveryAddress
+    });
+    assertNoProblems(quote);
+
+    const { restaurant, orderItems, discount, pricing, delivery } = quote;
+    const salesDate = getSalesDate(restaurant, scheduledFor);
+    const status = scheduledFor ? 'scheduled' : 'pending';
+
+    const [orderResult] = await connection.execute(
+        `INSERT INTO orders (
+            customer_id, restaurant_id, checkout_group_id, order_number, status, total_amount, 
+            delivery_fee, service_fee, packaging_fee, tax_amount, discount_amount,
+            final_amount, price_breakdown, payment_method, 
+            delivery_address, delivery_zone_id, delivery_distance_km,
+            special_instructions, scheduled_for, sales_date, estimated_delivery_time
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            customer.id, restaurantId, checkoutGroupId, orderNumber, status, pricing.subtotal,
+            pricing.deliveryFee, pricing.serviceFee, pricing.packagingFee, pricing.taxAmount, pricing.discountAmount,
+            pricing.finalAmount, JSON.stringify(pricing.breakdown), paymentMethod,
+            JSON.stringify(deliveryAddress), delivery && delivery.zone ? delivery.zone.id : null,
+            delivery ? delivery.distanceKm : null,
+            specialInstructions || null, scheduledFor, salesDate,
+            scheduledFor // immediate orders get their ETA once the items are in
+        ]
+    );
+
+    const orderId = orderResult.insertId;
+
+    await recordStatusChange(connection, {
+        orderId,
+        toStatus: status,
+        actor: { id: customer.id, role: customer.user_type }
+    });
+
+    if (discount) {
+        await redeemPromotion(connection, { discount, orderId, customerId: customer.id });
+    }
+
+    // Insert order items
+    const soldOutItems = [];
+    for (const item of orderItems) {
+        const soldOut = await reserveStock(connection, {
+            foodItemId: item.food_item_id,
+            name: item.name,
+            quantity: item.quantity,
+            salesDate
+        });
+        if (soldOut) {
+            soldOutItems.push({ id: item.food_item_id, name: item.name });
+        }
+
+        const [orderItemResult] = await connection.execute(
+            'INSERT INTO order_items (order_id, food_item_id, name, base_price, quantity, unit_price, total_price, special_requests, allergens) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [
+                orderId, item.food_item_id, item.name, item.base_price, item.quantity, item.unit_price, item.total_price,
+                item.special_requests, item.allergens ? JSON.stringify(item.allergens) : null
+            ]
+        );
+
+        await saveOrderItemOptions(connection, orderItemResult.insertId, item.options);
+
+        // Update food item order count
+        await connection.execute(
+            'UPDATE food_items SET total_orders = total_orders + ? WHERE id = ?',
+            [item.quantity, item.food_item_id]
+        );
+    }
+
+    await refreshEta(connection, { id: orderId, restaurant_id: restaurantId, status });
+
+    // Clear customer's cart for this restaurant
+    await connection.execute(
+        'DELETE ci FROM cart_items ci JOIN food_items fi ON ci.food_item_id = fi.id WHERE ci.customer_id = ? AND fi.restaurant_id = ?',
+        [customer.id, restaurantId]
+    );
+
+    // The receipt is queued with the order and sent by the outbox worker, so mail problems can't fail checkout
+    await queueEmail(connection, 'order_confirmation', customer.email, {
+        firstName: customer.first_name,
+        orderNumber,
+        restaurantName: restaurant.name,
+        scheduledFor,
+        timeZone: getTimeZone(restaurant),
+        items: orderItems.map(item => ({
+            name: item.name,
+            quantity: item.quantity,
+            totalPrice: item.total_price,
+            options: (item.options || []).map(option => option.option_name)
+        })),
+        totals: {
+            subtotal: pricing.subtotal,
+            deliveryFee: pricing.deliveryFee,
+            serviceFee: pricing.serviceFee,
+            packagingFee: pricing.packagingFee,
+            taxAmount: pricing.taxAmount,
+            discountAmount: pricing.discountAmount,
+            finalAmount: pricing.finalAmount
+        }
+    });
+
+    return {
+        orderId,
+        orderNumber,
+        restaurantId,
+        status,
+        scheduledFor,
+        finalAmount: pricing.finalAmount,
+        itemCount: orderItems.length,
+        soldOutItems
+    };
+};
+
+module.exports = {
+    priceOrder,
+    assertNoProblems,
+    placeOrder
+};
@@ -0,0 +1,83 @@
+const { AppError } = require('../middleware/errorHandler');
+
+// The 14 major allergens that must be declared on food in the UK and EU
+const ALLERGENS = [
+    'celery', 'gluten', 'crustaceans', 'eggs', 'fish', 'lupin', 'milk',
+    'molluscs', 'mustard', 'peanuts', 'sesame', 'soya', 'sulphites', 'tree_nuts'
+];
+
+// Nutrition facts per portion; energy in kcal, the rest in grams
+const NUTRITION_FIELDS = ['calories', 'protein_g', 'carbs_g', 'sugar_g', 'fat_g', 'saturated_fat_g', 'fibre_g', 'salt_g'];
+
+// Check a nutrition object and keep only the facts that were given
+const normalizeNutrition = (nutrition) => {
+    if (nutrition === null || nutrition === undefined) {
+        return null;
+    }
+
+    if (typeof nutrition !== 'object' || Array.isArray(nutrition)) {
+        throw new AppError('Nutrition must be an object of nutrition facts', 400);
+    }
+
+    const unknown = Object.keys(nutrition).find(field => !NUTRITION_FIELDS.includes(field));
+    if (unknown) {
+        throw new AppError(`Unknown nutrition fact "${unknown}" (expected ${NUTRITION_FIELDS.join(', ')})`, 400);
+    }
+
+    const facts = {};
+    NUTRITION_FIELDS.forEach(field => {
+        if (nutrition[field] === null || nutrition[field] === undefined) {
+            return;
+        }
+        const value = Number(nutrition[field]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new AppError(`Nutrition fact "${field}" must be zero or more`, 400);
+        }
+        facts[field] = value;
+    });
+
+    return Object.keys(facts).length > 0 ? facts : null;
+};
+
+// Read a comma-separated ?exclude_allergens= list, rejecting anything that isn't a known allergen
+const parseAllergenList = (value) => {
+    const allergens = value ? value.split(',').map(allergen => allergen.trim()).filter(Boolean) : [];
+    const unknown = allergens.find(allergen => !ALLERGENS.includes(allergen));
+    if (unknown) {
+        throw new AppError(`Unknown allergen "${unknown}" (expected ${ALLERGENS.join(', ')})`, 400);
+    }
+    return allergens;
+};
+
+// SQL condition that leaves out food items containing any of the allergens.
+// Items whose cook hasn't declared allergens are left out too, since they can't be shown to be safe.
+const excludeAllergensSql = (column, allergens) => ({
+    clause: [`${column} IS NOT NULL`, ...allergens.map(() => `NOT JSON_CONTAINS(${column}, JSON_QUOTE(?))`)].join(' AND '),
+    values: allergens
+});
+
+// Warning text for an order line: the allergens it contains, a caution when none were declared, or null when it is declared free of them
+const allergenWarning = (allergens) => {
+    if (allergens === null || allergens === undefined) {
+        return 'Allergens not declared; ask the restaurant before eating';
+    }
+    if (allergens.length === 0) {
+        return null;
+    }
+    return `Contains ${allergens.map(allergen => allergen.replace('_', ' ')).join(', ')}`;
+};
+
+// Add allergen warnings to order item rows selected with an `allergens` column
+const attachAllergenWarnings = (items) => items.map(item => ({
+    ...item,
+    allergen_warning: allergenWarning(item.allergens)
+}));
+
+module.exports = {
+    ALLERGENS,
+    NUTRITION_FIELDS,
+    normalizeNutrition,
+    parseAllergenList,
+    excludeAllergensSql,
+    attachAllergenWarnings
+};
@@ -0,0 +1,136 @@
+const { matchDeliveryZone } = require('./geo');
+const { getOpeningStatus } = require('./openingHours');
+const { estimateRestaurantEtas } = require('./eta');
+
+// Restaurants further than this are never considered, whatever their zones say
+const MAX_DISTANCE_KM = parseFloat(process.env.DISCOVERY_MAX_DISTANCE_KM || '50');
+// Only this many of the nearest restaurants go on to the zone and opening-hours checks, whatever the sort.
+// Results say truncated when more were in range, since further restaurants were then left out unchecked.
+const MAX_CANDIDATES = parseInt(process.env.DISCOVERY_MAX_CANDIDATES || '200', 10);
+
+// Great-circle distance in km from the restaurant to a point, like geo.distanceKm. Takes lat, lat, lng.
+const DISTANCE_SQL = `6371 * 2 * ASIN(SQRT(
+    POW(SIN(RADIANS(r.latitude - ?) / 2), 2)
+    + COS(RADIANS(?)) * COS(RADIANS(r.latitude)) * POW(SIN(RADIANS(r.longitude - ?) / 2), 2)
+))`;
+
+const SORTS = ['distance', 'rating', 'delivery_fee', 'eta'];
+const DIETARY_FLAGS = ['vegetarian', 'vegan'];
+
+const SORTERS = {
+    distance: (a, b) => a.distance_km - b.distance_km,
+    rating: (a, b) => parseFloat(b.rating) - parseFloat(a.rating),
+    delivery_fee: (a, b) => a.delivery_fee - b.delivery_fee,
+    eta: (a, b) => a.eta_minutes - b.eta_minutes
+};
+
+// Find active restaurants that deliver to a location, with the distance, fee and ETA that apply there.
+// filters: { cuisine, openNow, freeDelivery, minRating, dietary: ['vegetarian', 'vegan'] }
+// Returns { restaurants, totalCount, truncated }.
+const discoverRestaurants = async (connection, location, { filters = {}, sort = 'distance', page = 1, limit = 20 } = {}) => {
+    // A restaurant that hasn't set its location can't be shown to deliver anywhere
+    const conditions = ['r.is_active = true', 'r.latitude IS NOT NULL', 'r.longitude IS NOT NULL'];
+    const params = [];
+
+    // Cheap bounding box so idx_location narrows the rows before distances are worked out
+    const latDelta = MAX_DISTANCE_KM / 111;
+    const lngDelta = MAX_DISTANCE_KM / (111 * Math.max(Math.cos(location.lat * Math.PI / 180), 0.01));
+    conditions.push('r.latitude BETWEEN ? AND ? AND r.longitude BETWEEN ? AND ?');
+    params.push(location.lat - latDelta, location.lat + latDelta, location.lng - lngDelta, location.lng + lngDelta);
+
+    if (filters.cuisine) {
+        conditions.push('r.cuisine_type = ?');
+        params.push(filters.cuisine);
+    }
+
+    if (filters.minRating) {
+        conditions.push('r.rating >= ?');
+        params.push(filters.minRating);
+    }
+
+    (filters.dietary || []).forEach(flag => {
+        conditions.push(`EXISTS (SELECT 1 FROM food_items fi WHERE fi.restaurant_id = r.id AND fi.is_available = true AND fi.is_${flag} = true)`);
+    });
+
+    // Restaurants without zones deliver within their radius, which can be checked here; zones are checked below
+    const [restaurants] = await connection.execute(`
+        SELECT r.*, u.first_name, u.last_name, ${DISTANCE_SQL} as distance_sql_km
+        FROM restaurants r
+        JOIN users u ON r.cook_id = u.id
+        WHERE ${conditions.join(' AND ')}
+        HAVING distance_sql_km <= ?
+           AND (distance_sql_km <= r.delivery_radius
+                OR EXISTS (SELECT 1 FROM delivery_zones dz WHERE dz.restaurant_id = r.id AND dz.is_active = true))
+        ORDER BY distance_sql_km
+        LIMIT ?
+    `, [location.lat, location.lat, location.lng, ...params, MAX_DISTANCE_KM, MAX_CANDIDATES + 1]);
+
+    // One row past the cap tells us there were more candidates than were checked
+    const truncated = restaurants.length > MAX_CANDIDATES;
+    if (truncated) {
+        restaurants.splice(MAX_CANDIDATES);
+    }
+
+    if (restaurants.length === 0) {
+        return { restaurants: [], totalCount: 0, truncated };
+    }
+
+    const ids = restaurants.map(restaurant => restaurant.id);
+    const placeholders = ids.map(() => '?').join(', ');
+    const [zones] = await connection.execute(
+        `SELECT * FROM delivery_zones WHERE restaurant_id IN (${placeholders}) AND is_active = true ORDER BY sort_order, id`,
+        ids
+    );
+
+    const results = [];
+    for (const { distance_sql_km, ...restaurant } of restaurants) {
+        const delivery = matchDeliveryZone(restaurant, zones.filter(zone => zone.restaurant_id === restaurant.id), location);
+        if (!delivery.deliverable || (delivery.distanceKm !== null && delivery.distanceKm > MAX_DISTANCE_KM)) {
+            continue;
+        }
+
+        const opening = getOpeningStatus(restaurant);
+        if (filters.openNow && !opening.is_open_now) {
+            continue;
+        }
+
+        if (filters.freeDelivery && delivery.deliveryFee > 0) {
+            continue;
+        }
+
+        results.push({
+            ...restaurant,
+            ...opening,
+            distance_km: delivery.distanceKm,
+            delivery_fee: delivery.deliveryFee,
+            minimum_order_amount: delivery.minimumOrder,
+            delivery_zone: delivery.zone
+        });
+    }
+
+    // ETAs look at every restaurant's kitchen queue, so only work them out for the page unless sorting by them
+    const offset = (page - 1) * limit;
+    const addEtas = async (list) => {
+        const etas = await estimateRestaurantEtas(connection, list.map(restaurant => restaurant.id));
+        return list.map(restaurant => ({ ...restaurant, eta_minutes: etas[restaurant.id] }));
+    };
+
+    // Ties fall back to distance, then rating
+    const sortResults = (list) => list.sort((a, b) => SORTERS[sort](a, b) || SORTERS.distance(a, b) || SORTERS.rating(a, b));
+
+    const pageResults = sort === 'eta'
+        ? sortResults(await addEtas(results)).slice(offset, offset + limit)
+        : await addEtas(sortResults(results).slice(offset, offset + limit));
+
+    return {
+        restaurants: pageResults,
+        totalCount: results.length,
+        truncated
+    };
+};
+
+module.exports = {
+    SORTS,
+    DIETARY_FLAGS,
+    discoverRestaurants
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { pool } = require('../config/database');
+const { renderEmail } = require('./emailTemplates');
+
+// Emails are saved to the email_outbox table by the change that triggers them and sent later by the
+// outbox worker, so a mail server outage delays mail instead of failing the request.
+
+const FROM = process.env.EMAIL_FROM || process.env.EMAIL_USER || 'Food Marketplace <no-reply@foodmarketplace.local>';
+
+// 'smtp' sends through EMAIL_HOST; 'file' writes each message to EMAIL_OUTPUT_DIR as an .eml file
+const TRANSPORT = process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+const OUTPUT_DIR = process.env.EMAIL_OUTPUT_DIR || path.join(os.tmpdir(), 'food-marketplace-mail');
+
+// Failed sends are retried after EMAIL_RETRY_BASE_SECONDS, doubling each time, up to EMAIL_MAX_ATTEMPTS tries
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '6', 10);
+const RETRY_BASE_SECONDS = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS || '60', 10);
+const MAX_RETRY_SECONDS = 6 * 3600;
+
+// A claimed email that is neither sent nor failed after this long (e.g. the server stopped mid-send) is tried again
+const CLAIM_SECONDS = 300;
+
+let transporter = null;
+
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = TRANSPORT === 'smtp'
+            ? nodemailer.createTransport({
+                host: process.env.EMAIL_HOST,
+                port: parseInt(process.env.EMAIL_PORT || '587', 10),
+                secure: process.env.EMAIL_PORT === '465',
+                auth: process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } : undefined
+            })
+            : nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+    return transporter;
+};
+
+// Hand one outbox row to the transport
+const deliver = async (email) => {
+    const info = await getTransporter().sendMail({
+        from: FROM,
+        to: email.recipient,
+        subject: email.subject,
+        text: email.text_body,
+        html: email.html_body
+    });
+
+    if (TRANSPORT !== 'smtp') {
+        await fs.promises.mkdir(OUTPUT_DIR, { recursive: true });
+        await fs.promises.writeFile(path.join(OUTPUT_DIR, `${Date.now()}-${email.id}-${email.template}.eml`), info.message);
+    }
+};
+
+// Render a template and save it to the outbox. Pass a transaction's connection to queue the email
+// with the change it announces, so it is only sent if that change commits.
+const queueEmail = async (connection, template, recipient, data) => {
+    const { subject, text, html } = renderEmail(template, data);
+
+    const [result] = await connection.execute(
+        'INSERT INTO email_outbox (recipient, template, subject, text_body, html_body) VALUES (?, ?, ?, ?, ?)',
+        [recipient, template, subject, text, html]
+    );
+
+    return result.insertId;
+};
+
+// Queue an email to a user by ID, addressed with their first name
+const queueUserEmail = async (connection, userId, template, data = {}) => {
+    const [users] = await connection.execute('SELECT email, first_name FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) {
+        return null;
+    }
+    return queueEmail(connection, template, users[0].email, { firstName: users[0].first_name, ...data });
+};
+
+const retryDelaySeconds = (attempts) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+
+// Claim a batch of due emails so another worker run doesn't pick them up while they are being sent
+const claimDueEmails = async (batchSize) => {
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const [emails] = await connection.execute(`
+            SELECT * FROM email_outbox
+            WHERE status = 'pending' AND next_attempt_at <= NOW()
+            ORDER BY next_attempt_at, id
+            LIMIT ?
+            FOR UPDATE
+        `, [batchSize]);
+
+        if (emails.length > 0) {
+            await connection.execute(`
+                UPDATE email_outbox
+                SET attempts = attempts + 1, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+                WHERE id IN (${emails.map(() => '?').join(', ')})
+            `, [CLAIM_SECONDS, ...emails.map(email => email.id)]);
+        }
+
+        await connection.commit();
+        return emails.map(email => ({ ...email, attempts: email.attempts + 1 }));
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+// Send the emails that are due. Failures are rescheduled with backoff and marked failed after the last attempt.
+const sendDueEmails = async ({ batchSize = 20 } = {}) => {
+    const emails = await claimDueEmails(batchSize);
+    const result = { sent: 0, retrying: 0, failed: 0 };
+
+    for (const email of emails) {
+        try {
+            await deliver(email);
+            await pool.execute(
+                "UPDATE email_outbox SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = ?",
+                [email.id]
+            );
+            result.sent++;
+        } catch (error) {
+            if (email.attempts >= MAX_ATTEMPTS) {
+                await pool.execute(
+                    "UPDATE email_outbox SET status = 'failed', last_error = ? WHERE id = ?",
+                    [error.message, email.id]
+                );
+                result.failed++;
+            } else {
+                await pool.execute(
+                    'UPDATE email_outbox SET last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ?',
+                    [error.message, retryDelaySeconds(email.attempts), email.id]
+                );
+                result.retrying++;
+            }
+        }
+    }
+
+    return result;
+};
+
+module.exports = {
+    TRANSPORT,
+    OUTPUT_DIR,
+    queueEmail,
+    queueUserEmail,
+    sendDueEmails
+};
@@ -0,0 +1,174 @@
+// Transactional email templates. Each takes the data saved with the email and returns { subject, text, html }.
+
+const APP_NAME = process.env.APP_NAME || 'Food Marketplace';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const STATUS_LINES = {
+    confirmed: 'has been confirmed and the restaurant will start on it shortly',
+    preparing: 'is being prepared',
+    sent_to_delivery: 'is on its way to you',
+    delivered: 'has been delivered. Enjoy your meal!',
+    cancelled: 'has been cancelled'
+};
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const money = (amount) => parseFloat(amount || 0).toFixed(2);
+
+// A date and time as the restaurant's customers read it, in its own time zone
+const localDateTime = (instant, timeZone = 'UTC') => new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+}).format(new Date(instant));
+
+// Wrap a message body in the shared layout; paragraphs are plain text and escaped here
+const layout = (paragraphs, extraHtml = '') => `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #e65100;">${escapeHtml(APP_NAME)}</h2>
+    ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    ${extraHtml}
+    <p style="color: #888; font-size: 12px;">You are receiving this email because you have an account with ${escapeHtml(APP_NAME)}.</p>
+</body>
+</html>`;
+
+const welcome = ({ firstName, userType }) => {
+    const paragraphs = [
+        `Hi ${firstName},`,
+        userType === 'cook'
+            ? `Welcome to ${APP_NAME}! Set up your restaurant and menu to start taking orders.`
+            : `Welcome to ${APP_NAME}! Browse restaurants near you and order your first meal.`,
+        `Get started at ${FRONTEND_URL}`
+    ];
+
+    return {
+        subject: `Welcome to ${APP_NAME}`,
+        text: paragraphs.join('\n\n'),
+        html: layout(paragraphs)
+    };
+};
+
+// Itemised receipt: one line per dish with its options, then the price breakdown.
+// Scheduled times are shown in timeZone, the restaurant's.
+const orderConfirmation = ({ firstName, orderNumber, restaurantName, items, totals, scheduledFor = null, timeZone = 'UTC' }) => {
+    const itemLabel = (item) => `${item.quantity} x ${item.name}${item.options && item.options.length > 0 ? ` (${item.options.join(', ')})` : ''}`;
+
+    const totalLines = [
+        ['Subtotal', totals.subtotal],
+        ['Delivery fee', totals.deliveryFee],
+        ['Service fee', totals.serviceFee],
+        ['Packaging fee', totals.packagingFee],
+        ['Tax', totals.taxAmount],
+        ['Discount', totals.discountAmount ? -totals.discountAmount : 0]
+    ].filter(([, amount]) => parseFloat(amount || 0) !== 0);
+
+    const paragraphs = [
+        `Hi ${firstName},`,
+        scheduledFor
+            ? `Thanks for your order from ${restaurantName}. It is scheduled for ${localDateTime(scheduledFor, timeZone)}.`
+            : `Thanks for your order from ${restaurantName}. We'll let you know when the restaurant confirms it.`
+    ];
+
+    const text = [
+        ...paragraphs,
+        `Order ${orderNumber}`,
+        items.map(item => `${itemLabel(item)}  ${money(item.totalPrice)}`).join('\n'),
+        totalLines.map(([label, amount]) => `${label}: ${money(amount)}`).join('\n'),
+        `Total: ${money(totals.finalAmount)}`
+    ].join('\n\n');
+
+    const rows = items.map(item => `
+        <tr><td>${escapeHtml(itemLabel(item))}</td><td style="text-align: right;">${money(item.totalPrice)}</td></tr>`).join('');
+    const totalRows = totalLines.map(([label, amount]) => `
+        <tr><td>${escapeHtml(label)}</td><td style="text-align: right;">${money(amount)}</td></tr>`).join('');
+
+    const receipt = `<h3>Order ${escapeHtml(orderNumber)}</h3>
+    <table style="width: 100%; border-collapse: collapse;">${rows}
+        <tr><td colspan="2"><hr></td></tr>${totalRows}
+        <tr><td><strong>Total</strong></td><td style="text-align: right;"><strong>${money(totals.finalAmount)}</strong></td></tr>
+    </table>`;
+
+    return {
+        subject: `Your order ${orderNumber} from ${restaurantName}`,
+        text,
+        html: layout(paragraphs, receipt)
+    };
+};
+
+const orderStatus = ({ firstName, orderNumber, restaurantName, status }) => {
+    const paragraphs = [
+        `Hi ${firstName},`,
+        `Your order ${orderNumber} from ${restaurantName} ${STATUS_LINES[status] || `is now ${status}`}.`,
+        `Track it at ${FRONTEND_URL}/orders`
+    ];
+
+    return {
+        subject: `Order ${orderNumber}: ${status.replace(/_/g, ' ')}`,
+        text: paragraphs.join('\n\n'),
+        html: layout(paragraphs)
+    };
+};
+
+const refundDecision = ({ firstName, orderNumber, amount, status, notes = null }) => {
+    const paragraphs = [
+        `Hi ${firstName},`,
+        status === 'approved'
+            ? `Your refund of ${money(amount)} for order ${orderNumber} has been approved. It will be paid back to your original payment method.`
+            : `Your refund request of ${money(amount)} for order ${orderNumber} has been declined.`,
+        ...(notes ? [`Note from the restaurant: ${notes}`] : [])
+    ];
+
+    return {
+        subject: `Refund ${status} for order ${orderNumber}`,
+        text: paragraphs.join('\n\n'),
+        html: layout(paragraphs)
+    };
+};
+
+const passwordReset = ({ firstName, resetUrl, expiresMinutes }) => {
+    const intro = [
+        `Hi ${firstName},`,
+        `We received a request to reset your ${APP_NAME} password. Use the link below within ${expiresMinutes} minutes to choose a new one.`
+    ];
+    const ignore = "If you didn't ask for this, you can ignore this email; your password won't change.";
+
+    return {
+        subject: `Reset your ${APP_NAME} password`,
+        text: [...intro, resetUrl, ignore].join('\n\n'),
+        html: layout(intro, `<p><a href="${escapeHtml(resetUrl)}">Choose a new password</a></p>
+    <p>${escapeHtml(ignore)}</p>`)
+    };
+};
+
+const TEMPLATES = {
+    welcome,
+    order_confirmation: orderConfirmation,
+    order_status: orderStatus,
+    refund_decision: refundDecision,
+    password_reset: passwordReset
+};
+
+// Render a template by name
+const renderEmail = (template, data) => {
+    if (!TEMPLATES[template]) {
+        throw new Error(`Unknown email template "${template}"`);
+    }
+    return TEMPLATES[template](data);
+};
+
+module.exports = {
+    TEMPLATES,
+    STATUS_LINES,
+    renderEmail
+};
@@ -0,0 +1,177 @@
+// Delivery ETA estimates. Each stage falls back to a configured default until a restaurant has
+// enough delivered orders for its own history to be trusted.
+const DEFAULT_ACCEPT_MINUTES = parseFloat(process.env.ETA_ACCEPT_MINUTES || '5');
+const DEFAULT_TRAVEL_MINUTES = parseFloat(process.env.ETA_TRAVEL_MINUTES || '20');
+const QUEUE_MINUTES_PER_ORDER = parseFloat(process.env.ETA_QUEUE_MINUTES_PER_ORDER || '4');
+const MIN_HISTORY_SAMPLES = parseInt(process.env.ETA_HISTORY_MIN_SAMPLES || '5', 10);
+
+// How many recent delivered orders to learn from
+const HISTORY_ORDERS = 50;
+const HISTORY_DAYS = 30;
+
+// Never promise less than this many minutes from now for an order still on its way
+const MIN_REMAINING_MINUTES = 1;
+
+// Average observed stage durations for a restaurant's recently delivered orders
+const getHistoricalStages = async (connection, restaurantId) => {
+    const [rows] = await connection.execute(`
+        SELECT
+            COUNT(*) as samples,
+            AVG(TIMESTAMPDIFF(SECOND, h.pending_at, h.confirmed_at)) / 60 as accept_minutes,
+            AVG(TIMESTAMPDIFF(SECOND, h.confirmed_at, h.dispatched_at) / 60 - h.prep_minutes) as prep_overrun_minutes,
+            AVG(TIMESTAMPDIFF(SECOND, h.dispatched_at, h.delivered_at)) / 60 as travel_minutes
+        FROM (
+            SELECT o.id,
+                   MAX(CASE WHEN sh.to_status = 'pending' THEN sh.created_at END) as pending_at,
+                   MAX(CASE WHEN sh.to_status = 'confirmed' THEN sh.created_at END) as confirmed_at,
+                   MAX(CASE WHEN sh.to_status = 'sent_to_delivery' THEN sh.created_at END) as dispatched_at,
+                   MAX(CASE WHEN sh.to_status = 'delivered' THEN sh.created_at END) as delivered_at,
+                   (SELECT COALESCE(MAX(fi.preparation_time), 0)
+                    FROM order_items oi JOIN food_items fi ON oi.food_item_id = fi.id
+                    WHERE oi.order_id = o.id) as prep_minutes
+            FROM orders o
+            JOIN order_status_history sh ON sh.order_id = o.id
+            WHERE o.restaurant_id = ? AND o.status = 'delivered'
+                  AND o.delivered_at >= DATE_SUB(NOW(), INTERVAL ${HISTORY_DAYS} DAY)
+            GROUP BY o.id
+            ORDER BY o.delivered_at DESC
+            LIMIT ${HISTORY_ORDERS}
+        ) h
+        WHERE h.pending_at IS NOT NULL AND h.confirmed_at IS NOT NULL
+              AND h.dispatched_at IS NOT NULL AND h.delivered_at IS NOT NULL
+    `, [restaurantId]);
+
+    const history = rows[0];
+    if (history.samples < MIN_HISTORY_SAMPLES) {
+        return null;
+    }
+
+    return {
+        acceptMinutes: Math.max(parseFloat(history.accept_minutes), 0),
+        prepOverrunMinutes: parseFloat(history.prep_overrun_minutes),
+        travelMinutes: Math.max(parseFloat(history.travel_minutes), 0)
+    };
+};
+
+// When the order entered a status, from its history
+const getStatusEnteredAt = async (connection, orderId, status) => {
+    const [rows] = await connection.execute(
+        'SELECT created_at FROM order_status_history WHERE order_id = ? AND to_status = ? ORDER BY id DESC LIMIT 1',
+        [orderId, status]
+    );
+    return rows.length > 0 ? new Date(rows[0].created_at) : null;
+};
+
+const minutesSince = (date, now) => (date ? (now.getTime() - date.getTime()) / 60000 : 0);
+
+// Estimate when an order will be delivered, given its current status.
+// Returns null for orders that are finished or still waiting for their scheduled slot.
+const estimateDelivery = async (connection, order, now = new Date()) => {
+    if (['scheduled', 'delivered', 'cancelled'].includes(order.status)) {
+        return null;
+    }
+
+    const [prepRows] = await connection.execute(`
+        SELECT COALESCE(MAX(fi.preparation_time), 0) as prep_minutes
+        FROM order_items oi
+        JOIN food_items fi ON oi.food_item_id = fi.id
+        WHERE oi.order_id = ?
+    `, [order.id]);
+
+    const [queueRows] = await connection.execute(
+        "SELECT COUNT(*) as queued FROM orders WHERE restaurant_id = ? AND status IN ('confirmed', 'preparing') AND id <> ?",
+        [order.restaurant_id, order.id]
+    );
+
+    const history = await getHistoricalStages(connection, order.restaurant_id);
+    const basketPrep = parseFloat(prepRows[0].prep_minutes);
+
+    // A slower or faster kitchen shifts prep time, but never below half the menu's stated time
+    const stages = {
+        accept: history ? history.acceptMinutes : DEFAULT_ACCEPT_MINUTES,
+        queue: queueRows[0].queued * QUEUE_MINUTES_PER_ORDER,
+        prep: history ? Math.max(basketPrep + history.prepOverrunMinutes, basketPrep / 2) : basketPrep,
+        travel: history ? history.travelMinutes : DEFAULT_TRAVEL_MINUTES
+    };
+
+    let remaining;
+    if (order.status === 'pending') {
+        remaining = stages.accept + stages.queue + stages.prep + stages.travel;
+    } else if (order.status === 'confirmed') {
+        remaining = stages.queue + stages.prep + stages.travel;
+    } else if (order.status === 'preparing') {
+        const preparingFor = minutesSince(await getStatusEnteredAt(connection, order.id, 'preparing'), now);
+        remaining = Math.max(stages.prep - preparingFor, 0) + stages.travel;
+    } else {
+        const travellingFor = minutesSince(await getStatusEnteredAt(connection, order.id, 'sent_to_delivery'), now);
+        remaining = stages.travel - travellingFor;
+    }
+
+    remaining = Math.max(remaining, MIN_REMAINING_MINUTES);
+    let estimatedDeliveryTime = new Date(now.getTime() + Math.round(remaining) * 60000);
+
+    // Pre-orders are promised for their slot; only a late kitchen pushes them back
+    if (order.scheduled_for && new Date(order.scheduled_for) > estimatedDeliveryTime) {
+        estimatedDeliveryTime = new Date(order.scheduled_for);
+    }
+
+    return {
+        estimatedDeliveryTime,
+        stages: {
+            accept_minutes: Math.round(stages.accept),
+            queue_minutes: Math.round(stages.queue),
+            prep_minutes: Math.round(stages.prep),
+            travel_minutes: Math.round(stages.travel),
+            based_on_history: Boolean(history)
+        }
+    };
+};
+
+// Recalculate and store an order's ETA. Returns the new time, or null if the order has none to update.
+const refreshEta = async (connection, order, now = new Date()) => {
+    const estimate = await estimateDelivery(connection, order, now);
+    if (!estimate) {
+        return null;
+    }
+
+    await connection.execute(
+        'UPDATE orders SET estimated_delivery_time = ? WHERE id = ?',
+        [estimate.estimatedDeliveryTime, order.id]
+    );
+
+    return estimate.estimatedDeliveryTime;
+};
+
+// Rough minutes to deliver a new order from each restaurant, for listings where there is no basket yet.
+// Uses the average prep time of the available menu and the current kitchen queue.
+const estimateRestaurantEtas = async (connection, restaurantIds) => {
+    const etas = {};
+    if (restaurantIds.length === 0) {
+        return etas;
+    }
+
+    const placeholders = restaurantIds.map(() => '?').join(', ');
+    const [rows] = await connection.execute(`
+        SELECT r.id,
+               (SELECT COALESCE(AVG(fi.preparation_time), 0) FROM food_items fi
+                WHERE fi.restaurant_id = r.id AND fi.is_available = true) as prep_minutes,
+               (SELECT COUNT(*) FROM orders o
+                WHERE o.restaurant_id = r.id AND o.status IN ('confirmed', 'preparing')) as queued
+        FROM restaurants r
+        WHERE r.id IN (${placeholders})
+    `, restaurantIds);
+
+    rows.forEach(row => {
+        etas[row.id] = Math.round(
+            DEFAULT_ACCEPT_MINUTES + row.queued * QUEUE_MINUTES_PER_ORDER + parseFloat(row.prep_minutes) + DEFAULT_TRAVEL_MINUTES
+        );
+    });
+
+    return etas;
+};
+
+module.exports = {
+    estimateDelivery,
+    estimateRestaurantEtas,
+    refreshEta
+};
@@ -0,0 +1,111 @@
+const { createNotifications } = require('./notifications');
+
+// Favorites are either a restaurant or a dish; alerts can only be turned on for dishes
+const FAVORITE_COLUMNS = {
+    restaurant: 'restaurant_id',
+    food: 'food_item_id'
+};
+
+// Add is_favorite to restaurants or food items when a user is signed in.
+// Listings for anonymous visitors are returned unchanged.
+const attachFavoriteFlags = async (connection, user, items, type) => {
+    if (!user) {
+        return items;
+    }
+
+    const column = FAVORITE_COLUMNS[type];
+    let favoriteIds = new Set();
+
+    if (user.user_type === 'customer' && items.length > 0) {
+        const [favorites] = await connection.execute(
+            `SELECT ${column} as id FROM favorites WHERE customer_id = ? AND ${column} IN (${items.map(() => '?').join(', ')})`,
+            [user.id, ...items.map(item => item.id)]
+        );
+        favoriteIds = new Set(favorites.map(favorite => favorite.id));
+    }
+
+    return items.map(item => ({ ...item, is_favorite: favoriteIds.has(item.id) }));
+};
+
+// A customer's favorite restaurants and dishes, newest first
+const getFavorites = async (connection, customerId) => {
+    const [restaurants] = await connection.execute(`
+        SELECT r.id, r.name, r.description, r.cuisine_type, r.logo_image, r.rating, r.total_reviews, r.is_active,
+               f.created_at as favorited_at
+        FROM favorites f
+        JOIN restaurants r ON f.restaurant_id = r.id
+        WHERE f.customer_id = ?
+        ORDER BY f.created_at DESC
+    `, [customerId]);
+
+    const [foodItems] = await connection.execute(`
+        SELECT fi.id, fi.name, fi.description, fi.price, fi.image, fi.rating, fi.is_available, fi.restaurant_id,
+               r.name as restaurant_name, fi.archived_at IS NOT NULL as is_archived,
+               f.notify_back_in_stock, f.notify_price_drop, f.created_at as favorited_at
+        FROM favorites f
+        JOIN food_items fi ON f.food_item_id = fi.id
+        JOIN restaurants r ON fi.restaurant_id = r.id
+        WHERE f.customer_id = ?
+        ORDER BY f.created_at DESC
+    `, [customerId]);
+
+    return { restaurants, foodItems };
+};
+
+// The favorited dishes (not archived) with customers watching them for an alert
+const getWatchers = async (connection, foodItemIds, alertColumn) => {
+    const [rows] = await connection.execute(`
+        SELECT f.customer_id, fi.id as food_item_id, fi.name, r.name as restaurant_name
+        FROM favorites f
+        JOIN food_items fi ON f.food_item_id = fi.id
+        JOIN restaurants r ON fi.restaurant_id = r.id
+        WHERE f.food_item_id IN (${foodItemIds.map(() => '?').join(', ')})
+          AND f.${alertColumn} = true AND fi.archived_at IS NULL
+    `, foodItemIds);
+    return rows;
+};
+
+// Notify customers who asked to hear when these favorited dishes are back on sale.
+// Alerts are saved with the stock or price change that raised them (often inside its transaction) and returned;
+// push them with pushNotifications once that change commits.
+const alertBackInStock = async (connection, foodItemIds) => {
+    const alerts = [];
+    if (foodItemIds.length === 0) {
+        return alerts;
+    }
+
+    for (const watcher of await getWatchers(connection, foodItemIds, 'notify_back_in_stock')) {
+        alerts.push(...await createNotifications(connection, [watcher.customer_id], {
+            type: 'favorite',
+            title: `${watcher.name} is back`,
+            message: `${watcher.name} from ${watcher.restaurant_name} is available to order again.`,
+            data: { foodItemId: watcher.food_item_id, alert: 'back_in_stock' }
+        }));
+    }
+
+    return alerts;
+};
+
+// Notify customers who asked to hear when a favorited dish gets cheaper. Returns the saved alerts to push.
+const alertPriceDrop = async (connection, { foodItemId, oldPrice, newPrice }) => {
+    const alerts = [];
+
+    for (const watcher of await getWatchers(connection, [foodItemId], 'notify_price_drop')) {
+        alerts.push(...await createNotifications(connection, [watcher.customer_id], {
+            type: 'favorite',
+            title: `${watcher.name} is cheaper`,
+            message: `${watcher.name} from ${watcher.restaurant_name} is now ${parseFloat(newPrice).toFixed(2)}, down from ${parseFloat(oldPrice).toFixed(2)}.`,
+            data: { foodItemId: watcher.food_item_id, alert: 'price_drop', oldPrice: parseFloat(oldPrice), newPrice: parseFloat(newPrice) }
+        }));
+    }
+
+    return alerts;
+};
+
+module.exports = {
+    FAVORITE_COLUMNS,
+    attachFavoriteFlags,
+    getFavorites,
+    alertBackInStock,
+    alertPriceDrop
+};
@@ -0,0 +1,218 @@
+// Faceted food search shared by /api/search/food and the older /api/food listings
+
+const { excludeAllergensSql } = require('./dietary');
+
+const SORTS = {
+    relevance: 'relevance DESC, fi.rating DESC, fi.total_orders DESC',
+    rating: 'fi.rating DESC, fi.total_orders DESC',
+    popularity: 'fi.total_orders DESC, fi.rating DESC',
+    price_asc: 'fi.price ASC, fi.rating DESC',
+    price_desc: 'fi.price DESC, fi.rating DESC',
+    prep_time: 'fi.preparation_time ASC, fi.rating DESC',
+    newest: 'fi.created_at DESC'
+};
+
+const PRICE_BUCKETS = [
+    { key: 'under_10', label: 'Under 10', min: 0, max: 10 },
+    { key: '10_to_20', label: '10 - 20', min: 10, max: 20 },
+    { key: '20_to_30', label: '20 - 30', min: 20, max: 30 },
+    { key: '30_plus', label: '30 and over', min: 30, max: null }
+];
+const RATING_THRESHOLDS = [4, 3, 2];
+const PREP_TIME_THRESHOLDS = [15, 30, 45];
+
+// Turn free text into a boolean-mode full-text query where every word also matches as a prefix
+const toFullTextQuery = (q) => (q || '')
+    .replace(/[+\-><()~*"@]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => `${word}*`)
+    .join(' ');
+
+// Build the WHERE clauses for a search. Each filter has a facet group so facet counts can leave their own group out.
+const buildFilters = (params) => {
+    const filters = [
+        { group: 'base', clause: 'fi.is_available = true AND r.is_active = true', values: [] }
+    ];
+
+    // Name and category substrings still match, so short words and stopwords find something
+    const fullText = toFullTextQuery(params.q);
+    if (fullText) {
+        const term = `%${params.q.trim()}%`;
+        filters.push({
+            group: 'search',
+            clause: '(MATCH(fi.name, fi.description) AGAINST (? IN BOOLEAN MODE) OR fi.name LIKE ? OR c.name LIKE ?)',
+            values: [fullText, term, term]
+        });
+    }
+
+    ['vegetarian', 'vegan', 'spicy'].forEach(flag => {
+        if (params[flag] !== undefined && params[flag] !== null) {
+            filters.push({ group: 'dietary', clause: `fi.is_${flag} = ?`, values: [params[flag]] });
+        }
+    });
+
+    if (params.minPrice !== undefined && params.minPrice !== null) {
+        filters.push({ group: 'price', clause: 'fi.price >= ?', values: [params.minPrice] });
+    }
+    if (params.maxPrice !== undefined && params.maxPrice !== null) {
+        filters.push({ group: 'price', clause: 'fi.price <= ?', values: [params.maxPrice] });
+    }
+
+    if (params.categoryIds && params.categoryIds.length > 0) {
+        filters.push({
+            group: 'category',
+            clause: `fi.category_id IN (${params.categoryIds.map(() => '?').join(', ')})`,
+            values: params.categoryIds
+        });
+    }
+
+    if (params.restaurantIds && params.restaurantIds.length > 0) {
+        filters.push({
+            group: 'restaurant',
+            clause: `fi.restaurant_id IN (${params.restaurantIds.map(() => '?').join(', ')})`,
+            values: params.restaurantIds
+        });
+    }
+
+    if (params.excludeAllergens && params.excludeAllergens.length > 0) {
+        filters.push({ group: 'allergens', ...excludeAllergensSql('fi.allergens', params.excludeAllergens) });
+    }
+
+    if (params.minRating !== undefined && params.minRating !== null) {
+        filters.push({ group: 'rating', clause: 'fi.rating >= ?', values: [params.minRating] });
+    }
+
+    if (params.maxPrepTime !== undefined && params.maxPrepTime !== null) {
+        filters.push({ group: 'prep_time', clause: 'fi.preparation_time <= ?', values: [params.maxPrepTime] });
+    }
+
+    return { filters, fullText };
+};
+
+const whereFor = (filters, excludeGroup = null) => {
+    const applied = filters.filter(filter => filter.group !== excludeGroup);
+    return {
+        where: `WHERE ${applied.map(filter => filter.clause).join(' AND ')}`,
+        values: applied.flatMap(filter => filter.values)
+    };
+};
+
+const FROM = `
+    FROM food_items fi
+    LEFT JOIN categories c ON fi.category_id = c.id
+    JOIN restaurants r ON fi.restaurant_id = r.id
+`;
+
+// Count matches per facet value, each ignoring its own filter so the other options stay visible
+const getFacets = async (connection, filters) => {
+    const categories = whereFor(filters, 'category');
+    const [categoryRows] = await connection.execute(`
+        SELECT c.id, c.name, COUNT(*) as count
+        ${FROM}
+        ${categories.where} AND c.id IS NOT NULL
+        GROUP BY c.id, c.name
+        ORDER BY count DESC, c.name
+    `, categories.values);
+
+    const restaurants = whereFor(filters, 'restaurant');
+    const [restaurantRows] = await connection.execute(`
+        SELECT r.id, r.name, COUNT(*) as count
+        ${FROM}
+        ${restaurants.where}
+        GROUP BY r.id, r.name
+        ORDER BY count DESC, r.name
+    `, restaurants.values);
+
+    const dietary = whereFor(filters, 'dietary');
+    const [dietaryRows] = await connection.execute(`
+        SELECT COALESCE(SUM(fi.is_vegetarian), 0) as vegetarian,
+               COALESCE(SUM(fi.is_vegan), 0) as vegan,
+               COALESCE(SUM(fi.is_spicy), 0) as spicy
+        ${FROM}
+        ${dietary.where}
+    `, dietary.values);
+
+    const price = whereFor(filters, 'price');
+    const [priceRows] = await connection.execute(`
+        SELECT ${PRICE_BUCKETS.map(bucket => (
+            `COALESCE(SUM(fi.price >= ${bucket.min}${bucket.max === null ? '' : ` AND fi.price < ${bucket.max}`}), 0) as \`${bucket.key}\``
+        )).join(', ')}
+        ${FROM}
+        ${price.where}
+    `, price.values);
+
+    const rating = whereFor(filters, 'rating');
+    const [ratingRows] = await connection.execute(`
+        SELECT ${RATING_THRESHOLDS.map(min => `COALESCE(SUM(fi.rating >= ${min}), 0) as \`${min}\``).join(', ')}
+        ${FROM}
+        ${rating.where}
+    `, rating.values);
+
+    const prepTime = whereFor(filters, 'prep_time');
+    const [prepRows] = await connection.execute(`
+        SELECT ${PREP_TIME_THRESHOLDS.map(max => `COALESCE(SUM(fi.preparation_time <= ${max}), 0) as \`${max}\``).join(', ')}
+        ${FROM}
+        ${prepTime.where}
+    `, prepTime.values);
+
+    return {
+        categories: categoryRows,
+        restaurants: restaurantRows,
+        dietary: {
+            vegetarian: parseInt(dietaryRows[0].vegetarian, 10),
+            vegan: parseInt(dietaryRows[0].vegan, 10),
+            spicy: parseInt(dietaryRows[0].spicy, 10)
+        },
+        price: PRICE_BUCKETS.map(bucket => ({
+            ...bucket,
+            count: parseInt(priceRows[0][bucket.key], 10)
+        })),
+        rating: RATING_THRESHOLDS.map(min => ({ min_rating: min, count: parseInt(ratingRows[0][min], 10) })),
+        prep_time: PREP_TIME_THRESHOLDS.map(max => ({ max_prep_time: max, count: parseInt(prepRows[0][max], 10) }))
+    };
+};
+
+// Search available food items.
+// params: { q, vegetarian, vegan, spicy, excludeAllergens, minPrice, maxPrice, categoryIds, restaurantIds,
+//           minRating, maxPrepTime, sort, page, limit, includeFacets }
+const searchFood = async (connection, params = {}) => {
+    const { filters, fullText } = buildFilters(params);
+    const page = params.page || 1;
+    const limit = params.limit || 20;
+    const sort = SORTS[params.sort] ? params.sort : (fullText ? 'relevance' : 'rating');
+
+    // Relevance only means something with a search term; a direct name hit outranks a category hit
+    const relevance = fullText
+        ? 'MATCH(fi.name, fi.description) AGAINST (? IN BOOLEAN MODE) + (fi.name LIKE ?) * 2 + (c.name LIKE ?)'
+        : '0';
+    const term = fullText ? `%${params.q.trim()}%` : null;
+    const relevanceValues = fullText ? [fullText, term, term] : [];
+
+    const { where, values } = whereFor(filters);
+
+    const [foodItems] = await connection.execute(`
+        SELECT fi.*, c.name as category_name, r.name as restaurant_name, ${relevance} as relevance
+        ${FROM}
+        ${where}
+        ORDER BY ${SORTS[sort]}, fi.id
+        LIMIT ? OFFSET ?
+    `, [...relevanceValues, ...values, limit, (page - 1) * limit]);
+
+    const [countRows] = await connection.execute(`
+        SELECT COUNT(*) as total
+        ${FROM}
+        ${where}
+    `, values);
+
+    return {
+        foodItems,
+        totalCount: countRows[0].total,
+        facets: params.includeFacets ? await getFacets(connection, filters) : undefined
+    };
+};
+
+module.exports = {
+    SORTS,
+    searchFood
+};
@@ -0,0 +1,150 @@
+const { AppError } = require('../middleware/errorHandler');
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two { lat, lng } points in kilometres
+const distanceKm = (from, to) => {
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Ray-casting point-in-polygon test; polygon is [[lat, lng], ...]
+const isInPolygon = (point, polygon) => {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lngI] = polygon[i];
+        const [latJ, lngJ] = polygon[j];
+        const crosses = (latI > point.lat) !== (latJ > point.lat)
+            && point.lng < (lngJ - lngI) * (point.lat - latI) / (latJ - latI) + lngI;
+        if (crosses) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+const isValidCoordinate = (lat, lng) => Number.isFinite(lat) && Number.isFinite(lng)
+    && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+// Check a polygon is a list of at least three [lat, lng] pairs
+const validatePolygon = (polygon) => {
+    if (!Array.isArray(polygon) || polygon.length < 3) {
+        throw new AppError('A polygon needs at least three [lat, lng] points', 400);
+    }
+
+    return polygon.map(point => {
+        const [lat, lng] = Array.isArray(point) ? point.map(Number) : [];
+        if (!isValidCoordinate(lat, lng)) {
+            throw new AppError('Polygon points must be [lat, lng] pairs', 400);
+        }
+        return [lat, lng];
+    });
+};
+
+// Read { lat, lng } from a delivery address, or null if it has no usable coordinates
+const getAddressLocation = (address) => {
+    if (!address) {
+        return null;
+    }
+    const lat = parseFloat(address.lat);
+    const lng = parseFloat(address.lng);
+    return isValidCoordinate(lat, lng) ? { lat, lng } : null;
+};
+
+const getRestaurantLocation = (restaurant) => (
+    restaurant.latitude === null || restaurant.latitude === undefined
+        ? null
+        : { lat: parseFloat(restaurant.latitude), lng: parseFloat(restaurant.longitude) }
+);
+
+// Whether a zone covers a point
+const zoneContains = (zone, restaurantLocation, point) => {
+    if (zone.zone_type === 'polygon') {
+        return isInPolygon(point, zone.polygon);
+    }
+    return Boolean(restaurantLocation) && distanceKm(restaurantLocation, point) <= parseFloat(zone.radius_km);
+};
+
+// Work out which of a restaurant's active zones an address falls in and the fee and minimum order that apply.
+// Zones are checked in sort order; a restaurant with no zones uses its delivery_radius around its location.
+// Returns { deliverable, zone, distanceKm, deliveryFee, minimumOrder, reason }.
+const matchDeliveryZone = (restaurant, zones, point) => {
+    const restaurantLocation = getRestaurantLocation(restaurant);
+    const distance = restaurantLocation ? Math.round(distanceKm(restaurantLocation, point) * 100) / 100 : null;
+
+    const defaults = {
+        deliveryFee: parseFloat(restaurant.delivery_fee) || 0,
+        minimumOrder: parseFloat(restaurant.minimum_order_amount) || 0
+    };
+
+    if (zones.length === 0) {
+        // With no zones and no location there is no delivery area to check against, so nothing is deliverable
+        if (!restaurantLocation) {
+            return {
+                deliverable: false,
+                zone: null,
+                distanceKm: null,
+                reason: `${restaurant.name} has not set its delivery area yet`
+            };
+        }
+
+        const radius = parseFloat(restaurant.delivery_radius);
+        if (distance > radius) {
+            return {
+                deliverable: false,
+                zone: null,
+                distanceKm: distance,
+                reason: `${restaurant.name} delivers within ${radius} km and this address is ${distance} km away`
+            };
+        }
+
+        return { deliverable: true, zone: null, distanceKm: distance, ...defaults };
+    }
+
+    const zone = zones.find(candidate => zoneContains(candidate, restaurantLocation, point));
+    if (!zone) {
+        const radii = zones.filter(candidate => candidate.zone_type === 'radius').map(candidate => parseFloat(candidate.radius_km));
+        const reach = radii.length === zones.length && distance !== null
+            ? ` (the furthest it delivers is ${Math.max(...radii)} km; this address is ${distance} km away)`
+            : '';
+
+        return {
+            deliverable: false,
+            zone: null,
+            distanceKm: distance,
+            reason: `This address is outside ${restaurant.name}'s delivery zones${reach}`
+        };
+    }
+
+    return {
+        deliverable: true,
+        zone: { id: zone.id, name: zone.name },
+        distanceKm: distance,
+        deliveryFee: zone.delivery_fee === null ? defaults.deliveryFee : parseFloat(zone.delivery_fee),
+        minimumOrder: zone.minimum_order_amount === null ? defaults.minimumOrder : parseFloat(zone.minimum_order_amount)
+    };
+};
+
+// Load a restaurant's active zones and match an address against them
+const resolveDeliveryZone = async (connection, restaurant, point) => {
+    const [zones] = await connection.execute(
+        'SELECT * FROM delivery_zones WHERE restaurant_id = ? AND is_active = true ORDER BY sort_order, id',
+        [restaurant.id]
+    );
+
+    return matchDeliveryZone(restaurant, zones, point);
+};
+
+module.exports = {
+    distanceKm,
+    isInPolygon,
+    validatePolygon,
+    getAddressLocation,
+    matchDeliveryZone,
+    resolveDeliveryZone
+};
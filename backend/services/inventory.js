@@ -0,0 +1,207 @@
+const { AppError } = require('../middleware/errorHandler');
+const { getLocalTime } = require('./openingHours');
+const { alertBackInStock } = require('./favorites');
+
+// The restaurant-local date a sale counts against for daily limits: the delivery day, so a pre-order
+// for Friday uses Friday's cap. Takes anything with the restaurant's opening_hours.
+const getSalesDate = (restaurant, scheduledFor = null) => {
+    const timezone = (restaurant.opening_hours && restaurant.opening_hours.timezone) || 'UTC';
+    return getLocalTime(scheduledFor ? new Date(scheduledFor) : new Date(), timezone).date;
+};
+
+// Units of each item already sold for a sales date, keyed by food item ID
+const getDailySold = async (connection, foodItemIds, salesDate) => {
+    if (foodItemIds.length === 0) {
+        return {};
+    }
+
+    const [rows] = await connection.execute(
+        `SELECT food_item_id, quantity FROM food_item_daily_sales WHERE sales_date = ? AND food_item_id IN (${foodItemIds.map(() => '?').join(', ')})`,
+        [salesDate, ...foodItemIds]
+    );
+
+    const sold = {};
+    rows.forEach(row => {
+        sold[row.food_item_id] = row.quantity;
+    });
+    return sold;
+};
+
+// How many more units of an item can be sold for a day, given what that day has sold, or null when it is unlimited
+const getRemainingStock = (foodItem, soldThatDay = 0) => {
+    const limits = [];
+
+    if (foodItem.stock_quantity !== null && foodItem.stock_quantity !== undefined) {
+        limits.push(foodItem.stock_quantity);
+    }
+
+    if (foodItem.daily_limit !== null && foodItem.daily_limit !== undefined) {
+        limits.push(foodItem.daily_limit - (soldThatDay || 0));
+    }
+
+    return limits.length > 0 ? Math.max(Math.min(...limits), 0) : null;
+};
+
+// Find which items are sold out on their restaurant's current day.
+// items: [{ id, stock_quantity, daily_limit, opening_hours }]
+const findSoldOutToday = async (connection, items) => {
+    const itemsByDate = {};
+    items.forEach(item => {
+        const date = getSalesDate(item);
+        (itemsByDate[date] = itemsByDate[date] || []).push(item);
+    });
+
+    const soldOut = new Set();
+    for (const [date, dayItems] of Object.entries(itemsByDate)) {
+        const sold = await getDailySold(connection, dayItems.map(item => item.id), date);
+        dayItems
+            .filter(item => getRemainingStock(item, sold[item.id]) === 0)
+            .forEach(item => soldOut.add(item.id));
+    }
+
+    return soldOut;
+};
+
+// Take stock for an order line and count it against the daily limit of salesDate (from getSalesDate).
+// The item row is locked first, so concurrent checkouts can't oversell. Returns whether this sale sold the item out.
+const reserveStock = async (connection, { foodItemId, name, quantity, salesDate }) => {
+    const [foodItems] = await connection.execute(
+        'SELECT stock_quantity, daily_limit FROM food_items WHERE id = ? FOR UPDATE',
+        [foodItemId]
+    );
+    const sold = await getDailySold(connection, [foodItemId], salesDate);
+    const remaining = foodItems.length > 0 ? getRemainingStock(foodItems[0], sold[foodItemId]) : 0;
+
+    if (remaining !== null && remaining < quantity) {
+        throw new AppError(
+            remaining > 0
+                ? `Only ${remaining} of "${name}" left`
+                : `"${name}" is sold out`,
+            409
+        );
+    }
+
+    await connection.execute(
+        'UPDATE food_items SET stock_quantity = stock_quantity - ? WHERE id = ?',
+        [quantity, foodItemId]
+    );
+    await connection.execute(
+        'INSERT INTO food_item_daily_sales (food_item_id, sales_date, quantity) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE quantity = quantity + ?',
+        [foodItemId, salesDate, quantity, quantity]
+    );
+
+    const soldOut = await markSoldOut(connection, [foodItemId]);
+    return soldOut.length > 0;
+};
+
+// Flag items that have run out as unavailable. Returns the IDs that were switched off.
+const markSoldOut = async (connection, foodItemIds) => {
+    if (foodItemIds.length === 0) {
+        return [];
+    }
+
+    const [candidates] = await connection.execute(`
+        SELECT fi.id, fi.stock_quantity, fi.daily_limit, r.opening_hours
+        FROM food_items fi
+        JOIN restaurants r ON fi.restaurant_id = r.id
+        WHERE fi.id IN (${foodItemIds.map(() => '?').join(', ')}) AND fi.is_available = true
+    `, foodItemIds);
+
+    const soldOut = await findSoldOutToday(connection, candidates);
+    if (soldOut.size === 0) {
+        return [];
+    }
+
+    const ids = [...soldOut];
+    await connection.execute(
+        `UPDATE food_items SET is_available = false, auto_sold_out = true WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+    );
+
+    return ids;
+};
+
+// Put automatically sold-out items back on sale once they have stock again, alerting customers watching them.
+// Items a cook switched off by hand are left alone. Pass null to check every item.
+// Returns { restored, alerts }: the IDs put back on sale and the saved alerts to push once the change commits.
+const restoreAvailability = async (connection, foodItemIds = null) => {
+    if (foodItemIds && foodItemIds.length === 0) {
+        return { restored: [], alerts: [] };
+    }
+
+    const filter = foodItemIds ? `AND fi.id IN (${foodItemIds.map(() => '?').join(', ')})` : '';
+    const [candidates] = await connection.execute(`
+        SELECT fi.id, fi.stock_quantity, fi.daily_limit, r.opening_hours
+        FROM food_items fi
+        JOIN restaurants r ON fi.restaurant_id = r.id
+        WHERE fi.auto_sold_out = true ${filter}
+    `, foodItemIds || []);
+
+    const soldOut = await findSoldOutToday(connection, candidates);
+    const ids = candidates.map(item => item.id).filter(id => !soldOut.has(id));
+    if (ids.length === 0) {
+        return { restored: [], alerts: [] };
+    }
+
+    await connection.execute(
+        `UPDATE food_items SET is_available = true, auto_sold_out = false WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+    );
+
+    return { restored: ids, alerts: await alertBackInStock(connection, ids) };
+};
+
+// Give a cancelled order's units back, to its stock and to the daily count of the day it was charged to.
+// Returns what restoreAvailability does.
+const restoreStock = async (connection, orderId) => {
+    const [lines] = await connection.execute(
+        'SELECT DISTINCT food_item_id FROM order_items WHERE order_id = ?',
+        [orderId]
+    );
+
+    if (lines.length === 0) {
+        return { restored: [], alerts: [] };
+    }
+
+    await connection.execute(`
+        UPDATE food_items fi
+        JOIN (
+            SELECT food_item_id, SUM(quantity) as quantity
+            FROM order_items
+            WHERE order_id = ?
+            GROUP BY food_item_id
+        ) oi ON oi.food_item_id = fi.id
+        SET fi.stock_quantity = fi.stock_quantity + oi.quantity
+    `, [orderId]);
+
+    await connection.execute(`
+        UPDATE food_item_daily_sales s
+        JOIN (
+            SELECT food_item_id, SUM(quantity) as quantity
+            FROM order_items
+            WHERE order_id = ?
+            GROUP BY food_item_id
+        ) oi ON oi.food_item_id = s.food_item_id
+        JOIN orders o ON o.id = ?
+        SET s.quantity = GREATEST(s.quantity - oi.quantity, 0)
+        WHERE s.sales_date = o.sales_date
+    `, [orderId, orderId]);
+
+    return restoreAvailability(connection, lines.map(line => line.food_item_id));
+};
+
+// Put items that hit yesterday's cap back on sale once their restaurant's local day has rolled over.
+// Counts are kept per day, so nothing needs clearing.
+const resetDailyLimits = (connection) => restoreAvailability(connection);
+
+module.exports = {
+    getSalesDate,
+    getDailySold,
+    getRemainingStock,
+    findSoldOutToday,
+    reserveStock,
+    markSoldOut,
+    restoreAvailability,
+    restoreStock,
+    resetDailyLimits
+};
@@ -0,0 +1,150 @@
+const { AppError } = require('../middleware/errorHandler');
+
+// Load the option groups (with their options) for a set of food items, keyed by food item ID
+const getOptionGroups = async (connection, foodItemIds, { availableOnly = false } = {}) => {
+    const groupsByItem = {};
+    if (foodItemIds.length === 0) {
+        return groupsByItem;
+    }
+
+    const placeholders = foodItemIds.map(() => '?').join(', ');
+    const [groups] = await connection.execute(
+        `SELECT * FROM food_option_groups WHERE food_item_id IN (${placeholders}) ORDER BY sort_order, id`,
+        foodItemIds
+    );
+
+    if (groups.length === 0) {
+        return groupsByItem;
+    }
+
+    const groupPlaceholders = groups.map(() => '?').join(', ');
+    const [options] = await connection.execute(
+        `SELECT * FROM food_options WHERE option_group_id IN (${groupPlaceholders}) ${availableOnly ? 'AND is_available = true' : ''} ORDER BY sort_order, id`,
+        groups.map(group => group.id)
+    );
+
+    for (const group of groups) {
+        group.options = options.filter(option => option.option_group_id === group.id);
+        if (!groupsByItem[group.food_item_id]) {
+            groupsByItem[group.food_item_id] = [];
+        }
+        groupsByItem[group.food_item_id].push(group);
+    }
+
+    return groupsByItem;
+};
+
+// Check that a group's selection rules are consistent, normalising min/max for single-select groups
+const normalizeGroupRules = ({ selection_type, is_required, min_selections, max_selections }) => {
+    let min = min_selections === undefined || min_selections === null ? 0 : parseInt(min_selections, 10);
+    let max = max_selections === undefined || max_selections === null ? null : parseInt(max_selections, 10);
+
+    if (selection_type === 'single') {
+        max = 1;
+    }
+    if (is_required && min < 1) {
+        min = 1;
+    }
+    if (max !== null && min > max) {
+        throw new AppError('Minimum selections cannot be greater than maximum selections', 400);
+    }
+
+    return { min_selections: min, max_selections: max };
+};
+
+// Validate a customer's chosen options for a food item against its option groups (from getOptionGroups) and price them.
+// Returns the selections to snapshot onto the order line and the total price change per unit.
+// Options can lower the price (e.g. a smaller size) but never below zero.
+const resolveSelections = (foodItem, groups, selectedOptionIds = []) => {
+    const selectedIds = [...new Set((selectedOptionIds || []).map(id => parseInt(id, 10)))];
+    const selections = [];
+    let priceDelta = 0;
+
+    const knownIds = new Set();
+    for (const group of groups) {
+        group.options.forEach(option => knownIds.add(option.id));
+    }
+
+    const unknownId = selectedIds.find(id => !knownIds.has(id));
+    if (unknownId !== undefined) {
+        throw new AppError(`Option ${unknownId} is not available for "${foodItem.name}"`, 400);
+    }
+
+    for (const group of groups) {
+        const chosen = group.options.filter(option => selectedIds.includes(option.id));
+
+        const unavailable = chosen.find(option => !option.is_available);
+        if (unavailable) {
+            throw new AppError(`"${unavailable.name}" is currently unavailable for "${foodItem.name}"`, 400);
+        }
+
+        const min = group.is_required ? Math.max(group.min_selections, 1) : group.min_selections;
+        const max = group.selection_type === 'single' ? 1 : group.max_selections;
+
+        if (chosen.length < min) {
+            throw new AppError(`Choose at least ${min} option(s) for "${group.name}" on "${foodItem.name}"`, 400);
+        }
+        if (max !== null && chosen.length > max) {
+            throw new AppError(`Choose at most ${max} option(s) for "${group.name}" on "${foodItem.name}"`, 400);
+        }
+
+        for (const option of chosen) {
+            priceDelta += parseFloat(option.price_delta);
+            selections.push({
+                option_group_id: group.id,
+                option_id: option.id,
+                group_name: group.name,
+                option_name: option.name,
+                price_delta: parseFloat(option.price_delta)
+            });
+        }
+    }
+
+    priceDelta = Math.max(priceDelta, -parseFloat(foodItem.price));
+
+    return { selections, priceDelta: Math.round(priceDelta * 100) / 100 };
+};
+
+// Cart lines are unique per food item and set of chosen options
+const optionsKey = (selectedOptionIds = []) => [...new Set((selectedOptionIds || []).map(id => parseInt(id, 10)))]
+    .sort((a, b) => a - b)
+    .join(',');
+
+// Snapshot the chosen options onto an order line so later menu edits don't rewrite history
+const saveOrderItemOptions = async (connection, orderItemId, selections) => {
+    for (const selection of selections) {
+        await connection.execute(
+            'INSERT INTO order_item_options (order_item_id, option_group_id, option_id, group_name, option_name, price_delta) VALUES (?, ?, ?, ?, ?, ?)',
+            [orderItemId, selection.option_group_id, selection.option_id, selection.group_name, selection.option_name, selection.price_delta]
+        );
+    }
+};
+
+// Attach the snapshotted options to order item rows
+const attachOrderItemOptions = async (connection, items) => {
+    if (items.length === 0) {
+        return items;
+    }
+
+    const placeholders = items.map(() => '?').join(', ');
+    const [options] = await connection.execute(
+        `SELECT order_item_id, group_name, option_name, price_delta FROM order_item_options WHERE order_item_id IN (${placeholders}) ORDER BY id`,
+        items.map(item => item.id)
+    );
+
+    return items.map(item => ({
+        ...item,
+        options: options
+            .filter(option => option.order_item_id === item.id)
+            .map(({ order_item_id, ...option }) => option)
+    }));
+};
+
+module.exports = {
+    getOptionGroups,
+    normalizeGroupRules,
+    resolveSelections,
+    optionsKey,
+    saveOrderItemOptions,
+    attachOrderItemOptions
+};
@@ -0,0 +1,109 @@
+const { validateOpeningHours, isOpenAt, getNextOpening } = require('./openingHours');
+
+// Named menus (Breakfast, Lunch, ...) and per-item windows use the weekly part of the opening hours format:
+// { "mon": [{ "open": "07:00", "close": "11:00" }], ... }, read in the restaurant's time zone.
+// An item with its own availability_windows follows those. Otherwise it is orderable while any active menu
+// it belongs to is on, and an item on no menu is orderable whenever the restaurant is.
+
+// Check a weekly schedule and return it in canonical form
+const validateSchedule = (schedule) => validateOpeningHours({ weekly: schedule }).weekly;
+
+const getTimeZone = (restaurant) => (restaurant.opening_hours && restaurant.opening_hours.timezone) || 'UTC';
+
+// The active menus each food item belongs to, keyed by food item ID
+const getItemMenus = async (connection, foodItemIds) => {
+    const menusByItem = {};
+    if (foodItemIds.length === 0) {
+        return menusByItem;
+    }
+
+    const [rows] = await connection.execute(`
+        SELECT mi.food_item_id, m.id, m.name, m.schedule
+        FROM menu_items mi
+        JOIN menus m ON mi.menu_id = m.id
+        WHERE mi.food_item_id IN (${foodItemIds.map(() => '?').join(', ')}) AND m.is_active = true
+        ORDER BY m.sort_order, m.id
+    `, foodItemIds);
+
+    rows.forEach(row => {
+        (menusByItem[row.food_item_id] = menusByItem[row.food_item_id] || []).push({
+            id: row.id,
+            name: row.name,
+            schedule: row.schedule
+        });
+    });
+
+    return menusByItem;
+};
+
+// Whether a food item can be ordered at an instant, and if not, when it next can be (null if not within a fortnight).
+// Returns { available, available_from, menus } where menus names the menus that make it available.
+const getItemAvailability = (restaurant, foodItem, menus = [], at = new Date()) => {
+    const timezone = getTimeZone(restaurant);
+
+    if (foodItem.availability_windows) {
+        const hours = { timezone, weekly: foodItem.availability_windows };
+        const available = isOpenAt(hours, at);
+        return { available, available_from: available ? null : getNextOpening(hours, at), menus: [] };
+    }
+
+    // An item on no menu follows the restaurant's own opening hours
+    if (menus.length === 0) {
+        const hours = restaurant.opening_hours || null;
+        const available = isOpenAt(hours, at);
+        return { available, available_from: available ? null : getNextOpening(hours, at), menus: [] };
+    }
+
+    const onNow = menus.filter(menu => isOpenAt({ timezone, weekly: menu.schedule }, at));
+    if (onNow.length > 0) {
+        return { available: true, available_from: null, menus: onNow.map(menu => menu.name) };
+    }
+
+    const next = menus
+        .map(menu => ({ name: menu.name, startsAt: getNextOpening({ timezone, weekly: menu.schedule }, at) }))
+        .filter(menu => menu.startsAt)
+        .sort((a, b) => a.startsAt - b.startsAt)[0];
+
+    return {
+        available: false,
+        available_from: next ? next.startsAt : null,
+        menus: next ? [next.name] : []
+    };
+};
+
+// Split a restaurant's items into what can be ordered now and what comes on later
+const splitByAvailability = async (connection, restaurant, foodItems, at = new Date()) => {
+    const menusByItem = await getItemMenus(connection, foodItems.map(item => item.id));
+    const availableNow = [];
+    const availableLater = [];
+
+    foodItems.forEach(item => {
+        const availability = getItemAvailability(restaurant, item, menusByItem[item.id], at);
+        const entry = { ...item, menus: availability.menus, available_from: availability.available_from };
+        (availability.available ? availableNow : availableLater).push(entry);
+    });
+
+    availableLater.sort((a, b) => (a.available_from === null) - (b.available_from === null)
+        || (a.available_from || 0) - (b.available_from || 0));
+
+    return { availableNow, availableLater };
+};
+
+// Whether a menu is on at an instant and when it next starts
+const getMenuStatus = (restaurant, menu, at = new Date()) => {
+    const hours = { timezone: getTimeZone(restaurant), weekly: menu.schedule };
+    const isOn = Boolean(menu.is_active) && isOpenAt(hours, at);
+    return {
+        ...menu,
+        is_available_now: isOn,
+        next_starts_at: isOn || !menu.is_active ? null : getNextOpening(hours, at)
+    };
+};
+
+module.exports = {
+    validateSchedule,
+    getItemMenus,
+    getItemAvailability,
+    splitByAvailability,
+    getMenuStatus
+};
@@ -0,0 +1,361 @@
+const { AppError } = require('../middleware/errorHandler');
+const { recordPriceChange } = require('./priceHistory');
+const { markSoldOut } = require('./inventory');
+const { alertBackInStock } = require('./favorites');
+const { normalizeNutrition } = require('./dietary');
+const { validateSchedule } = require('./menuSchedule');
+
+// Columns in an exported menu, and the fields an import understands
+const MENU_FIELDS = [
+    'id', 'name', 'description', 'category', 'price',
+    'is_vegetarian', 'is_vegan', 'is_spicy', 'allergens', 'nutrition', 'portion_size',
+    'preparation_time', 'is_available', 'availability_windows', 'stock_quantity', 'daily_limit', 'image'
+];
+
+const BOOLEAN_FIELDS = ['is_vegetarian', 'is_vegan', 'is_spicy', 'is_available'];
+
+// Objects that go in one CSV cell as JSON text
+const JSON_FIELDS = ['nutrition', 'availability_windows'];
+
+// Allergens share one CSV cell, separated by this
+const LIST_SEPARATOR = '|';
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = Array.isArray(value)
+        ? value.join(LIST_SEPARATOR)
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => [
+    MENU_FIELDS.join(','),
+    ...rows.map(row => MENU_FIELDS.map(field => csvCell(row[field])).join(','))
+].join('\r\n');
+
+// Parse CSV text (RFC 4180 quoting) into objects keyed by the header row
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+
+    const [header = [], ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+    const fields = header.map(name => name.trim().replace(/^\uFEFF/, ''));
+
+    return rows.map(row => {
+        const item = {};
+        fields.forEach((field, index) => {
+            item[field] = row[index];
+        });
+        return item;
+    });
+};
+
+// Turn an imported row (CSV strings or JSON values) into the shape the food routes accept.
+// Only the fields the file has are included, so a file without a column leaves that field alone.
+// Blank cells become null; values that can't be read are left as they are for validation to reject.
+const normalizeImportRow = (raw) => {
+    const row = {};
+
+    MENU_FIELDS.forEach(field => {
+        if (!Object.prototype.hasOwnProperty.call(raw, field)) {
+            return;
+        }
+
+        let value = raw[field];
+        if (typeof value === 'string') {
+            value = value.trim();
+            if (value === '') {
+                value = null;
+            }
+        }
+        if (value === undefined) {
+            value = null;
+        }
+
+        if (BOOLEAN_FIELDS.includes(field) && typeof value === 'string' && ['true', 'false', '1', '0', 'yes', 'no'].includes(value.toLowerCase())) {
+            value = ['true', '1', 'yes'].includes(value.toLowerCase());
+        }
+
+        if (field === 'allergens' && typeof value === 'string') {
+            value = value.split(LIST_SEPARATOR).map(allergen => allergen.trim()).filter(Boolean);
+        }
+
+        if (JSON_FIELDS.includes(field) && typeof value === 'string') {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                // Left as text for validation to reject
+            }
+        }
+
+        row[field] = value;
+    });
+
+    return row;
+};
+
+// A restaurant's current (unarchived) food items, with their category name
+const getMenuItems = async (connection, restaurantId) => {
+    const [foodItems] = await connection.execute(`
+        SELECT fi.*, c.name as category
+        FROM food_items fi
+        LEFT JOIN categories c ON fi.category_id = c.id
+        WHERE fi.restaurant_id = ? AND fi.archived_at IS NULL
+        ORDER BY c.sort_order, fi.name
+    `, [restaurantId]);
+
+    return foodItems;
+};
+
+// A food item in export form
+const toMenuRow = (item) => {
+    const row = {};
+    MENU_FIELDS.forEach(field => {
+        row[field] = item[field] === undefined ? null : item[field];
+    });
+    BOOLEAN_FIELDS.forEach(field => {
+        row[field] = Boolean(item[field]);
+    });
+    row.price = parseFloat(item.price);
+    return row;
+};
+
+// A restaurant's current (unarchived) menu in export form
+const exportMenu = async (connection, restaurantId) => (await getMenuItems(connection, restaurantId)).map(toMenuRow);
+
+// Checks beyond the field rules: nutrition facts and availability windows, as POST /api/food makes them
+const checkStructuredFields = (data) => {
+    const errors = [];
+    const checks = { nutrition: normalizeNutrition, availability_windows: validateSchedule };
+
+    Object.entries(checks).forEach(([field, normalize]) => {
+        // Values that aren't objects at all are reported by the field rules
+        if (data[field] === null || typeof data[field] !== 'object') {
+            return;
+        }
+        try {
+            data[field] = normalize(data[field]);
+        } catch (error) {
+            if (!(error instanceof AppError)) {
+                throw error;
+            }
+            errors.push({ field, message: error.message });
+        }
+    });
+
+    return errors;
+};
+
+// Work out what importing a set of rows would do to a restaurant's menu.
+// rows: [{ row, data }]; validateRow checks a row with the same rules as POST /api/food and returns its errors.
+// Updated items are checked as they will be saved, with the fields the file leaves out kept as they are.
+// Rows match existing items by id, then by name. With archiveMissing, items not in the file are archived.
+const planImport = async (connection, restaurantId, rows, { archiveMissing = false, validateRow }) => {
+    const existing = await getMenuItems(connection, restaurantId);
+    const [categories] = await connection.execute('SELECT id, name FROM categories WHERE is_active = true');
+
+    const byId = new Map(existing.map(item => [item.id, item]));
+    const byName = new Map(existing.map(item => [item.name.toLowerCase(), item]));
+    const categoryByName = new Map(categories.map(category => [category.name.toLowerCase(), category.id]));
+    const matched = new Set();
+    const namesSeen = new Set();
+
+    const planned = [];
+    for (const { row, data } of rows) {
+        const rowErrors = [];
+        let target = null;
+
+        if (data.id !== null && data.id !== undefined) {
+            target = byId.get(parseInt(data.id, 10)) || null;
+            if (!target) {
+                rowErrors.push({ field: 'id', message: `Food item ${data.id} is not on this menu` });
+            }
+        } else if (typeof data.name === 'string') {
+            target = byName.get(data.name.toLowerCase()) || null;
+        }
+
+        if (target && matched.has(target.id)) {
+            rowErrors.push({ field: 'id', message: `"${target.name}" appears more than once in the file` });
+        }
+
+        if (typeof data.name === 'string') {
+            if (namesSeen.has(data.name.toLowerCase())) {
+                rowErrors.push({ field: 'name', message: `"${data.name}" appears more than once in the file` });
+            }
+            namesSeen.add(data.name.toLowerCase());
+        }
+
+        const changes = { ...data };
+        if (data.category !== null && data.category !== undefined) {
+            changes.category_id = categoryByName.get(String(data.category).toLowerCase()) || null;
+            if (!changes.category_id) {
+                rowErrors.push({ field: 'category', message: `Unknown category "${data.category}"` });
+            }
+        } else if (data.category === null) {
+            changes.category_id = null;
+        }
+
+        if (target) {
+            matched.add(target.id);
+        }
+
+        const merged = target ? { ...toMenuRow(target), ...data } : { ...data };
+        rowErrors.push(...await validateRow({ ...merged }), ...checkStructuredFields(changes));
+
+        planned.push({
+            row,
+            action: target ? 'update' : 'create',
+            food_item_id: target ? target.id : null,
+            name: merged.name,
+            previous_price: target ? parseFloat(target.price) : null,
+            previous_available: target ? Boolean(target.is_available) : null,
+            errors: rowErrors,
+            data: changes
+        });
+    }
+
+    const archived = archiveMissing
+        ? existing.filter(item => !matched.has(item.id)).map(item => ({ food_item_id: item.id, name: item.name }))
+        : [];
+
+    return {
+        rows: planned,
+        archived,
+        summary: {
+            create: planned.filter(item => item.action === 'create').length,
+            update: planned.filter(item => item.action === 'update').length,
+            archive: archived.length,
+            errors: planned.filter(item => item.errors.length > 0).length
+        }
+    };
+};
+
+// The food_items columns a planned row sets, as [column, value] pairs. Only fields in the file are included.
+const toColumns = (data) => {
+    const columns = [];
+    const set = (field, column, value) => {
+        if (Object.prototype.hasOwnProperty.call(data, field)) {
+            columns.push([column, value]);
+        }
+    };
+
+    set('category_id', 'category_id', data.category_id);
+    ['name', 'description', 'price', 'portion_size', 'preparation_time', 'stock_quantity', 'daily_limit', 'image']
+        .forEach(field => set(field, field, data[field] === undefined ? null : data[field]));
+    ['is_vegetarian', 'is_vegan', 'is_spicy'].forEach(field => set(field, field, Boolean(data[field])));
+    set('is_available', 'is_available', data.is_available !== false);
+    set('allergens', 'allergens', data.allergens ? JSON.stringify([...new Set(data.allergens)]) : null);
+    JSON_FIELDS.forEach(field => set(field, field, data[field] ? JSON.stringify(data[field]) : null));
+
+    return columns;
+};
+
+// Apply a planned import with no errors. Run it inside a transaction so a failure leaves the menu untouched.
+// Returns { touched, alerts }: the IDs of every item touched and the favorite alerts to push once it commits.
+const applyImport = async (connection, restaurantId, plan, userId) => {
+    const touched = [];
+    const switchedOn = [];
+    const alerts = [];
+
+    for (const item of plan.rows) {
+        const data = item.data;
+        const columns = toColumns(data);
+
+        if (item.action === 'create') {
+            columns.push(['restaurant_id', restaurantId]);
+            const [result] = await connection.execute(
+                `INSERT INTO food_items (${columns.map(([column]) => column).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map(([, value]) => value)
+            );
+            await recordPriceChange(connection, { foodItemId: result.insertId, newPrice: data.price, changedBy: userId });
+            touched.push(result.insertId);
+        } else {
+            // Setting availability here is a manual choice, like PUT /api/food/:id
+            if (Object.prototype.hasOwnProperty.call(data, 'is_available')) {
+                columns.push(['auto_sold_out', false]);
+            }
+
+            if (columns.length > 0) {
+                await connection.execute(
+                    `UPDATE food_items SET ${columns.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+                    [...columns.map(([, value]) => value), item.food_item_id]
+                );
+            }
+            if (Object.prototype.hasOwnProperty.call(data, 'price')) {
+                alerts.push(...await recordPriceChange(connection, {
+                    foodItemId: item.food_item_id,
+                    oldPrice: item.previous_price,
+                    newPrice: data.price,
+                    changedBy: userId
+                }));
+            }
+            if (!item.previous_available && Object.prototype.hasOwnProperty.call(data, 'is_available') && data.is_available !== false) {
+                switchedOn.push(item.food_item_id);
+            }
+            touched.push(item.food_item_id);
+        }
+    }
+
+    for (const item of plan.archived) {
+        await connection.execute(
+            'UPDATE food_items SET archived_at = NOW(), is_available = false, auto_sold_out = false WHERE id = ?',
+            [item.food_item_id]
+        );
+        await connection.execute('DELETE FROM cart_items WHERE food_item_id = ?', [item.food_item_id]);
+        touched.push(item.food_item_id);
+    }
+
+    // Items imported with no stock left go straight on the sold-out list, the same as an edit.
+    // Dishes the import switched back on, and that still have stock, count as back in stock.
+    const soldOut = await markSoldOut(connection, touched);
+    alerts.push(...await alertBackInStock(connection, switchedOn.filter(id => !soldOut.includes(id))));
+
+    return { touched, alerts };
+};
+
+module.exports = {
+    MENU_FIELDS,
+    toCsv,
+    parseCsv,
+    normalizeImportRow,
+    exportMenu,
+    planImport,
+    applyImport
+};
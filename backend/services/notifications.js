@@ -0,0 +1,116 @@
+const { pool } = require('../config/database');
+
+const NOTIFICATION_TYPES = ['order', 'refund', 'review', 'favorite', 'promotion', 'general', 'system'];
+
+// What customers are told when their order changes status
+const ORDER_STATUS_MESSAGES = {
+    pending: 'has been sent to the restaurant',
+    confirmed: 'has been confirmed by the restaurant',
+    preparing: 'is being prepared',
+    sent_to_delivery: 'is on its way',
+    delivered: 'has been delivered',
+    cancelled: 'has been cancelled'
+};
+
+// Save a notification for each user. Pass a transaction's connection to save them with the change
+// that caused them; push them once it commits. Returns the saved notifications.
+const createNotifications = async (connection, userIds, { type = 'general', title, message, data = null }) => {
+    const created = [];
+
+    for (const userId of [...new Set(userIds)]) {
+        const [result] = await connection.execute(
+            'INSERT INTO notifications (user_id, type, title, message, data) VALUES (?, ?, ?, ?, ?)',
+            [userId, type, title, message, data ? JSON.stringify(data) : null]
+        );
+        created.push({
+            id: result.insertId,
+            user_id: userId,
+            type,
+            title,
+            message,
+            data,
+            is_read: false,
+            created_at: new Date()
+        });
+    }
+
+    return created;
+};
+
+// Send saved notifications to their users' rooms as a `notification` event
+const pushNotifications = (io, notifications) => {
+    notifications.forEach(notification => {
+        io.to(`user_${notification.user_id}`).emit('notification', notification);
+    });
+};
+
+// Save notifications and push them straight away. Use outside transactions, e.g. after a commit.
+// The change being announced has already happened, so a failure here is logged rather than thrown.
+const notify = async (io, userIds, notification) => {
+    try {
+        const created = await createNotifications(pool, Array.isArray(userIds) ? userIds : [userIds], notification);
+        pushNotifications(io, created);
+        return created;
+    } catch (error) {
+        console.error('❌ Failed to send notification:', error.message);
+        return [];
+    }
+};
+
+// Notify the cook who runs a restaurant
+const notifyRestaurant = async (io, restaurantId, notification) => {
+    try {
+        const [restaurants] = await pool.execute('SELECT cook_id FROM restaurants WHERE id = ?', [restaurantId]);
+        return restaurants.length > 0 ? notify(io, restaurants[0].cook_id, notification) : [];
+    } catch (error) {
+        console.error('❌ Failed to send notification:', error.message);
+        return [];
+    }
+};
+
+// Tell a customer their order moved to a new status
+const notifyOrderStatus = (io, order, status) => notify(io, order.customer_id, {
+    type: 'order',
+    title: `Order ${order.order_number}`,
+    message: `Your order ${ORDER_STATUS_MESSAGES[status] || `is now ${status}`}.`,
+    data: { orderId: order.id, orderNumber: order.order_number, status }
+});
+
+const getUnreadCount = async (connection, userId) => {
+    const [rows] = await connection.execute(
+        'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = false',
+        [userId]
+    );
+    return rows[0].count;
+};
+
+// One page of a user's notifications, newest first
+const listNotifications = async (connection, userId, { unreadOnly = false, page = 1, limit = 20 } = {}) => {
+    const where = `user_id = ?${unreadOnly ? ' AND is_read = false' : ''}`;
+
+    const [notifications] = await connection.execute(`
+        SELECT id, type, title, message, data, is_read, created_at
+        FROM notifications
+        WHERE ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+    `, [userId, limit, (page - 1) * limit]);
+
+    const [countResult] = await connection.execute(
+        `SELECT COUNT(*) as total FROM notifications WHERE ${where}`,
+        [userId]
+    );
+
+    return { notifications, totalCount: countResult[0].total };
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    createNotifications,
+    pushNotifications,
+    notify,
+    notifyRestaurant,
+    notifyOrderStatus,
+    getUnreadCount,
+    listNotifications
+};
@@ -0,0 +1,205 @@
+const { AppError } = require('../middleware/errorHandler');
+
+// Opening hours are stored in restaurants.opening_hours as:
+// {
+//   "timezone": "Europe/London",
+//   "weekly": { "mon": [{ "open": "11:00", "close": "15:00" }, { "open": "17:00", "close": "23:00" }], ... },
+//   "closures": [{ "date": "2025-12-25", "reason": "Christmas" }, { "from": "2025-08-01", "to": "2025-08-14" }]
+// }
+// Days missing from "weekly" are closed. A shift whose close is earlier than its open runs past midnight.
+// A restaurant without opening hours is treated as always open.
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// How far ahead to look for the next opening
+const LOOKAHEAD_DAYS = 14;
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Check an opening hours document and return it in canonical form
+const validateOpeningHours = (hours) => {
+    if (hours === null) {
+        return null;
+    }
+
+    if (typeof hours !== 'object' || Array.isArray(hours)) {
+        throw new AppError('Opening hours must be an object', 400);
+    }
+
+    const timezone = hours.timezone || 'UTC';
+    if (!isValidTimeZone(timezone)) {
+        throw new AppError(`Unknown time zone "${timezone}"`, 400);
+    }
+
+    const weekly = {};
+    for (const [day, shifts] of Object.entries(hours.weekly || {})) {
+        if (!DAYS.includes(day)) {
+            throw new AppError(`Unknown day "${day}"; use ${DAYS.join(', ')}`, 400);
+        }
+        if (!Array.isArray(shifts)) {
+            throw new AppError(`Shifts for "${day}" must be an array`, 400);
+        }
+
+        weekly[day] = shifts.map(shift => {
+            if (!shift || !TIME_PATTERN.test(shift.open) || !TIME_PATTERN.test(shift.close)) {
+                throw new AppError(`Shifts for "${day}" need open and close times as HH:MM`, 400);
+            }
+            if (shift.open === shift.close) {
+                throw new AppError(`A shift on "${day}" opens and closes at the same time`, 400);
+            }
+            return { open: shift.open, close: shift.close };
+        }).sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+    }
+
+    const closures = (hours.closures || []).map(closure => {
+        const from = closure.date || closure.from;
+        const to = closure.date || closure.to || from;
+
+        if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) || to < from) {
+            throw new AppError('Closures need a "date" or a "from"/"to" range as YYYY-MM-DD', 400);
+        }
+
+        return { from, to, reason: closure.reason || null };
+    });
+
+    return { timezone, weekly, closures };
+};
+
+// Get the wall-clock date, weekday and minute of the day for an instant in a time zone
+const getLocalTime = (instant, timeZone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(instant).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+    return {
+        date,
+        day: DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()],
+        minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+        // Offset of the zone from UTC at this instant, in milliseconds
+        offset: Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+            - Math.floor(instant.getTime() / 1000) * 1000
+    };
+};
+
+// Convert a wall-clock date and time in a time zone to an instant
+const toInstant = (date, time, timeZone) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // Correct with the offset at the guess, then again in case that crossed a DST change
+    let instant = guess - getLocalTime(new Date(guess), timeZone).offset;
+    instant = guess - getLocalTime(new Date(instant), timeZone).offset;
+    return new Date(instant);
+};
+
+const addDays = (date, days) => {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + days);
+    return next.toISOString().slice(0, 10);
+};
+
+const dayOf = (date) => DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+// Find the closure covering a local date, if any
+const getClosure = (hours, date) => (hours.closures || []).find(closure => closure.from <= date && date <= closure.to) || null;
+
+const getShifts = (hours, date) => (getClosure(hours, date) ? [] : ((hours.weekly || {})[dayOf(date)] || []));
+
+// Whether the opening hours are open at an instant
+const isOpenAt = (hours, instant = new Date()) => {
+    if (!hours) {
+        return true;
+    }
+
+    const local = getLocalTime(instant, hours.timezone);
+
+    const openToday = getShifts(hours, local.date).some(shift => {
+        const open = toMinutes(shift.open);
+        const close = toMinutes(shift.close);
+        return close > open
+            ? local.minutes >= open && local.minutes < close
+            : local.minutes >= open;
+    });
+
+    // Shifts that started yesterday and run past midnight
+    const openFromYesterday = getShifts(hours, addDays(local.date, -1)).some(shift => {
+        const close = toMinutes(shift.close);
+        return close < toMinutes(shift.open) && local.minutes < close;
+    });
+
+    return openToday || openFromYesterday;
+};
+
+// The first instant at or after `from` when the opening hours are open, or null if none within the lookahead
+const getNextOpening = (hours, from = new Date()) => {
+    if (!hours || isOpenAt(hours, from)) {
+        return from;
+    }
+
+    const today = getLocalTime(from, hours.timezone).date;
+    for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+        const date = addDays(today, offset);
+        for (const shift of getShifts(hours, date)) {
+            const opensAt = toInstant(date, shift.open, hours.timezone);
+            if (opensAt > from) {
+                return opensAt;
+            }
+        }
+    }
+
+    return null;
+};
+
+// Compute whether a restaurant is taking orders now, combining opening hours, closures and a temporary pause
+const getOpeningStatus = (restaurant, now = new Date()) => {
+    const hours = restaurant.opening_hours || null;
+    const pausedUntil = restaurant.orders_paused_until ? new Date(restaurant.orders_paused_until) : null;
+    const isPaused = Boolean(pausedUntil && pausedUntil > now);
+
+    const isOpenNow = !isPaused && isOpenAt(hours, now);
+    const nextOpensAt = isOpenNow ? null : getNextOpening(hours, isPaused ? pausedUntil : now);
+    const closure = hours ? getClosure(hours, getLocalTime(now, hours.timezone).date) : null;
+
+    return {
+        is_open_now: isOpenNow,
+        is_paused: isPaused,
+        paused_until: isPaused ? pausedUntil : null,
+        next_opens_at: nextOpensAt,
+        closure_reason: closure ? closure.reason : null
+    };
+};
+
+module.exports = {
+    DAYS,
+    validateOpeningHours,
+    getLocalTime,
+    isOpenAt,
+    getNextOpening,
+    getOpeningStatus
+};
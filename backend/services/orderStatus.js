@@ -0,0 +1,194 @@
+const { AppError } = require('../middleware/errorHandler');
+const { createRefundRequest, getRefundTotals } = require('./refunds');
+const { roundAmount } = require('./pricing');
+const { releasePromotion } = require('./promotions');
+const { restoreStock } = require('./inventory');
+const { refreshEta } = require('./eta');
+const { queueUserEmail } = require('./email');
+const { STATUS_LINES } = require('./emailTemplates');
+
+// Allowed order status transitions and the roles that may perform each one.
+// Statuses missing from a map (e.g. delivered, cancelled) are terminal.
+const STATUS_TRANSITIONS = {
+    // Scheduled orders are released to the kitchen by the scheduler shortly before their slot
+    scheduled: {
+        pending: ['system'],
+        cancelled: ['customer', 'cook', 'admin']
+    },
+    pending: {
+        confirmed: ['cook', 'admin'],
+        cancelled: ['customer', 'cook', 'admin']
+    },
+    confirmed: {
+        preparing: ['cook', 'admin'],
+        cancelled: ['customer', 'cook', 'admin']
+    },
+    preparing: {
+        sent_to_delivery: ['cook', 'admin'],
+        // Customers can only ask; the restaurant accepts through a cancellation request
+        cancelled: ['cook', 'admin']
+    },
+    sent_to_delivery: {
+        delivered: ['cook', 'admin']
+    },
+    delivered: {},
+    cancelled: {}
+};
+
+const ORDER_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Once an order reaches one of these, an open cancellation request can no longer be acted on
+const CANCELLATION_REQUEST_CLOSING_STATUSES = ['sent_to_delivery', 'delivered', 'cancelled'];
+
+// Minutes after confirmation during which a customer can still cancel without approval
+const CANCEL_GRACE_MINUTES = parseInt(process.env.ORDER_CANCEL_GRACE_MINUTES || '5', 10);
+
+// When an order was last confirmed, falling back to its last update if the history has no confirmation
+const getConfirmedAt = async (connection, order) => {
+    const [confirmations] = await connection.execute(
+        "SELECT created_at FROM order_status_history WHERE order_id = ? AND to_status = 'confirmed' ORDER BY id DESC LIMIT 1",
+        [order.id]
+    );
+    return confirmations.length > 0 ? new Date(confirmations[0].created_at) : new Date(order.updated_at);
+};
+
+// Whether a customer can still cancel a confirmed order outright instead of asking the restaurant
+const isWithinCancelGrace = (confirmedAt, now = new Date()) => now.getTime() - confirmedAt.getTime() <= CANCEL_GRACE_MINUTES * 60000;
+
+// Get the statuses an order can move to from its current status for a role.
+// Customers only get to cancel a confirmed order within the grace period, so pass confirmedAt (from getConfirmedAt) for those.
+const getAllowedTransitions = (order, role, { confirmedAt = null } = {}) => {
+    const transitions = STATUS_TRANSITIONS[order.status] || {};
+    return Object.keys(transitions)
+        .filter(toStatus => transitions[toStatus].includes(role))
+        .filter(toStatus => !(role === 'customer' && order.status === 'confirmed' && toStatus === 'cancelled')
+            || isWithinCancelGrace(confirmedAt || new Date(order.updated_at)));
+};
+
+// Check a transition against the state machine, throwing a descriptive error if it is not allowed
+const assertTransition = (fromStatus, toStatus, role) => {
+    const transitions = STATUS_TRANSITIONS[fromStatus] || {};
+
+    if (!transitions[toStatus]) {
+        throw new AppError(`Cannot change order status from "${fromStatus}" to "${toStatus}"`, 409);
+    }
+
+    if (!transitions[toStatus].includes(role)) {
+        throw new AppError(`Role "${role}" cannot change order status from "${fromStatus}" to "${toStatus}"`, 403);
+    }
+};
+
+// Record a status change in the order's history
+const recordStatusChange = async (connection, { orderId, fromStatus = null, toStatus, actor = null, reason = null }) => {
+    await connection.execute(
+        'INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, changed_by_role, reason) VALUES (?, ?, ?, ?, ?, ?)',
+        [orderId, fromStatus, toStatus, actor ? actor.id : null, actor ? actor.role : 'system', reason]
+    );
+};
+
+// Undo what checkout did for a cancelled order (order counts, stock, coupon usage) and open a refund if it was
+// already paid. Returns { refundId, alerts }: the refund request opened, if any, and back-in-stock alerts to push.
+const applyCancellationEffects = async (connection, order) => {
+    // Reverse the total_orders increments made at checkout
+    await connection.execute(`
+        UPDATE food_items fi
+        JOIN (
+            SELECT food_item_id, SUM(quantity) as quantity
+            FROM order_items
+            WHERE order_id = ?
+            GROUP BY food_item_id
+        ) oi ON oi.food_item_id = fi.id
+        SET fi.total_orders = GREATEST(fi.total_orders - oi.quantity, 0)
+    `, [order.id]);
+
+    // Put the units back on sale
+    const { alerts } = await restoreStock(connection, order.id);
+
+    // Give the coupon usage back to the customer
+    await releasePromotion(connection, order.id);
+
+    if (order.payment_status !== 'paid') {
+        return { refundId: null, alerts };
+    }
+
+    const totals = await getRefundTotals(connection, order.id);
+    const remaining = roundAmount(parseFloat(order.final_amount) - totals.requested);
+    if (remaining <= 0) {
+        return { refundId: null, alerts };
+    }
+
+    const refundId = await createRefundRequest(connection, {
+        order: { ...order, status: 'cancelled' },
+        customerId: order.customer_id,
+        reason: 'Automatic refund for cancelled order',
+        amount: remaining
+    });
+
+    return { refundId, alerts };
+};
+
+// Move an order to a new status and record the change.
+// Expects to run inside a transaction with the order row locked (SELECT ... FOR UPDATE).
+// The returned alerts (customers told a dish is back after a cancellation) should be pushed once it commits.
+const transitionOrder = async (connection, order, toStatus, { actor, reason = null }) => {
+    const fromStatus = order.status;
+    assertTransition(fromStatus, toStatus, actor ? actor.role : 'system');
+
+    const updateData = { status: toStatus };
+    if (toStatus === 'delivered') {
+        updateData.delivered_at = new Date();
+    }
+
+    const setClause = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updateData);
+    values.push(order.id);
+
+    await connection.execute(
+        `UPDATE orders SET ${setClause} WHERE id = ?`,
+        values
+    );
+
+    await recordStatusChange(connection, { orderId: order.id, fromStatus, toStatus, actor, reason });
+
+    // The accept/decline endpoint overwrites this with its own decision when it is the one cancelling
+    if (CANCELLATION_REQUEST_CLOSING_STATUSES.includes(toStatus)) {
+        await connection.execute(
+            "UPDATE order_cancellation_requests SET status = 'obsolete', response_note = ? WHERE order_id = ? AND status = 'pending'",
+            [toStatus === 'cancelled' ? 'Order was cancelled' : `Order is already ${toStatus.replace(/_/g, ' ')}`, order.id]
+        );
+    }
+
+    let refundId = null;
+    let alerts = [];
+    if (toStatus === 'cancelled') {
+        ({ refundId, alerts } = await applyCancellationEffects(connection, order));
+    }
+
+    // Each step changes what is left to do, so re-estimate the delivery time
+    const estimatedDeliveryTime = await refreshEta(connection, { ...order, status: toStatus });
+
+    // Email the customer about the steps that matter to them
+    if (STATUS_LINES[toStatus]) {
+        const [restaurants] = await connection.execute('SELECT name FROM restaurants WHERE id = ?', [order.restaurant_id]);
+        await queueUserEmail(connection, order.customer_id, 'order_status', {
+            orderNumber: order.order_number,
+            restaurantName: restaurants.length > 0 ? restaurants[0].name : '',
+            status: toStatus
+        });
+    }
+
+    return { fromStatus, toStatus, refundId, estimatedDeliveryTime, alerts };
+};
+
+module.exports = {
+    STATUS_TRANSITIONS,
+    ORDER_STATUSES,
+    CANCEL_GRACE_MINUTES,
+    getConfirmedAt,
+    isWithinCancelGrace,
+    getAllowedTransitions,
+    assertTransition,
+    recordStatusChange,
+    applyCancellationEffects,
+    transitionOrder
+};
@@ -0,0 +1,43 @@
+const { alertPriceDrop } = require('./favorites');
+
+// Record a food item's price when it is set or changes, and alert customers watching it for a drop.
+// Does nothing if the price is unchanged. Returns the price-drop alerts saved, for the caller to push.
+const recordPriceChange = async (connection, { foodItemId, oldPrice = null, newPrice, changedBy = null }) => {
+    if (oldPrice !== null && parseFloat(oldPrice) === parseFloat(newPrice)) {
+        return [];
+    }
+
+    await connection.execute(
+        'INSERT INTO food_item_price_history (food_item_id, old_price, new_price, changed_by) VALUES (?, ?, ?, ?)',
+        [foodItemId, oldPrice, newPrice, changedBy]
+    );
+
+    if (oldPrice !== null && parseFloat(newPrice) < parseFloat(oldPrice)) {
+        return alertPriceDrop(connection, { foodItemId, oldPrice, newPrice });
+    }
+
+    return [];
+};
+
+// A food item's price changes, newest first
+const getPriceHistory = async (connection, foodItemId) => {
+    const [history] = await connection.execute(`
+        SELECT ph.id, ph.old_price, ph.new_price, ph.created_at,
+               CASE WHEN u.id IS NULL THEN NULL ELSE JSON_OBJECT(
+                   'id', u.id,
+                   'first_name', u.first_name,
+                   'last_name', u.last_name
+               ) END as changed_by
+        FROM food_item_price_history ph
+        LEFT JOIN users u ON ph.changed_by = u.id
+        WHERE ph.food_item_id = ?
+        ORDER BY ph.created_at DESC, ph.id DESC
+    `, [foodItemId]);
+
+    return history;
+};
+
+module.exports = {
+    recordPriceChange,
+    getPriceHistory
+};
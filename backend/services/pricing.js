@@ -0,0 +1,203 @@
+// Tax used when no tax rule matches an item (keeps the historical flat 5% as the fallback)
+const DEFAULT_TAX_RATE = parseFloat(process.env.DEFAULT_TAX_RATE || '0.05');
+
+const DEFAULT_ROUNDING = { rounding_mode: 'half_up', rounding_increment: 0.01 };
+
+// Round a currency amount to cents
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Round an amount to a region's increment (e.g. 0.05 for cash rounding) using its rounding mode
+const applyRounding = (amount, { rounding_mode, rounding_increment }) => {
+    const increment = parseFloat(rounding_increment) || 0.01;
+    const units = amount / increment;
+    let rounded;
+
+    if (rounding_mode === 'up') {
+        rounded = Math.ceil(units - 1e-9);
+    } else if (rounding_mode === 'down') {
+        rounded = Math.floor(units + 1e-9);
+    } else if (rounding_mode === 'half_even') {
+        const floor = Math.floor(units);
+        const diff = units - floor;
+        if (Math.abs(diff - 0.5) < 1e-9) {
+            rounded = floor % 2 === 0 ? floor : floor + 1;
+        } else {
+            rounded = Math.round(units);
+        }
+    } else {
+        rounded = Math.round(units + 1e-9);
+    }
+
+    return roundAmount(rounded * increment);
+};
+
+// Load the pricing region plus the tax and fee rules that can apply to it
+const loadPricingRules = async (connection, regionCode) => {
+    let region = null;
+    if (regionCode) {
+        const [regions] = await connection.execute(
+            'SELECT * FROM pricing_regions WHERE code = ?',
+            [regionCode]
+        );
+        region = regions[0] || null;
+    }
+
+    const [taxRules] = await connection.execute(
+        'SELECT * FROM tax_rules WHERE is_active = true AND (region_code IS NULL OR region_code = ?)',
+        [regionCode || null]
+    );
+
+    const [feeRules] = await connection.execute(
+        'SELECT * FROM fee_rules WHERE is_active = true AND (region_code IS NULL OR region_code = ?) ORDER BY id',
+        [regionCode || null]
+    );
+
+    return { region, taxRules, feeRules };
+};
+
+// Pick the most specific tax rule for a category: region + category, then region, then category, then global.
+// A region's own rules always win over global ones, so a global category rule can't undercut a regional rate.
+const findTaxRule = (taxRules, categoryId) => {
+    let best = null;
+    let bestScore = -1;
+
+    for (const rule of taxRules) {
+        if (rule.category_id !== null && rule.category_id !== categoryId) {
+            continue;
+        }
+
+        const score = (rule.region_code !== null ? 2 : 0) + (rule.category_id !== null ? 1 : 0);
+        if (score > bestScore) {
+            best = rule;
+            bestScore = score;
+        }
+    }
+
+    return best;
+};
+
+// Work out the amount of a service or packaging fee rule
+const calculateFee = (rule, { subtotal, itemCount }) => {
+    const amount = parseFloat(rule.amount) || 0;
+    let fee;
+
+    // Percentages are stored as fractions (0.1 = 10%), like tax rates
+    if (rule.calculation === 'percentage') {
+        fee = subtotal * amount;
+    } else if (rule.calculation === 'per_item') {
+        fee = amount * itemCount;
+    } else {
+        fee = amount;
+    }
+
+    if (rule.min_amount !== null) {
+        fee = Math.max(fee, parseFloat(rule.min_amount));
+    }
+    if (rule.max_amount !== null) {
+        fee = Math.min(fee, parseFloat(rule.max_amount));
+    }
+
+    return fee;
+};
+
+// Price an order for a restaurant.
+// lines: [{ food_item_id, name, category_id, quantity, total_price }]
+// discount: result of evaluatePromotion, or null
+const calculatePricing = async (connection, { restaurant, lines, deliveryFee, discount = null }) => {
+    const { region, taxRules, feeRules } = await loadPricingRules(connection, restaurant.region_code);
+    const rounding = region || DEFAULT_ROUNDING;
+
+    const subtotal = roundAmount(lines.reduce((sum, line) => sum + parseFloat(line.total_price), 0));
+    const itemCount = lines.reduce((sum, line) => sum + parseInt(line.quantity, 10), 0);
+    const itemDiscount = discount ? discount.itemDiscount : 0;
+    const deliveryDiscount = discount ? discount.deliveryDiscount : 0;
+
+    // Tax is charged on the discounted item total; the discount is spread across lines by value
+    const discountRatio = subtotal > 0 ? itemDiscount / subtotal : 0;
+    const taxesByRule = {};
+    const lineTaxes = lines.map(line => {
+        const rule = findTaxRule(taxRules, line.category_id);
+        const rate = rule ? parseFloat(rule.rate) : DEFAULT_TAX_RATE;
+        const taxable = parseFloat(line.total_price) * (1 - discountRatio);
+        const key = rule ? `rule_${rule.id}` : 'default';
+
+        if (!taxesByRule[key]) {
+            taxesByRule[key] = {
+                tax_rule_id: rule ? rule.id : null,
+                name: rule ? rule.name : 'Tax',
+                rate,
+                taxable: 0,
+                amount: 0
+            };
+        }
+        taxesByRule[key].taxable += taxable;
+        taxesByRule[key].amount += taxable * rate;
+
+        return {
+            food_item_id: line.food_item_id,
+            name: line.name,
+            category_id: line.category_id,
+            tax_rule_id: rule ? rule.id : null,
+            tax_rate: rate
+        };
+    });
+
+    const taxes = Object.values(taxesByRule).map(tax => ({
+        ...tax,
+        taxable: roundAmount(tax.taxable),
+        amount: applyRounding(tax.amount, rounding)
+    }));
+    const taxAmount = roundAmount(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+    const fees = feeRules.map(rule => ({
+        fee_rule_id: rule.id,
+        name: rule.name,
+        type: rule.fee_type,
+        amount: applyRounding(calculateFee(rule, { subtotal, itemCount }), rounding)
+    })).filter(fee => fee.amount > 0);
+
+    const serviceFee = roundAmount(fees.filter(fee => fee.type === 'service').reduce((sum, fee) => sum + fee.amount, 0));
+    const packagingFee = roundAmount(fees.filter(fee => fee.type === 'packaging').reduce((sum, fee) => sum + fee.amount, 0));
+    const discountAmount = roundAmount(itemDiscount + deliveryDiscount);
+
+    const rawTotal = roundAmount(subtotal + deliveryFee + serviceFee + packagingFee + taxAmount - discountAmount);
+    const finalAmount = Math.max(applyRounding(rawTotal, rounding), 0);
+
+    return {
+        subtotal,
+        deliveryFee: roundAmount(deliveryFee),
+        serviceFee,
+        packagingFee,
+        taxAmount,
+        discountAmount,
+        finalAmount,
+        breakdown: {
+            region: region ? region.code : null,
+            currency: region ? region.currency : null,
+            lines: lineTaxes,
+            taxes,
+            fees,
+            discounts: discount ? [{
+                code: discount.code,
+                funded_by: discount.fundedBy,
+                item_discount: discount.itemDiscount,
+                delivery_discount: discount.deliveryDiscount
+            }] : [],
+            rounding: {
+                mode: rounding.rounding_mode,
+                increment: parseFloat(rounding.rounding_increment),
+                adjustment: roundAmount(finalAmount - rawTotal)
+            }
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_TAX_RATE,
+    roundAmount,
+    applyRounding,
+    loadPricingRules,
+    findTaxRule,
+    calculateFee,
+    calculatePricing
+};
@@ -0,0 +1,135 @@
+const { AppError } = require('../middleware/errorHandler');
+const { roundAmount } = require('./pricing');
+
+// Coupon codes are stored and matched upper-cased
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Find a promotion by its coupon code
+const findPromotionByCode = async (connection, code, { forUpdate = false } = {}) => {
+    const [promotions] = await connection.execute(
+        `SELECT * FROM promotions WHERE code = ? ${forUpdate ? 'FOR UPDATE' : ''}`,
+        [normalizeCode(code)]
+    );
+
+    return promotions[0] || null;
+};
+
+// Work out the discount a promotion gives on a basket, throwing if the promotion does not apply.
+// items: [{ category_id, total_price }]
+const evaluatePromotion = async (connection, promotion, { customerId, restaurantId, items, subtotal, deliveryFee, now = new Date() }) => {
+    if (!promotion || !promotion.is_active) {
+        throw new AppError('Invalid or inactive coupon code', 400);
+    }
+
+    if (promotion.starts_at && now < new Date(promotion.starts_at)) {
+        throw new AppError('This coupon is not valid yet', 400);
+    }
+
+    if (promotion.ends_at && now > new Date(promotion.ends_at)) {
+        throw new AppError('This coupon has expired', 400);
+    }
+
+    if (promotion.restaurant_id && promotion.restaurant_id !== parseInt(restaurantId, 10)) {
+        throw new AppError('This coupon is not valid for this restaurant', 400);
+    }
+
+    const minimum = parseFloat(promotion.min_order_amount) || 0;
+    if (subtotal < minimum) {
+        throw new AppError(`This coupon requires a minimum order of ${minimum.toFixed(2)}`, 400);
+    }
+
+    if (promotion.usage_limit !== null && promotion.times_used >= promotion.usage_limit) {
+        throw new AppError('This coupon has reached its usage limit', 400);
+    }
+
+    if (promotion.usage_limit_per_user !== null) {
+        const [usage] = await connection.execute(
+            'SELECT COUNT(*) as total FROM promotion_redemptions WHERE promotion_id = ? AND customer_id = ?',
+            [promotion.id, customerId]
+        );
+
+        if (usage[0].total >= promotion.usage_limit_per_user) {
+            throw new AppError('You have already used this coupon the maximum number of times', 400);
+        }
+    }
+
+    // Only items in the promotion's category count towards the discount
+    const eligibleSubtotal = promotion.category_id
+        ? items
+            .filter(item => item.category_id === promotion.category_id)
+            .reduce((sum, item) => sum + parseFloat(item.total_price), 0)
+        : subtotal;
+
+    if (eligibleSubtotal <= 0 && promotion.discount_type !== 'free_delivery') {
+        throw new AppError('No items in your order are eligible for this coupon', 400);
+    }
+
+    let itemDiscount = 0;
+    let deliveryDiscount = 0;
+    const value = parseFloat(promotion.discount_value) || 0;
+
+    if (promotion.discount_type === 'percentage') {
+        itemDiscount = eligibleSubtotal * value / 100;
+    } else if (promotion.discount_type === 'flat') {
+        itemDiscount = value;
+    } else if (promotion.discount_type === 'free_delivery') {
+        deliveryDiscount = deliveryFee;
+    }
+
+    if (promotion.max_discount_amount !== null) {
+        itemDiscount = Math.min(itemDiscount, parseFloat(promotion.max_discount_amount));
+    }
+
+    itemDiscount = roundAmount(Math.min(itemDiscount, eligibleSubtotal));
+    deliveryDiscount = roundAmount(deliveryDiscount);
+
+    return {
+        promotionId: promotion.id,
+        code: promotion.code,
+        fundedBy: promotion.funded_by,
+        itemDiscount,
+        deliveryDiscount,
+        discountAmount: roundAmount(itemDiscount + deliveryDiscount)
+    };
+};
+
+// Record that an order used a promotion.
+// Expects the promotion row to be locked (findPromotionByCode with forUpdate) so usage limits hold.
+const redeemPromotion = async (connection, { discount, orderId, customerId }) => {
+    await connection.execute(
+        'INSERT INTO promotion_redemptions (promotion_id, order_id, customer_id, discount_amount, funded_by) VALUES (?, ?, ?, ?, ?)',
+        [discount.promotionId, orderId, customerId, discount.discountAmount, discount.fundedBy]
+    );
+
+    await connection.execute(
+        'UPDATE promotions SET times_used = times_used + 1 WHERE id = ?',
+        [discount.promotionId]
+    );
+};
+
+// Give a cancelled order's coupon usage back
+const releasePromotion = async (connection, orderId) => {
+    const [redemptions] = await connection.execute(
+        'SELECT id, promotion_id FROM promotion_redemptions WHERE order_id = ?',
+        [orderId]
+    );
+
+    for (const redemption of redemptions) {
+        await connection.execute(
+            'UPDATE promotions SET times_used = GREATEST(times_used - 1, 0) WHERE id = ?',
+            [redemption.promotion_id]
+        );
+        await connection.execute(
+            'DELETE FROM promotion_redemptions WHERE id = ?',
+            [redemption.id]
+        );
+    }
+};
+
+module.exports = {
+    normalizeCode,
+    findPromotionByCode,
+    evaluatePromotion,
+    redeemPromotion,
+    releasePromotion
+};
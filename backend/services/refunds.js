@@ -0,0 +1,118 @@
+const { AppError } = require('../middleware/errorHandler');
+const { roundAmount } = require('./pricing');
+const { queueUserEmail } = require('./email');
+
+// Allowed refund request status transitions. approved -> processed happens once the money is returned.
+const REFUND_TRANSITIONS = {
+    pending: ['approved', 'rejected'],
+    approved: ['processed'],
+    rejected: [],
+    processed: []
+};
+
+// Orders a customer may request a refund against
+const REFUNDABLE_ORDER_STATUSES = ['delivered', 'cancelled'];
+
+// Get how much of an order is already claimed by open/approved/processed refunds and how much was paid out
+const getRefundTotals = async (connection, orderId) => {
+    const [rows] = await connection.execute(`
+        SELECT
+            COALESCE(SUM(CASE WHEN status <> 'rejected' THEN amount ELSE 0 END), 0) as requested,
+            COALESCE(SUM(CASE WHEN status = 'processed' THEN amount ELSE 0 END), 0) as processed
+        FROM refund_requests
+        WHERE order_id = ?
+    `, [orderId]);
+
+    return {
+        requested: parseFloat(rows[0].requested),
+        processed: parseFloat(rows[0].processed)
+    };
+};
+
+// Open a refund request against an order.
+// Expects to run inside a transaction with the order row locked (SELECT ... FOR UPDATE).
+const createRefundRequest = async (connection, { order, customerId, reason, amount }) => {
+    if (!REFUNDABLE_ORDER_STATUSES.includes(order.status)) {
+        throw new AppError('Refunds can only be requested for delivered or cancelled orders', 400);
+    }
+
+    const refundAmount = roundAmount(parseFloat(amount));
+    if (!(refundAmount > 0)) {
+        throw new AppError('Refund amount must be greater than zero', 400);
+    }
+
+    const finalAmount = parseFloat(order.final_amount);
+    const totals = await getRefundTotals(connection, order.id);
+    const remaining = roundAmount(finalAmount - totals.requested);
+
+    if (refundAmount > remaining) {
+        throw new AppError(`Refund amount exceeds the refundable balance of ${remaining.toFixed(2)}`, 400);
+    }
+
+    const [result] = await connection.execute(
+        'INSERT INTO refund_requests (order_id, customer_id, reason, amount) VALUES (?, ?, ?, ?)',
+        [order.id, customerId, reason, refundAmount]
+    );
+
+    return result.insertId;
+};
+
+// Move a refund request to a new status. Expects the refund row to be locked by the caller.
+// Returns whether the order became fully refunded.
+const transitionRefund = async (connection, refund, toStatus, { adminNotes } = {}) => {
+    const allowed = REFUND_TRANSITIONS[refund.status] || [];
+    if (!allowed.includes(toStatus)) {
+        throw new AppError(`Cannot change refund status from "${refund.status}" to "${toStatus}"`, 409);
+    }
+
+    if (adminNotes !== undefined) {
+        await connection.execute(
+            'UPDATE refund_requests SET status = ?, admin_notes = ? WHERE id = ?',
+            [toStatus, adminNotes, refund.id]
+        );
+    } else {
+        await connection.execute(
+            'UPDATE refund_requests SET status = ? WHERE id = ?',
+            [toStatus, refund.id]
+        );
+    }
+
+    if (toStatus === 'approved' || toStatus === 'rejected') {
+        const [orders] = await connection.execute('SELECT order_number FROM orders WHERE id = ?', [refund.order_id]);
+        await queueUserEmail(connection, refund.customer_id, 'refund_decision', {
+            orderNumber: orders[0].order_number,
+            amount: refund.amount,
+            status: toStatus,
+            notes: adminNotes || null
+        });
+    }
+
+    if (toStatus !== 'processed') {
+        return { fullyRefunded: false };
+    }
+
+    // Flip the order's payment status once the whole amount has been paid back
+    const [orders] = await connection.execute(
+        'SELECT id, final_amount FROM orders WHERE id = ? FOR UPDATE',
+        [refund.order_id]
+    );
+    const totals = await getRefundTotals(connection, refund.order_id);
+    const fullyRefunded = roundAmount(totals.processed) >= roundAmount(parseFloat(orders[0].final_amount));
+
+    if (fullyRefunded) {
+        await connection.execute(
+            "UPDATE orders SET payment_status = 'refunded' WHERE id = ?",
+            [refund.order_id]
+        );
+    }
+
+    return { fullyRefunded };
+};
+
+module.exports = {
+    REFUND_TRANSITIONS,
+    REFUNDABLE_ORDER_STATUSES,
+    getRefundTotals,
+    createRefundRequest,
+    transitionRefund
+};
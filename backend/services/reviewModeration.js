@@ -0,0 +1,123 @@
+// Comma-separated words or phrases that send a review to moderation
+const BANNED_WORDS = (process.env.REVIEW_BANNED_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+
+// More than this many reviews of a restaurant with the same rating inside the window count as a spike
+const SPIKE_THRESHOLD = parseInt(process.env.REVIEW_SPIKE_THRESHOLD || '5', 10);
+const SPIKE_WINDOW_MINUTES = parseInt(process.env.REVIEW_SPIKE_WINDOW_MINUTES || '60', 10);
+
+// A review with this many open reports goes back to moderation
+const REPORT_THRESHOLD = parseInt(process.env.REVIEW_REPORT_THRESHOLD || '3', 10);
+
+const REPORT_REASONS = ['spam', 'offensive', 'off_topic', 'fake', 'other'];
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|io|co|uk|info|biz|me)\b/i;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{5,}\d/g;
+
+const containsBannedWord = (text) => {
+    const lower = text.toLowerCase();
+    const words = new Set(lower.match(/[a-z0-9']+/g) || []);
+    return BANNED_WORDS.some(banned => (banned.includes(' ') ? lower.includes(banned) : words.has(banned)));
+};
+
+// Phone numbers are runs of at least 7 digits, allowing spaces, dots, dashes and brackets between them
+const containsPhoneNumber = (text) => (text.match(PHONE_PATTERN) || [])
+    .some(match => match.replace(/\D/g, '').length >= 7);
+
+// Reasons a review's text needs a moderator's look
+const findTextFlags = (comment) => {
+    if (!comment) {
+        return [];
+    }
+
+    const flags = [];
+    if (containsBannedWord(comment)) {
+        flags.push('banned_words');
+    }
+    if (LINK_PATTERN.test(comment)) {
+        flags.push('link');
+    }
+    if (containsPhoneNumber(comment)) {
+        flags.push('phone_number');
+    }
+    return flags;
+};
+
+// Reasons a new or edited review should wait for moderation; empty if it can be published
+const screenReview = async (connection, { restaurantId, rating, comment, reviewId = null }) => {
+    const flags = findTextFlags(comment);
+
+    const [recent] = await connection.execute(`
+        SELECT COUNT(*) as count
+        FROM reviews
+        WHERE restaurant_id = ? AND rating = ? AND id <> ?
+          AND created_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+    `, [restaurantId, rating, reviewId || 0, SPIKE_WINDOW_MINUTES]);
+
+    if (recent[0].count >= SPIKE_THRESHOLD) {
+        flags.push('rating_spike');
+    }
+
+    return flags;
+};
+
+// The columns to store for a review given its screening result
+const screeningColumns = (flags) => ({
+    is_approved: flags.length === 0,
+    moderation_status: flags.length === 0 ? 'approved' : 'pending',
+    flag_reasons: flags.length === 0 ? null : JSON.stringify(flags)
+});
+
+// Record a report against a review and send it to moderation once enough users have reported it.
+// Returns true if this report put the review in the queue.
+const reportReview = async (connection, review, { reporterId, reason, details = null }) => {
+    await connection.execute(
+        'INSERT INTO review_reports (review_id, reporter_id, reason, details) VALUES (?, ?, ?, ?)',
+        [review.id, reporterId, reason, details]
+    );
+
+    const [open] = await connection.execute(
+        'SELECT COUNT(*) as count FROM review_reports WHERE review_id = ? AND resolved_at IS NULL',
+        [review.id]
+    );
+
+    if (review.moderation_status !== 'approved' || open[0].count < REPORT_THRESHOLD) {
+        return false;
+    }
+
+    const flags = [...new Set([...(review.flag_reasons || []), 'reported'])];
+    await connection.execute(
+        "UPDATE reviews SET is_approved = false, moderation_status = 'pending', flag_reasons = ? WHERE id = ?",
+        [JSON.stringify(flags), review.id]
+    );
+    return true;
+};
+
+// Approve or hide a review and close its open reports. The rating triggers pick up the change.
+const moderateReview = async (connection, review, action, moderatorId) => {
+    const status = action === 'approve' ? 'approved' : 'hidden';
+
+    // Approving clears the flags, so a later edit is screened afresh
+    await connection.execute(`
+        UPDATE reviews
+        SET is_approved = ?, moderation_status = ?, flag_reasons = ${status === 'approved' ? 'NULL' : 'flag_reasons'},
+            moderated_by = ?, moderated_at = NOW()
+        WHERE id = ?
+    `, [status === 'approved', status, moderatorId, review.id]);
+
+    await connection.execute(
+        'UPDATE review_reports SET resolved_at = NOW(), resolution = ? WHERE review_id = ? AND resolved_at IS NULL',
+        [status, review.id]
+    );
+};
+
+module.exports = {
+    REPORT_REASONS,
+    findTextFlags,
+    screenReview,
+    screeningColumns,
+    reportReview,
+    moderateReview
+};
@@ -0,0 +1,70 @@
+// Customers can change a review for this long after posting it
+const EDIT_WINDOW_HOURS = parseInt(process.env.REVIEW_EDIT_WINDOW_HOURS || '48', 10);
+
+const SORTS = {
+    newest: 'rv.created_at DESC, rv.id DESC',
+    highest: 'rv.rating DESC, rv.created_at DESC',
+    lowest: 'rv.rating ASC, rv.created_at DESC'
+};
+
+// Restaurant reviews are the ones not about a particular dish
+const targetCondition = ({ restaurantId, foodItemId }) => (
+    foodItemId
+        ? { clause: 'rv.food_item_id = ?', values: [foodItemId] }
+        : { clause: 'rv.restaurant_id = ? AND rv.food_item_id IS NULL', values: [restaurantId] }
+);
+
+// Whether a review can still be edited, and until when
+const getEditableUntil = (review) => new Date(new Date(review.created_at).getTime() + EDIT_WINDOW_HOURS * 3600000);
+
+const canEdit = (review, now = new Date()) => getEditableUntil(review) > now;
+
+// Average, count and 1-5 star histogram of a restaurant's or dish's approved reviews
+const getReviewSummary = async (connection, target) => {
+    const { clause, values } = targetCondition(target);
+    const [rows] = await connection.execute(`
+        SELECT rv.rating, COUNT(*) as count
+        FROM reviews rv
+        WHERE ${clause} AND rv.is_approved = true
+        GROUP BY rv.rating
+    `, values);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    rows.forEach(row => {
+        distribution[row.rating] = row.count;
+    });
+
+    const total = Object.values(distribution).reduce((sum, count) => sum + count, 0);
+    const average = total > 0
+        ? Math.round(Object.entries(distribution).reduce((sum, [rating, count]) => sum + rating * count, 0) / total * 100) / 100
+        : 0;
+
+    return { average_rating: average, total_reviews: total, distribution };
+};
+
+// One page of a restaurant's or dish's approved reviews and the owner's replies, with the reviewer shown by first name and initial
+const listReviews = async (connection, target, { sort = 'newest', page = 1, limit = 10 } = {}) => {
+    const { clause, values } = targetCondition(target);
+
+    const [reviews] = await connection.execute(`
+        SELECT rv.id, rv.restaurant_id, rv.food_item_id, rv.rating, rv.comment, rv.created_at, rv.updated_at,
+               rv.owner_reply, rv.owner_replied_at,
+               CONCAT(u.first_name, ' ', LEFT(u.last_name, 1), '.') as reviewer_name
+        FROM reviews rv
+        JOIN users u ON rv.customer_id = u.id
+        WHERE ${clause} AND rv.is_approved = true
+        ORDER BY ${SORTS[sort] || SORTS.newest}
+        LIMIT ? OFFSET ?
+    `, [...values, limit, (page - 1) * limit]);
+
+    return reviews;
+};
+
+module.exports = {
+    EDIT_WINDOW_HOURS,
+    SORTS,
+    getEditableUntil,
+    canEdit,
+    getReviewSummary,
+    listReviews
+};
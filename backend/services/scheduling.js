@@ -0,0 +1,122 @@
+const { isOpenAt, getLocalTime } = require('./openingHours');
+
+// Scheduled orders are booked into fixed delivery slots
+const SLOT_MINUTES = parseInt(process.env.SCHEDULE_SLOT_MINUTES || '30', 10);
+const MAX_DAYS_AHEAD = parseInt(process.env.SCHEDULE_MAX_DAYS_AHEAD || '7', 10);
+// The earliest slot that can be booked is this far from now
+const MIN_LEAD_MINUTES = parseInt(process.env.SCHEDULE_MIN_LEAD_MINUTES || '60', 10);
+// Orders reach the kitchen this long (plus the longest prep time) before their slot, to allow for delivery
+const RELEASE_BUFFER_MINUTES = parseInt(process.env.SCHEDULE_RELEASE_BUFFER_MINUTES || '30', 10);
+
+const SLOT_MS = SLOT_MINUTES * 60000;
+
+// Slots follow the restaurant's wall clock, so 30-minute slots start on the hour and half hour there
+// even in zones with a 45-minute offset
+const getTimeZone = (restaurant) => (restaurant.opening_hours && restaurant.opening_hours.timezone) || 'UTC';
+
+const isSlotStart = (instant, timeZone) => instant.getTime() % 60000 === 0
+    && getLocalTime(instant, timeZone).minutes % SLOT_MINUTES === 0;
+
+// Round an instant up to the start of the next slot in a time zone
+const ceilToSlot = (instant, timeZone) => {
+    let start = new Date(Math.ceil(instant.getTime() / 60000) * 60000);
+    while (!isSlotStart(start, timeZone)) {
+        start = new Date(start.getTime() + 60000);
+    }
+    return start;
+};
+
+// Count the live scheduled orders in each slot between two instants, keyed by slot start time
+const getBookedCounts = async (connection, restaurantId, from, to) => {
+    const [rows] = await connection.execute(`
+        SELECT scheduled_for, COUNT(*) as booked
+        FROM orders
+        WHERE restaurant_id = ? AND scheduled_for >= ? AND scheduled_for < ? AND status <> 'cancelled'
+        GROUP BY scheduled_for
+    `, [restaurantId, from, to]);
+
+    const counts = {};
+    rows.forEach(row => {
+        counts[new Date(row.scheduled_for).getTime()] = row.booked;
+    });
+    return counts;
+};
+
+// List the delivery slots a restaurant can still take scheduled orders for
+const listAvailableSlots = async (connection, restaurant, { days = MAX_DAYS_AHEAD, now = new Date() } = {}) => {
+    const first = ceilToSlot(new Date(now.getTime() + MIN_LEAD_MINUTES * 60000), getTimeZone(restaurant));
+    const last = new Date(now.getTime() + Math.min(days, MAX_DAYS_AHEAD) * 24 * 60 * 60000);
+    const booked = await getBookedCounts(connection, restaurant.id, first, last);
+    const capacity = restaurant.slot_capacity;
+
+    const slots = [];
+    for (let start = first; start < last; start = new Date(start.getTime() + SLOT_MS)) {
+        if (!isOpenAt(restaurant.opening_hours, start)) {
+            continue;
+        }
+
+        const taken = booked[start.getTime()] || 0;
+        if (taken < capacity) {
+            slots.push({
+                starts_at: start,
+                ends_at: new Date(start.getTime() + SLOT_MS),
+                remaining: capacity - taken
+            });
+        }
+    }
+
+    return slots;
+};
+
+// Check that an order can be booked into a slot, returning the reason if it can't.
+// Lock the restaurant row first (SELECT ... FOR UPDATE) when booking so slot capacity holds.
+const checkSlot = async (connection, restaurant, scheduledFor, now = new Date()) => {
+    if (!isSlotStart(scheduledFor, getTimeZone(restaurant))) {
+        return `Delivery slots start every ${SLOT_MINUTES} minutes`;
+    }
+
+    if (scheduledFor.getTime() < now.getTime() + MIN_LEAD_MINUTES * 60000) {
+        return `Scheduled orders must be placed at least ${MIN_LEAD_MINUTES} minutes ahead`;
+    }
+
+    if (scheduledFor.getTime() > now.getTime() + MAX_DAYS_AHEAD * 24 * 60 * 60000) {
+        return `Orders can be scheduled up to ${MAX_DAYS_AHEAD} days ahead`;
+    }
+
+    if (!isOpenAt(restaurant.opening_hours, scheduledFor)) {
+        return `${restaurant.name} is closed at the requested time`;
+    }
+
+    const booked = await getBookedCounts(connection, restaurant.id, scheduledFor, new Date(scheduledFor.getTime() + 1));
+    if ((booked[scheduledFor.getTime()] || 0) >= restaurant.slot_capacity) {
+        return 'This delivery slot is fully booked';
+    }
+
+    return null;
+};
+
+// Find scheduled orders whose kitchen start time has arrived.
+// Compared against the server clock, like slot booking, rather than the database's NOW().
+const getDueScheduledOrders = async (connection, now = new Date()) => {
+    const [orders] = await connection.execute(`
+        SELECT o.id
+        FROM orders o
+        LEFT JOIN order_items oi ON oi.order_id = o.id
+        LEFT JOIN food_items fi ON oi.food_item_id = fi.id
+        WHERE o.status = 'scheduled'
+        GROUP BY o.id, o.scheduled_for
+        HAVING DATE_SUB(o.scheduled_for, INTERVAL COALESCE(MAX(fi.preparation_time), 0) + ? MINUTE) <= ?
+        ORDER BY o.scheduled_for
+    `, [RELEASE_BUFFER_MINUTES, now]);
+
+    return orders.map(order => order.id);
+};
+
+module.exports = {
+    SLOT_MINUTES,
+    MAX_DAYS_AHEAD,
+    getTimeZone,
+    listAvailableSlots,
+    checkSlot,
+    getDueScheduledOrders
+};
@@ -0,0 +1,242 @@
+// Search-as-you-type suggestions for dishes, restaurants, categories and cuisines.
+// Entries live in search_suggestions with a normalised label; matching is done here so misspellings still find something.
+
+// How many index entries to score for one query
+const CANDIDATE_LIMIT = 500;
+
+// Where each kind of suggestion comes from. `key` identifies the entry; the filter limits a refresh to some keys.
+const SOURCES = {
+    dish: {
+        key: 'fi.id',
+        sql: `
+            SELECT fi.id as ref_key, fi.id as ref_id, fi.name as label, r.name as detail,
+                   fi.total_orders as popularity, fi.rating
+            FROM food_items fi
+            JOIN restaurants r ON fi.restaurant_id = r.id
+            WHERE fi.is_available = true AND r.is_active = true {filter}
+        `
+    },
+    restaurant: {
+        key: 'r.id',
+        sql: `
+            SELECT r.id as ref_key, r.id as ref_id, r.name as label, r.cuisine_type as detail,
+                   COALESCE(SUM(fi.total_orders), 0) as popularity, r.rating
+            FROM restaurants r
+            LEFT JOIN food_items fi ON fi.restaurant_id = r.id AND fi.is_available = true
+            WHERE r.is_active = true {filter}
+            GROUP BY r.id, r.name, r.cuisine_type, r.rating
+        `
+    },
+    category: {
+        key: 'c.id',
+        sql: `
+            SELECT c.id as ref_key, c.id as ref_id, c.name as label, NULL as detail,
+                   SUM(fi.total_orders) as popularity, AVG(fi.rating) as rating
+            FROM categories c
+            JOIN food_items fi ON fi.category_id = c.id AND fi.is_available = true
+            JOIN restaurants r ON fi.restaurant_id = r.id AND r.is_active = true
+            WHERE c.is_active = true {filter}
+            GROUP BY c.id, c.name
+        `
+    },
+    cuisine: {
+        key: 'r.cuisine_type',
+        sql: `
+            SELECT r.cuisine_type as ref_key, NULL as ref_id, MIN(r.cuisine_type) as label, NULL as detail,
+                   COALESCE(SUM(fi.total_orders), 0) as popularity, AVG(r.rating) as rating
+            FROM restaurants r
+            LEFT JOIN food_items fi ON fi.restaurant_id = r.id AND fi.is_available = true
+            WHERE r.is_active = true AND r.cuisine_type IS NOT NULL AND r.cuisine_type <> '' {filter}
+            GROUP BY r.cuisine_type
+        `
+    }
+};
+
+const TYPES = Object.keys(SOURCES);
+
+// Lowercase, drop accents and punctuation, and collapse spaces
+const normalize = (text) => (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Longer words are allowed more typos
+const maxTypos = (length) => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+// Edit distance between a typed (possibly unfinished) word and the start of a label word
+const prefixDistance = (typed, word) => {
+    let best = Infinity;
+    for (let length = typed.length - 1; length <= typed.length + 1; length++) {
+        if (length > 0 && length <= word.length) {
+            best = Math.min(best, levenshtein(typed, word.slice(0, length)));
+        }
+    }
+    return best;
+};
+
+// Score how well a label matches the typed words: total typos, or null if some word has no match
+const matchLabel = (typedWords, labelWords) => {
+    let typos = 0;
+    for (const typed of typedWords) {
+        const distance = Math.min(...labelWords.map(word => prefixDistance(typed, word)));
+        if (distance > maxTypos(typed.length)) {
+            return null;
+        }
+        typos += distance;
+    }
+    return typos;
+};
+
+// Rebuild the index entries for some keys of one suggestion type (all of them when keys is null).
+// Entries are upserted and only stale ones deleted, so concurrent refreshes of the same keys can't collide.
+const refreshSuggestions = async (connection, type, keys = null) => {
+    const source = SOURCES[type];
+    const targets = keys ? [...new Set(keys.filter(key => key !== null && key !== undefined && key !== ''))] : null;
+    if (targets && targets.length === 0) {
+        return;
+    }
+
+    const placeholders = targets ? targets.map(() => '?').join(', ') : '';
+    const params = targets ? targets.map(String) : [];
+
+    const [rows] = await connection.execute(
+        source.sql.replace('{filter}', targets ? `AND ${source.key} IN (${placeholders})` : ''),
+        targets || []
+    );
+
+    for (const row of rows) {
+        await connection.execute(`
+            INSERT INTO search_suggestions (suggestion_type, ref_key, ref_id, label, normalized_label, detail, popularity, rating)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE ref_id = VALUES(ref_id), label = VALUES(label), normalized_label = VALUES(normalized_label),
+                detail = VALUES(detail), popularity = VALUES(popularity), rating = VALUES(rating)
+        `, [
+            type, String(row.ref_key), row.ref_id, row.label, normalize(row.label), row.detail,
+            parseInt(row.popularity || 0, 10), parseFloat(row.rating || 0)
+        ]);
+    }
+
+    // Drop entries whose source is gone (deleted, archived, switched off)
+    const current = new Set(rows.map(row => String(row.ref_key)));
+    const [existing] = await connection.execute(
+        `SELECT id, ref_key FROM search_suggestions WHERE suggestion_type = ?${targets ? ` AND ref_key IN (${placeholders})` : ''}`,
+        [type, ...params]
+    );
+    const stale = existing.filter(entry => !current.has(entry.ref_key)).map(entry => entry.id);
+    if (stale.length > 0) {
+        await connection.execute(
+            `DELETE FROM search_suggestions WHERE id IN (${stale.map(() => '?').join(', ')})`,
+            stale
+        );
+    }
+};
+
+// Rebuild the whole index, e.g. so popularity follows new orders
+const rebuildSuggestionIndex = async (connection) => {
+    for (const type of TYPES) {
+        await refreshSuggestions(connection, type);
+    }
+};
+
+// Refresh the entries touched by a change that has already been saved. The periodic rebuild catches up
+// anything missed, so a failure here is logged rather than failing the request that made the change.
+const refreshAfterChange = async (connection, { restaurantId, dishIds, categoryIds }) => {
+    try {
+        const [restaurants] = await connection.execute('SELECT cuisine_type FROM restaurants WHERE id = ?', [restaurantId]);
+
+        await refreshSuggestions(connection, 'dish', dishIds);
+        await refreshSuggestions(connection, 'restaurant', [restaurantId]);
+        await refreshSuggestions(connection, 'category', categoryIds);
+        if (restaurants.length > 0) {
+            await refreshSuggestions(connection, 'cuisine', [restaurants[0].cuisine_type]);
+        }
+    } catch (error) {
+        console.error('❌ Failed to update search suggestions:', error.message);
+    }
+};
+
+// Update the index after a food item is created, edited or deleted.
+// Pass the item's restaurant and any categories it was in before and after the change.
+const refreshFoodItemSuggestions = (connection, { foodItemId, restaurantId, categoryIds = [] }) =>
+    refreshAfterChange(connection, { restaurantId, dishIds: [foodItemId], categoryIds });
+
+// Update the index after many of a restaurant's items changed at once, e.g. a menu import
+const refreshMenuSuggestions = (connection, { restaurantId, foodItemIds }) =>
+    refreshAfterChange(connection, { restaurantId, dishIds: foodItemIds, categoryIds: null });
+
+// Suggest dishes, restaurants, categories and cuisines for what the user has typed so far.
+// Best matches come first, then the most ordered and best rated.
+const suggest = async (connection, text, { limit = 10, types = TYPES } = {}) => {
+    const typedWords = normalize(text).split(' ').filter(Boolean);
+    if (typedWords.length === 0) {
+        return [];
+    }
+
+    // Candidates have a word that starts like the first typed word, allowing for a typo in its first letter:
+    // same first letter, same second letter (substituted), first letter added or first letter missed
+    const [first, second = ''] = typedWords[0];
+    const patterns = [`% ${first}%`, `% _${first}%`];
+    if (second) {
+        patterns.push(`% ${second}%`, `% _${second}%`);
+    }
+
+    // Labels containing the typed words as they are come first, so popular near-misses can't crowd out an exact match
+    const [candidates] = await connection.execute(`
+        SELECT * FROM search_suggestions
+        WHERE (${patterns.map(() => "CONCAT(' ', normalized_label) LIKE ?").join(' OR ')})
+              AND suggestion_type IN (${types.map(() => '?').join(', ')})
+        ORDER BY (${typedWords.map(() => "(CONCAT(' ', normalized_label) LIKE ?)").join(' + ')}) DESC, popularity DESC, rating DESC
+        LIMIT ${CANDIDATE_LIMIT}
+    `, [...patterns, ...types, ...typedWords.map(word => `% ${word}%`)]);
+
+    const typedText = typedWords.join(' ');
+
+    return candidates
+        .map(candidate => ({
+            candidate,
+            typos: matchLabel(typedWords, candidate.normalized_label.split(' ')),
+            startsWith: candidate.normalized_label.startsWith(typedText)
+        }))
+        .filter(match => match.typos !== null)
+        .sort((a, b) => a.typos - b.typos
+            || b.startsWith - a.startsWith
+            || b.candidate.popularity - a.candidate.popularity
+            || parseFloat(b.candidate.rating) - parseFloat(a.candidate.rating))
+        .slice(0, limit)
+        .map(({ candidate, typos }) => ({
+            type: candidate.suggestion_type,
+            id: candidate.ref_id,
+            label: candidate.label,
+            detail: candidate.detail,
+            popularity: candidate.popularity,
+            rating: parseFloat(candidate.rating),
+            exact: typos === 0
+        }));
+};
+
+module.exports = {
+    TYPES,
+    normalize,
+    suggest,
+    rebuildSuggestionIndex,
+    refreshFoodItemSuggestions,
+    refreshMenuSuggestions
+};
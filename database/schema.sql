@@ -8,15 +8,35 @@ USE food_marketplace;
 -- Drop existing tables if they exist (for clean reinstall)
 SET foreign_key_checks = 0;
 DROP TABLE IF EXISTS refund_requests;
+DROP TABLE IF EXISTS promotion_redemptions;
+DROP TABLE IF EXISTS promotions;
+DROP TABLE IF EXISTS email_outbox;
+DROP TABLE IF EXISTS password_reset_tokens;
 DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS order_status_history;
+DROP TABLE IF EXISTS order_cancellation_requests;
+DROP TABLE IF EXISTS order_item_options;
 DROP TABLE IF EXISTS order_items;
 DROP TABLE IF EXISTS orders;
+DROP TABLE IF EXISTS checkout_groups;
 DROP TABLE IF EXISTS cart_items;
+DROP TABLE IF EXISTS review_reports;
 DROP TABLE IF EXISTS reviews;
 DROP TABLE IF EXISTS favorites;
+DROP TABLE IF EXISTS search_suggestions;
+DROP TABLE IF EXISTS menu_items;
+DROP TABLE IF EXISTS menus;
+DROP TABLE IF EXISTS food_item_daily_sales;
+DROP TABLE IF EXISTS food_item_price_history;
+DROP TABLE IF EXISTS food_options;
+DROP TABLE IF EXISTS food_option_groups;
 DROP TABLE IF EXISTS food_items;
 DROP TABLE IF EXISTS restaurants;
 DROP TABLE IF EXISTS categories;
+DROP TABLE IF EXISTS delivery_zones;
+DROP TABLE IF EXISTS fee_rules;
+DROP TABLE IF EXISTS tax_rules;
+DROP TABLE IF EXISTS pricing_regions;
 DROP TABLE IF EXISTS users;
 SET foreign_key_checks = 1;
 
@@ -52,6 +72,49 @@ CREATE TABLE categories (
     INDEX idx_active_sort (is_active, sort_order)
 );
 
+-- Pricing regions table (tax jurisdictions and their rounding rules)
+CREATE TABLE pricing_regions (
+    code VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    currency CHAR(3) DEFAULT 'USD',
+    rounding_mode ENUM('half_up', 'half_even', 'up', 'down') DEFAULT 'half_up',
+    rounding_increment DECIMAL(6,2) DEFAULT 0.01,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Tax rules table (NULL region/category means the rule applies to all)
+CREATE TABLE tax_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    region_code VARCHAR(20),
+    category_id INT,
+    rate DECIMAL(6,4) NOT NULL,  -- fraction, e.g. 0.08 for 8%
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (region_code) REFERENCES pricing_regions(code) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    INDEX idx_region_category (region_code, category_id)
+);
+
+-- Fee rules table (service and packaging fees)
+CREATE TABLE fee_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    fee_type ENUM('service', 'packaging') NOT NULL,
+    calculation ENUM('flat', 'percentage', 'per_item') DEFAULT 'flat',
+    amount DECIMAL(10,4) NOT NULL,  -- for percentage fees, a fraction of the subtotal like tax rates
+    min_amount DECIMAL(10,2),
+    max_amount DECIMAL(10,2),
+    region_code VARCHAR(20),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (region_code) REFERENCES pricing_regions(code) ON DELETE CASCADE,
+    INDEX idx_region (region_code)
+);
+
 -- Restaurants table
 CREATE TABLE restaurants (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -67,15 +130,40 @@ CREATE TABLE restaurants (
     total_reviews INT DEFAULT 0,
     is_active BOOLEAN DEFAULT true,
     opening_hours JSON,
+    orders_paused_until DATETIME,
+    slot_capacity INT DEFAULT 5,
+    latitude DECIMAL(10,7),
+    longitude DECIMAL(10,7),
     delivery_radius INT DEFAULT 10,
     minimum_order_amount DECIMAL(10,2) DEFAULT 0.00,
     delivery_fee DECIMAL(10,2) DEFAULT 0.00,
+    region_code VARCHAR(20),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (cook_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (region_code) REFERENCES pricing_regions(code) ON DELETE SET NULL,
     INDEX idx_active_rating (is_active, rating),
     INDEX idx_cuisine (cuisine_type),
-    INDEX idx_cook (cook_id)
+    INDEX idx_cook (cook_id),
+    INDEX idx_location (latitude, longitude)
+);
+
+-- Delivery zones table (a radius around the restaurant or a polygon of [lat, lng] points)
+CREATE TABLE delivery_zones (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    restaurant_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    zone_type ENUM('radius', 'polygon') NOT NULL,
+    radius_km DECIMAL(6,2),
+    polygon JSON,
+    delivery_fee DECIMAL(10,2),
+    minimum_order_amount DECIMAL(10,2),
+    sort_order INT DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+    INDEX idx_restaurant_active (restaurant_id, is_active)
 );
 
 -- Food items table
@@ -90,8 +178,16 @@ CREATE TABLE food_items (
     is_vegetarian BOOLEAN DEFAULT false,
     is_vegan BOOLEAN DEFAULT false,
     is_spicy BOOLEAN DEFAULT false,
+    allergens JSON,
+    nutrition JSON,
+    portion_size VARCHAR(50),
+    availability_windows JSON,
     preparation_time INT DEFAULT 15,
     is_available BOOLEAN DEFAULT true,
+    stock_quantity INT,
+    daily_limit INT,
+    auto_sold_out BOOLEAN DEFAULT false,
+    archived_at DATETIME,
     rating DECIMAL(3,2) DEFAULT 0.00,
     total_reviews INT DEFAULT 0,
     total_orders INT DEFAULT 0,
@@ -102,7 +198,100 @@ CREATE TABLE food_items (
     INDEX idx_restaurant_available (restaurant_id, is_available),
     INDEX idx_category (category_id),
     INDEX idx_rating (rating),
-    INDEX idx_price (price)
+    INDEX idx_price (price),
+    FULLTEXT INDEX ft_name_description (name, description)
+);
+
+-- Food option groups table (sizes, add-ons, modifiers)
+CREATE TABLE food_option_groups (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    food_item_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    selection_type ENUM('single', 'multiple') DEFAULT 'single',
+    is_required BOOLEAN DEFAULT false,
+    min_selections INT DEFAULT 0,
+    max_selections INT,
+    sort_order INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (food_item_id) REFERENCES food_items(id) ON DELETE CASCADE,
+    INDEX idx_food_item (food_item_id)
+);
+
+-- Food options table
+CREATE TABLE food_options (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    option_group_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10,2) DEFAULT 0.00,
+    is_available BOOLEAN DEFAULT true,
+    sort_order INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (option_group_id) REFERENCES food_option_groups(id) ON DELETE CASCADE,
+    INDEX idx_option_group (option_group_id)
+);
+
+-- Menus table (named menus with weekly time windows, e.g. Breakfast)
+CREATE TABLE menus (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    restaurant_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    schedule JSON NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    sort_order INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+    INDEX idx_restaurant (restaurant_id)
+);
+
+-- Menu items table (which food items are on which menu)
+CREATE TABLE menu_items (
+    menu_id INT NOT NULL,
+    food_item_id INT NOT NULL,
+    PRIMARY KEY (menu_id, food_item_id),
+    FOREIGN KEY (menu_id) REFERENCES menus(id) ON DELETE CASCADE,
+    FOREIGN KEY (food_item_id) REFERENCES food_items(id) ON DELETE CASCADE,
+    INDEX idx_food_item (food_item_id)
+);
+
+-- Food item price history table
+CREATE TABLE food_item_price_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    food_item_id INT NOT NULL,
+    old_price DECIMAL(10,2),
+    new_price DECIMAL(10,2) NOT NULL,
+    changed_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (food_item_id) REFERENCES food_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_food_item_created (food_item_id, created_at)
+);
+
+-- Units sold per food item per restaurant-local delivery day, for daily limits
+CREATE TABLE food_item_daily_sales (
+    food_item_id INT NOT NULL,
+    sales_date DATE NOT NULL,
+    quantity INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (food_item_id, sales_date),
+    FOREIGN KEY (food_item_id) REFERENCES food_items(id) ON DELETE CASCADE
+);
+
+-- Search suggestions table (rebuilt from food items, restaurants, categories and cuisines)
+CREATE TABLE search_suggestions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    suggestion_type ENUM('dish', 'restaurant', 'category', 'cuisine') NOT NULL,
+    ref_key VARCHAR(100) NOT NULL,
+    ref_id INT,
+    label VARCHAR(255) NOT NULL,
+    normalized_label VARCHAR(255) NOT NULL,
+    detail VARCHAR(255),
+    popularity INT DEFAULT 0,
+    rating DECIMAL(3,2) DEFAULT 0.00,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_suggestion (suggestion_type, ref_key),
+    INDEX idx_popularity (popularity)
 );
 
 -- Favorites table
@@ -111,6 +300,8 @@ CREATE TABLE favorites (
     customer_id INT NOT NULL,
     food_item_id INT,
     restaurant_id INT,
+    notify_back_in_stock BOOLEAN DEFAULT false,
+    notify_price_drop BOOLEAN DEFAULT false,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (customer_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (food_item_id) REFERENCES food_items(id) ON DELETE CASCADE,
@@ -126,12 +317,29 @@ CREATE TABLE cart_items (
     customer_id INT NOT NULL,
     food_item_id INT NOT NULL,
     quantity INT NOT NULL DEFAULT 1,
+    selected_options JSON,
+    options_key VARCHAR(255) NOT NULL DEFAULT '',
+    unit_price DECIMAL(10,2),
     special_requests TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (customer_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (food_item_id) REFERENCES food_items(id) ON DELETE CASCADE,
-    UNIQUE KEY unique_customer_food_item (customer_id, food_item_id),
+    UNIQUE KEY unique_customer_food_item (customer_id, food_item_id, options_key),
+    INDEX idx_customer (customer_id)
+);
+
+-- Checkout groups table (one checkout and payment covering orders from several restaurants)
+CREATE TABLE checkout_groups (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    customer_id INT NOT NULL,
+    group_number VARCHAR(50) UNIQUE NOT NULL,
+    total_amount DECIMAL(10,2) NOT NULL,
+    payment_method ENUM('cash', 'card', 'upi', 'wallet') NOT NULL,
+    payment_status ENUM('pending', 'paid', 'failed', 'refunded') DEFAULT 'pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES users(id) ON DELETE CASCADE,
     INDEX idx_customer (customer_id)
 );
 
@@ -140,25 +348,37 @@ CREATE TABLE orders (
     id INT AUTO_INCREMENT PRIMARY KEY,
     customer_id INT NOT NULL,
     restaurant_id INT NOT NULL,
+    checkout_group_id INT,
     order_number VARCHAR(50) UNIQUE NOT NULL,
-    status ENUM('pending', 'confirmed', 'preparing', 'sent_to_delivery', 'delivered', 'cancelled') DEFAULT 'pending',
+    status ENUM('scheduled', 'pending', 'confirmed', 'preparing', 'sent_to_delivery', 'delivered', 'cancelled') DEFAULT 'pending',
     total_amount DECIMAL(10,2) NOT NULL,
     delivery_fee DECIMAL(10,2) DEFAULT 0.00,
+    service_fee DECIMAL(10,2) DEFAULT 0.00,
+    packaging_fee DECIMAL(10,2) DEFAULT 0.00,
     tax_amount DECIMAL(10,2) DEFAULT 0.00,
     discount_amount DECIMAL(10,2) DEFAULT 0.00,
     final_amount DECIMAL(10,2) NOT NULL,
+    price_breakdown JSON,
     payment_method ENUM('cash', 'card', 'upi', 'wallet') NOT NULL,
     payment_status ENUM('pending', 'paid', 'failed', 'refunded') DEFAULT 'pending',
     delivery_address JSON NOT NULL,
+    delivery_zone_id INT,
+    delivery_distance_km DECIMAL(6,2),
     special_instructions TEXT,
+    scheduled_for DATETIME,
+    sales_date DATE,  -- restaurant-local delivery day the items count against for daily limits
     estimated_delivery_time DATETIME,
     delivered_at DATETIME,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (customer_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+    FOREIGN KEY (checkout_group_id) REFERENCES checkout_groups(id) ON DELETE SET NULL,
+    FOREIGN KEY (delivery_zone_id) REFERENCES delivery_zones(id) ON DELETE SET NULL,
     INDEX idx_customer (customer_id),
     INDEX idx_restaurant (restaurant_id),
+    INDEX idx_checkout_group (checkout_group_id),
+    INDEX idx_restaurant_scheduled (restaurant_id, scheduled_for),
     INDEX idx_status (status),
     INDEX idx_order_number (order_number),
     INDEX idx_created_at (created_at)
@@ -168,18 +388,70 @@ CREATE TABLE orders (
 CREATE TABLE order_items (
     id INT AUTO_INCREMENT PRIMARY KEY,
     order_id INT NOT NULL,
-    food_item_id INT NOT NULL,
+    food_item_id INT,
+    name VARCHAR(255) NOT NULL,
+    base_price DECIMAL(10,2) NOT NULL,
     quantity INT NOT NULL,
     unit_price DECIMAL(10,2) NOT NULL,
     total_price DECIMAL(10,2) NOT NULL,
     special_requests TEXT,
+    allergens JSON,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
-    FOREIGN KEY (food_item_id) REFERENCES food_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (food_item_id) REFERENCES food_items(id) ON DELETE SET NULL,
     INDEX idx_order (order_id),
     INDEX idx_food_item (food_item_id)
 );
 
+-- Order item options table (snapshot of the options chosen at checkout)
+CREATE TABLE order_item_options (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_item_id INT NOT NULL,
+    option_group_id INT,
+    option_id INT,
+    group_name VARCHAR(100) NOT NULL,
+    option_name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10,2) DEFAULT 0.00,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (option_group_id) REFERENCES food_option_groups(id) ON DELETE SET NULL,
+    FOREIGN KEY (option_id) REFERENCES food_options(id) ON DELETE SET NULL,
+    INDEX idx_order_item (order_item_id)
+);
+
+-- Order status history table
+CREATE TABLE order_status_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id INT NOT NULL,
+    from_status ENUM('scheduled', 'pending', 'confirmed', 'preparing', 'sent_to_delivery', 'delivered', 'cancelled'),
+    to_status ENUM('scheduled', 'pending', 'confirmed', 'preparing', 'sent_to_delivery', 'delivered', 'cancelled') NOT NULL,
+    changed_by INT,
+    changed_by_role ENUM('customer', 'cook', 'admin', 'system') DEFAULT 'system',
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_order_created (order_id, created_at)
+);
+
+-- Order cancellation requests table (customer asks, restaurant accepts or declines)
+CREATE TABLE order_cancellation_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id INT NOT NULL,
+    customer_id INT NOT NULL,
+    reason TEXT,
+    -- obsolete: the order was cancelled or moved past the point of cancelling before anyone responded
+    status ENUM('pending', 'accepted', 'declined', 'obsolete') DEFAULT 'pending',
+    response_note TEXT,
+    responded_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (customer_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (responded_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_order_status (order_id, status)
+);
+
 -- Reviews table
 CREATE TABLE reviews (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -190,16 +462,40 @@ CREATE TABLE reviews (
     rating INT NOT NULL CHECK (rating BETWEEN 1 AND 5),
     comment TEXT,
     is_approved BOOLEAN DEFAULT true,
+    moderation_status ENUM('approved', 'pending', 'hidden') DEFAULT 'approved',
+    flag_reasons JSON,
+    moderated_by INT,
+    moderated_at DATETIME,
+    owner_reply TEXT,
+    owner_replied_at DATETIME,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (customer_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
     FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
     FOREIGN KEY (food_item_id) REFERENCES food_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (moderated_by) REFERENCES users(id) ON DELETE SET NULL,
     INDEX idx_restaurant_rating (restaurant_id, rating),
     INDEX idx_food_item_rating (food_item_id, rating),
     INDEX idx_customer (customer_id),
-    INDEX idx_approved (is_approved)
+    INDEX idx_approved (is_approved),
+    INDEX idx_moderation_status (moderation_status)
+);
+
+-- Review reports table
+CREATE TABLE review_reports (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    review_id INT NOT NULL,
+    reporter_id INT NOT NULL,
+    reason ENUM('spam', 'offensive', 'off_topic', 'fake', 'other') NOT NULL,
+    details TEXT,
+    resolved_at DATETIME,
+    resolution ENUM('approved', 'hidden'),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+    FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_review_reporter (review_id, reporter_id),
+    INDEX idx_review_open (review_id, resolved_at)
 );
 
 -- Notifications table
@@ -208,14 +504,46 @@ CREATE TABLE notifications (
     user_id INT NOT NULL,
     title VARCHAR(255) NOT NULL,
     message TEXT NOT NULL,
-    type ENUM('order', 'general', 'promotion', 'system') DEFAULT 'general',
+    type ENUM('order', 'refund', 'review', 'favorite', 'promotion', 'general', 'system') DEFAULT 'general',
+    data JSON,
     is_read BOOLEAN DEFAULT false,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     INDEX idx_user_unread (user_id, is_read),
+    INDEX idx_user_created (user_id, created_at),
     INDEX idx_created_at (created_at)
 );
 
+-- Email outbox table (sent by the outbox worker, with retries)
+CREATE TABLE email_outbox (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    recipient VARCHAR(255) NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    text_body TEXT NOT NULL,
+    html_body MEDIUMTEXT NOT NULL,
+    status ENUM('pending', 'sent', 'failed') DEFAULT 'pending',
+    attempts INT DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_due (status, next_attempt_at)
+);
+
+-- Password reset tokens table (only the SHA-256 hash of each token is stored)
+CREATE TABLE password_reset_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_token_hash (token_hash),
+    INDEX idx_user (user_id)
+);
+
 -- Refund requests table
 CREATE TABLE refund_requests (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -234,6 +562,52 @@ CREATE TABLE refund_requests (
     INDEX idx_status (status)
 );
 
+-- Promotions table (coupon codes)
+CREATE TABLE promotions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    discount_type ENUM('percentage', 'flat', 'free_delivery') NOT NULL,
+    discount_value DECIMAL(10,2) DEFAULT 0.00,
+    max_discount_amount DECIMAL(10,2),
+    min_order_amount DECIMAL(10,2) DEFAULT 0.00,
+    usage_limit INT,
+    usage_limit_per_user INT,
+    times_used INT DEFAULT 0,
+    restaurant_id INT,
+    category_id INT,
+    funded_by ENUM('platform', 'restaurant') DEFAULT 'platform',
+    starts_at DATETIME,
+    ends_at DATETIME,
+    is_active BOOLEAN DEFAULT true,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_code (code),
+    INDEX idx_restaurant (restaurant_id),
+    INDEX idx_funded_by (funded_by)
+);
+
+-- Promotion redemptions table (one row per order that used a coupon)
+CREATE TABLE promotion_redemptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    promotion_id INT NOT NULL,
+    order_id INT NOT NULL,
+    customer_id INT NOT NULL,
+    discount_amount DECIMAL(10,2) NOT NULL,
+    funded_by ENUM('platform', 'restaurant') NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (customer_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_order (order_id),
+    INDEX idx_promotion_customer (promotion_id, customer_id)
+);
+
 -- Insert sample data
 
 -- Insert admin user
@@ -286,8 +660,8 @@ FOR EACH ROW
 BEGIN
     UPDATE restaurants 
     SET 
-        rating = (SELECT AVG(rating) FROM reviews WHERE restaurant_id = NEW.restaurant_id AND is_approved = true),
-        total_reviews = (SELECT COUNT(*) FROM reviews WHERE restaurant_id = NEW.restaurant_id AND is_approved = true)
+        rating = (SELECT COALESCE(AVG(rating), 0) FROM reviews WHERE restaurant_id = NEW.restaurant_id AND food_item_id IS NULL AND is_approved = true),
+        total_reviews = (SELECT COUNT(*) FROM reviews WHERE restaurant_id = NEW.restaurant_id AND food_item_id IS NULL AND is_approved = true)
     WHERE id = NEW.restaurant_id;
 END$$
 
@@ -297,8 +671,8 @@ FOR EACH ROW
 BEGIN
     UPDATE restaurants 
     SET 
-        rating = (SELECT COALESCE(AVG(rating), 0) FROM reviews WHERE restaurant_id = NEW.restaurant_id AND is_approved = true),
-        total_reviews = (SELECT COUNT(*) FROM reviews WHERE restaurant_id = NEW.restaurant_id AND is_approved = true)
+        rating = (SELECT COALESCE(AVG(rating), 0) FROM reviews WHERE restaurant_id = NEW.restaurant_id AND food_item_id IS NULL AND is_approved = true),
+        total_reviews = (SELECT COUNT(*) FROM reviews WHERE restaurant_id = NEW.restaurant_id AND food_item_id IS NULL AND is_approved = true)
     WHERE id = NEW.restaurant_id;
 END$$
 
@@ -308,8 +682,8 @@ FOR EACH ROW
 BEGIN
     UPDATE restaurants 
     SET 
-        rating = (SELECT COALESCE(AVG(rating), 0) FROM reviews WHERE restaurant_id = OLD.restaurant_id AND is_approved = true),
-        total_reviews = (SELECT COUNT(*) FROM reviews WHERE restaurant_id = OLD.restaurant_id AND is_approved = true)
+        rating = (SELECT COALESCE(AVG(rating), 0) FROM reviews WHERE restaurant_id = OLD.restaurant_id AND food_item_id IS NULL AND is_approved = true),
+        total_reviews = (SELECT COUNT(*) FROM reviews WHERE restaurant_id = OLD.restaurant_id AND food_item_id IS NULL AND is_approved = true)
     WHERE id = OLD.restaurant_id;
 END$$
 
@@ -320,7 +694,7 @@ BEGIN
     IF NEW.food_item_id IS NOT NULL THEN
         UPDATE food_items 
         SET 
-            rating = (SELECT AVG(rating) FROM reviews WHERE food_item_id = NEW.food_item_id AND is_approved = true),
+            rating = (SELECT COALESCE(AVG(rating), 0) FROM reviews WHERE food_item_id = NEW.food_item_id AND is_approved = true),
             total_reviews = (SELECT COUNT(*) FROM reviews WHERE food_item_id = NEW.food_item_id AND is_approved = true)
         WHERE id = NEW.food_item_id;
     END IF;